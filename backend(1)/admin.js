@@ -0,0 +1,38 @@
+import db from './db.js'
+import logger from './logger.js'
+import { listAdmins, setAdmin } from './auth.js'
+import { runMigrations } from './migrate.js'
+
+// CLI: node admin.js [list | grant <username> | revoke <username>]
+//
+// Administrators may use the /api/admin endpoints. Only someone with access to
+// the server and its database can mark them; the account must exist already.
+const [command = 'list', username] = process.argv.slice(2)
+
+try {
+  await runMigrations(db)
+  if (command === 'list') {
+    const admins = listAdmins(db)
+    console.log(
+      admins.length > 0
+        ? admins.map(admin => `${admin.id}\t${admin.username}`).join('\n')
+        : 'No administrators'
+    )
+  } else if (command === 'grant' || command === 'revoke') {
+    if (!username) {
+      throw new Error(`Usage: node admin.js ${command} <username>`)
+    }
+    if (!setAdmin(db, username, command === 'grant')) {
+      throw new Error(`Unknown user: ${username}`)
+    }
+    logger.warn(command === 'grant' ? 'Admin right granted' : 'Admin right revoked', { username })
+    console.log(`${command === 'grant' ? 'Granted' : 'Revoked'}: ${username}`)
+  } else {
+    throw new Error(`Unknown command: ${command} (expected list, grant or revoke)`)
+  }
+} catch (error) {
+  logger.error(`Admin command failed: ${error.message}`, { command })
+  process.exitCode = 1
+} finally {
+  db.close()
+}
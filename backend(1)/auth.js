@@ -0,0 +1,207 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto'
+import { promisify } from 'util'
+import jwt from 'jsonwebtoken'
+import config from './config.js'
+import logger from './logger.js'
+import { ERROR_CODES, ERROR_MESSAGES } from './constants.js'
+import { sendResponse } from './response.js'
+
+const scryptAsync = promisify(scrypt)
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+const SCRYPT_KEY_LENGTH = 64
+
+export const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl
+export const REFRESH_TOKEN_TTL = config.auth.refreshTokenTtl
+
+// Without JWT_SECRET a random secret is used, so tokens stop working on restart.
+// The config refuses to load without one in production.
+const JWT_SECRET =
+  config.auth.jwtSecret ||
+  (() => {
+    logger.warn('JWT_SECRET is not set; using a random secret for this process')
+    return randomBytes(32).toString('hex')
+  })()
+
+const JWT_OPTIONS = { algorithm: 'HS256' }
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash` with base64 salt and hash
+ */
+export const hashPassword = async password => {
+  const salt = randomBytes(16)
+  const hash = await scryptAsync(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS)
+  const { N, r, p } = SCRYPT_PARAMS
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$')
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Output of hashPassword()
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  const [algorithm, N, r, p, salt, hash] = storedHash.split('$')
+  if (algorithm !== 'scrypt') {
+    return false
+  }
+  const expected = Buffer.from(hash, 'base64')
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  })
+  return timingSafeEqual(expected, actual)
+}
+
+// Hash compared against when a username does not exist, so unknown users take
+// as long to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = await hashPassword(randomUUID())
+
+/**
+ * Verify credentials, spending the same scrypt work whether or not the user exists
+ * @param {Object|undefined} user - User row, or undefined if the username is unknown
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} Whether the credentials are valid
+ */
+export const checkCredentials = async (user, password) => {
+  const valid = await verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH)
+  return Boolean(user) && valid
+}
+
+/**
+ * Issue an access token and a refresh token, recording the refresh token so it
+ * can be rotated and revoked
+ * @param {Object} db - better-sqlite3 database
+ * @param {{ id: number, username: string }} user - Authenticated user
+ * @returns {Object} Token pair with `tokenType` and access token lifetime in seconds
+ */
+export const issueTokens = (db, user) => {
+  const accessToken = jwt.sign(
+    { sub: String(user.id), username: user.username, type: 'access' },
+    JWT_SECRET,
+    { ...JWT_OPTIONS, expiresIn: ACCESS_TOKEN_TTL }
+  )
+
+  const jti = randomUUID()
+  const refreshToken = jwt.sign({ sub: String(user.id), type: 'refresh' }, JWT_SECRET, {
+    ...JWT_OPTIONS,
+    expiresIn: REFRESH_TOKEN_TTL,
+    jwtid: jti,
+  })
+  const { exp } = jwt.decode(refreshToken)
+  db.prepare(
+    "INSERT INTO refresh_tokens (jti, user_id, expires_at) VALUES (?, ?, datetime(?, 'unixepoch'))"
+  ).run(jti, user.id, exp)
+
+  const { exp: accessExp, iat } = jwt.decode(accessToken)
+  return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: accessExp - iat }
+}
+
+/**
+ * Verify a token's signature, expiry and type
+ * @param {string} token - Encoded JWT
+ * @param {'access'|'refresh'} type - Expected token type
+ * @returns {{ payload: Object|null, msg: string|null }} Decoded payload, or the error message
+ */
+export const verifyToken = (token, type) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: [JWT_OPTIONS.algorithm] })
+    return payload.type === type
+      ? { payload, msg: null }
+      : { payload: null, msg: ERROR_MESSAGES.INVALID_TOKEN }
+  } catch (error) {
+    const msg =
+      error instanceof jwt.TokenExpiredError
+        ? ERROR_MESSAGES.TOKEN_EXPIRED
+        : ERROR_MESSAGES.INVALID_TOKEN
+    return { payload: null, msg }
+  }
+}
+
+/**
+ * Consume a refresh token: it must be valid, known and unrevoked, and is
+ * revoked on use so each refresh token works exactly once
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} token - Encoded refresh token
+ * @returns {{ user: Object|null, msg: string|null }} Token owner, or the error message
+ */
+export const consumeRefreshToken = (db, token) => {
+  const { payload, msg } = verifyToken(token, 'refresh')
+  if (!payload) {
+    return { user: null, msg }
+  }
+
+  const revoked = db
+    .prepare(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = ? AND revoked_at IS NULL'
+    )
+    .run(payload.jti)
+  const user =
+    revoked.changes > 0
+      ? db.prepare('SELECT id, username, created_at FROM users WHERE id = ?').get(payload.sub)
+      : null
+  return user ? { user, msg: null } : { user: null, msg: ERROR_MESSAGES.INVALID_TOKEN }
+}
+
+// Require a valid `Authorization: Bearer <access token>` header and expose the user as req.user
+export const requireAuth = (req, res, next) => {
+  // A 401 names the scheme the client should authenticate with
+  const unauthorized = msg =>
+    sendResponse(res.set('WWW-Authenticate', 'Bearer'), ERROR_CODES.UNAUTHORIZED, msg)
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ')
+  if (scheme !== 'Bearer' || !token) {
+    return unauthorized(ERROR_MESSAGES.AUTH_REQUIRED)
+  }
+
+  const { payload, msg } = verifyToken(token, 'access')
+  if (!payload) {
+    logger.warn('Rejected access token', { path: req.path, reason: msg })
+    return unauthorized(msg)
+  }
+
+  req.user = { id: Number(payload.sub), username: payload.username }
+  next()
+}
+
+/**
+ * Mark a user as an administrator or take the right away
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} username - Username, ignoring case
+ * @param {boolean} admin - Whether the user may use the admin endpoints
+ * @returns {boolean} Whether the user exists
+ */
+export const setAdmin = (db, username, admin) =>
+  db.prepare('UPDATE users SET is_admin = ? WHERE username = ?').run(Number(admin), username)
+    .changes > 0
+
+/**
+ * List the administrators
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Array<{ id: number, username: string }>} Administrators by username
+ */
+export const listAdmins = db =>
+  db.prepare('SELECT id, username FROM users WHERE is_admin = 1 ORDER BY username').all()
+
+/**
+ * Only let administrators through: users whose account is marked as one with
+ * `node admin.js grant`. The flag is read on every request, so revoking it
+ * takes effect at once. Mount it after requireAuth. Others get 403 with code 9.
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Function} Express middleware
+ */
+export const requireAdmin = db => {
+  const selectAdmin = db.prepare('SELECT 1 FROM users WHERE id = ? AND is_admin = 1')
+  return (req, res, next) => {
+    if (selectAdmin.get(req.user.id)) {
+      return next()
+    }
+    logger.warn('Admin access denied', { userId: req.user.id, path: req.originalUrl })
+    sendResponse(res, ERROR_CODES.FORBIDDEN, ERROR_MESSAGES.ADMIN_REQUIRED)
+  }
+}
@@ -0,0 +1,103 @@
+import { createHash } from 'crypto'
+
+// Accepted image types, recognized by their leading bytes rather than the
+// content type or file name the client sent
+const IMAGE_SIGNATURES = [
+  {
+    mimeType: 'image/jpeg',
+    matches: data => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    mimeType: 'image/png',
+    matches: data =>
+      data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: 'image/webp',
+    matches: data =>
+      data.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      data.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+]
+
+/**
+ * Detect the type of an image from its content
+ * @param {Buffer} data - Uploaded file
+ * @returns {string|null} `image/jpeg`, `image/png` or `image/webp`, or null for
+ *   anything else
+ */
+export const sniffImageType = data =>
+  IMAGE_SIGNATURES.find(signature => signature.matches(data))?.mimeType ?? null
+
+/**
+ * Look up the avatar of a contact
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} contactId - Contact ID
+ * @returns {{ mime_type: string, data: Buffer, etag: string, updated_at: string }|undefined}
+ */
+export const getAvatar = (db, contactId) =>
+  db.prepare('SELECT * FROM contact_avatars WHERE contact_id = ?').get(contactId)
+
+/**
+ * Attach the avatars of contacts, for embedding them in exports
+ * @param {Object} db - better-sqlite3 database
+ * @param {Array<Object>} contacts - Contacts with an `id`
+ * @returns {Array<Object>} The contacts, with `avatar` set on those that have one
+ */
+export const withAvatars = (db, contacts) => {
+  const avatars = new Map(
+    db
+      .prepare(
+        `SELECT * FROM contact_avatars
+         WHERE contact_id IN (SELECT value FROM json_each(?))`
+      )
+      .all(JSON.stringify(contacts.map(contact => contact.id)))
+      .map(avatar => [avatar.contact_id, avatar])
+  )
+  return contacts.map(contact =>
+    avatars.has(contact.id) ? { ...contact, avatar: avatars.get(contact.id) } : contact
+  )
+}
+
+/**
+ * Store or replace the avatar of a contact
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} contactId - Contact ID, already checked to belong to the owner
+ * @param {string} mimeType - Sniffed image type
+ * @param {Buffer} data - Image content
+ * @returns {Object} The stored avatar
+ */
+export const setAvatar = (db, contactId, mimeType, data) => {
+  const etag = `"${createHash('sha256').update(data).digest('base64url')}"`
+  db.prepare(
+    `INSERT INTO contact_avatars (contact_id, mime_type, data, etag) VALUES (?, ?, ?, ?)
+     ON CONFLICT (contact_id) DO UPDATE SET
+       mime_type = excluded.mime_type, data = excluded.data, etag = excluded.etag,
+       updated_at = CURRENT_TIMESTAMP`
+  ).run(contactId, mimeType, data, etag)
+  return getAvatar(db, contactId)
+}
+
+/**
+ * Remove the avatar of a contact
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} contactId - Contact ID
+ * @returns {boolean} Whether the contact had one
+ */
+export const deleteAvatar = (db, contactId) =>
+  db.prepare('DELETE FROM contact_avatars WHERE contact_id = ?').run(contactId).changes > 0
+
+/**
+ * Give a merge survivor the first source avatar if it has none of its own.
+ * Must be called before the sources are deleted.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} targetId - Surviving contact
+ * @param {number[]} sourceIds - Contacts merged into it
+ */
+export const inheritAvatar = (db, targetId, sourceIds) => {
+  // Once the survivor has an avatar, the primary key makes further moves no-ops
+  const move = db.prepare(
+    'UPDATE OR IGNORE contact_avatars SET contact_id = ? WHERE contact_id = ?'
+  )
+  sourceIds.forEach(sourceId => move.run(targetId, sourceId))
+}
@@ -0,0 +1,155 @@
+import { ERROR_CODES, ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+import { validateContactInput } from './validation.js'
+import { listCustomFields } from './customFields.js'
+import {
+  createContact,
+  deleteContact,
+  findLiveContact,
+  uniqueViolationMessage,
+  updateContact,
+} from './contacts.js'
+
+export const MAX_BATCH_OPERATIONS = 500
+
+export const BATCH_MODES = {
+  ALL_OR_NOTHING: 'all-or-nothing',
+  BEST_EFFORT: 'best-effort',
+}
+
+// Thrown to roll back an all-or-nothing batch after an operation fails
+const ROLLBACK = new Error('Batch rolled back')
+
+const fail = (code, msg, extra = {}) => ({ code, msg, ...extra })
+
+// Each handler returns the operation's `code`, `msg` and optional `id` / `data` / `errors`
+const OPERATIONS = {
+  create: (db, ownerId, { data }) => {
+    const { value, errors } = validateContactInput(data, listCustomFields(db, ownerId))
+    if (errors.length > 0) {
+      const msg = errors.length === 1 ? errors[0].msg : ERROR_MESSAGES.INVALID_INPUT
+      return fail(ERROR_CODES.VALIDATION_ERROR, msg, { errors })
+    }
+    const id = createContact(db, ownerId, value)
+    return {
+      code: ERROR_CODES.SUCCESS,
+      msg: ERROR_MESSAGES.CONTACT_CREATED,
+      id,
+      data: { id, ...value },
+    }
+  },
+
+  update: (db, ownerId, { id, data }) => {
+    if (!Number.isInteger(id)) {
+      return fail(ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
+    }
+    const { value, errors } = validateContactInput(data, listCustomFields(db, ownerId))
+    if (errors.length > 0) {
+      const msg = errors.length === 1 ? errors[0].msg : ERROR_MESSAGES.INVALID_INPUT
+      return fail(ERROR_CODES.VALIDATION_ERROR, msg, { id, errors })
+    }
+    const before = findLiveContact(db, ownerId, id)
+    if (!before) {
+      return fail(ERROR_CODES.NOT_FOUND, message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id }), {
+        id,
+      })
+    }
+    updateContact(db, ownerId, before, value)
+    return {
+      code: ERROR_CODES.SUCCESS,
+      msg: ERROR_MESSAGES.CONTACT_UPDATED,
+      id,
+      data: { id, ...value },
+    }
+  },
+
+  delete: (db, ownerId, { id, permanent = false }) => {
+    if (!Number.isInteger(id)) {
+      return fail(ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
+    }
+    if (typeof permanent !== 'boolean') {
+      return fail(ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_INPUT, { id })
+    }
+    if (!deleteContact(db, ownerId, id, permanent)) {
+      return fail(ERROR_CODES.NOT_FOUND, message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id }), {
+        id,
+      })
+    }
+    return {
+      code: ERROR_CODES.SUCCESS,
+      msg: permanent ? ERROR_MESSAGES.CONTACT_PERMANENTLY_DELETED : ERROR_MESSAGES.CONTACT_DELETED,
+      id,
+    }
+  },
+}
+
+// Run one operation in a savepoint so a failure undoes only its own writes
+const runOperation = (db, ownerId, operation) => {
+  const handler =
+    operation && typeof operation === 'object' && Object.hasOwn(OPERATIONS, operation.op)
+      ? OPERATIONS[operation.op]
+      : null
+  if (!handler) {
+    return fail(ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_BATCH_OPERATION)
+  }
+
+  try {
+    return db.transaction(() => handler(db, ownerId, operation))()
+  } catch (error) {
+    const duplicateMessage = uniqueViolationMessage(error)
+    if (duplicateMessage) {
+      return fail(ERROR_CODES.CONFLICT, duplicateMessage, { id: operation.id })
+    }
+    throw error
+  }
+}
+
+/**
+ * Run create, update and delete operations in a single transaction. In
+ * all-or-nothing mode every operation is still attempted so all failures are
+ * reported, but nothing is committed unless all of them succeed.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {Array<Object>} operations - `{ op: 'create', data }`, `{ op: 'update', id, data }`
+ *   or `{ op: 'delete', id, permanent }`
+ * @param {string} mode - One of BATCH_MODES
+ * @returns {{ committed: boolean, results: Array<Object> }} Whether the changes
+ *   were saved, and `index`, `op`, `code` and `msg` per operation
+ */
+export const runBatch = (db, ownerId, operations, mode) => {
+  let results = []
+  try {
+    db.transaction(() => {
+      results = operations.map((operation, index) => ({
+        index,
+        op: operation?.op ?? null,
+        ...runOperation(db, ownerId, operation),
+      }))
+      if (
+        mode === BATCH_MODES.ALL_OR_NOTHING &&
+        results.some(result => result.code !== ERROR_CODES.SUCCESS)
+      ) {
+        throw ROLLBACK
+      }
+    })()
+  } catch (error) {
+    if (error !== ROLLBACK) {
+      throw error
+    }
+    // Nothing was saved, so drop the IDs and data of operations that had succeeded
+    return {
+      committed: false,
+      results: results.map(result =>
+        result.code === ERROR_CODES.SUCCESS
+          ? {
+              index: result.index,
+              op: result.op,
+              code: result.code,
+              msg: ERROR_MESSAGES.BATCH_NOT_APPLIED,
+            }
+          : result
+      ),
+    }
+  }
+  return { committed: true, results }
+}
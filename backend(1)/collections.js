@@ -0,0 +1,269 @@
+import { ERROR_MESSAGES } from './constants.js'
+import { GROUP_SCHEMA, TAG_SCHEMA } from './validation.js'
+import { touchContacts } from './contacts.js'
+
+// Most contacts added to or removed from a group or tag in one request
+export const MAX_MEMBERSHIP_CHANGES = 500
+
+// Most values accepted by one `group=` or `tag=` filter
+const MAX_FILTER_VALUES = 20
+
+// Groups and tags work the same way and differ only in their extra column and
+// messages. `filterParam` is the query parameter that filters contacts by them.
+export const COLLECTIONS = {
+  groups: {
+    table: 'groups',
+    memberTable: 'contact_groups',
+    memberKey: 'group_id',
+    schema: GROUP_SCHEMA,
+    filterParam: 'group',
+    messages: {
+      notFound: ERROR_MESSAGES.GROUP_NOT_FOUND,
+      nameExists: ERROR_MESSAGES.GROUP_NAME_EXISTS,
+      created: ERROR_MESSAGES.GROUP_CREATED,
+      updated: ERROR_MESSAGES.GROUP_UPDATED,
+      deleted: ERROR_MESSAGES.GROUP_DELETED,
+    },
+  },
+  tags: {
+    table: 'tags',
+    memberTable: 'contact_tags',
+    memberKey: 'tag_id',
+    schema: TAG_SCHEMA,
+    filterParam: 'tag',
+    messages: {
+      notFound: ERROR_MESSAGES.TAG_NOT_FOUND,
+      nameExists: ERROR_MESSAGES.TAG_NAME_EXISTS,
+      created: ERROR_MESSAGES.TAG_CREATED,
+      updated: ERROR_MESSAGES.TAG_UPDATED,
+      deleted: ERROR_MESSAGES.TAG_DELETED,
+    },
+  },
+}
+
+// Columns a client may set, i.e. every schema field
+const columnsOf = collection => Object.keys(collection.schema)
+
+// Select rows with the number of live contacts in each
+const selectSql = ({ table, memberTable, memberKey }) => `
+  SELECT ${table}.*,
+         (SELECT COUNT(*) FROM ${memberTable}
+          JOIN contacts ON contacts.id = ${memberTable}.contact_id
+          WHERE ${memberTable}.${memberKey} = ${table}.id AND contacts.deleted_at IS NULL)
+           AS contact_count
+  FROM ${table}`
+
+/**
+ * List every group or tag in an address book, by name
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} ownerId - Owner of the address book
+ * @returns {Array<Object>} Rows with `contact_count`
+ */
+export const listCollection = (db, collection, ownerId) =>
+  db.prepare(`${selectSql(collection)} WHERE owner_id = ? ORDER BY name, id`).all(ownerId)
+
+/**
+ * Look up one group or tag
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} ownerId - Owner of the address book
+ * @param {number|string} id - Group or tag ID
+ * @returns {Object|undefined} The row with `contact_count`
+ */
+export const getCollectionItem = (db, collection, ownerId, id) =>
+  db.prepare(`${selectSql(collection)} WHERE id = ? AND owner_id = ?`).get(id, ownerId)
+
+/**
+ * Create a group or tag. Throws a UNIQUE constraint error if the name is taken.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} ownerId - Owner of the address book
+ * @param {Object} value - Validated payload
+ * @returns {Object} The new row
+ */
+export const createCollectionItem = (db, collection, ownerId, value) => {
+  const columns = columnsOf(collection)
+  const { lastInsertRowid } = db
+    .prepare(
+      `INSERT INTO ${collection.table} (owner_id, ${columns.join(', ')})
+       VALUES (?, ${columns.map(() => '?').join(', ')})`
+    )
+    .run(ownerId, ...columns.map(column => value[column]))
+  return getCollectionItem(db, collection, ownerId, lastInsertRowid)
+}
+
+/**
+ * Replace the fields of a group or tag. Throws a UNIQUE constraint error if the
+ * new name is taken.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} ownerId - Owner of the address book
+ * @param {number|string} id - Group or tag ID
+ * @param {Object} value - Validated payload
+ * @returns {Object|undefined} The updated row, or undefined if it does not exist
+ */
+export const updateCollectionItem = (db, collection, ownerId, id, value) => {
+  const columns = columnsOf(collection)
+  const { changes } = db
+    .prepare(
+      `UPDATE ${collection.table} SET ${columns.map(column => `${column} = ?`).join(', ')}
+       WHERE id = ? AND owner_id = ?`
+    )
+    .run(...columns.map(column => value[column]), id, ownerId)
+  return changes > 0 ? getCollectionItem(db, collection, ownerId, id) : undefined
+}
+
+/**
+ * Delete a group or tag; its contacts are kept, with a new version
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} ownerId - Owner of the address book
+ * @param {number|string} id - Group or tag ID
+ * @returns {boolean} Whether it existed
+ */
+export const deleteCollectionItem = (db, collection, ownerId, id) =>
+  db.transaction(() => {
+    const memberIds = db
+      .prepare(
+        `SELECT contact_id FROM ${collection.memberTable}
+         WHERE ${collection.memberKey} = (SELECT id FROM ${collection.table} WHERE id = ? AND owner_id = ?)`
+      )
+      .all(id, ownerId)
+      .map(row => row.contact_id)
+    touchContacts(db, memberIds)
+    return (
+      db.prepare(`DELETE FROM ${collection.table} WHERE id = ? AND owner_id = ?`).run(id, ownerId)
+        .changes > 0
+    )
+  })()
+
+/**
+ * Add contacts to a group or tag. Nothing is added unless every contact is a
+ * live contact of the owner; contacts that are already members are skipped.
+ * Must be called inside a transaction.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} ownerId - Owner of the address book
+ * @param {number} id - Group or tag ID, already checked to belong to the owner
+ * @param {number[]} contactIds - Contacts to add
+ * @returns {{ added: number, missing: number[] }} Number of new memberships, or
+ *   the IDs that are not live contacts of the owner
+ */
+export const addMembers = (db, collection, ownerId, id, contactIds) => {
+  const uniqueIds = [...new Set(contactIds)]
+  const found = new Set(
+    db
+      .prepare(
+        `SELECT id FROM contacts
+         WHERE id IN (SELECT value FROM json_each(?)) AND owner_id = ? AND deleted_at IS NULL`
+      )
+      .all(JSON.stringify(uniqueIds), ownerId)
+      .map(row => row.id)
+  )
+  const missing = uniqueIds.filter(contactId => !found.has(contactId))
+  if (missing.length > 0) {
+    return { added: 0, missing }
+  }
+
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO ${collection.memberTable} (${collection.memberKey}, contact_id)
+     VALUES (?, ?)`
+  )
+  const addedIds = uniqueIds.filter(contactId => insert.run(id, contactId).changes > 0)
+  // Memberships are part of a contact, so its version changes with them
+  touchContacts(db, addedIds)
+  return { added: addedIds.length, missing }
+}
+
+/**
+ * Remove contacts from a group or tag and bump the version of those removed;
+ * IDs that are not members are ignored
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} id - Group or tag ID, already checked to belong to the owner
+ * @param {number[]} contactIds - Contacts to remove
+ * @returns {number} Number of memberships removed
+ */
+export const removeMembers = (db, collection, id, contactIds) =>
+  db.transaction(() => {
+    const removedIds = db
+      .prepare(
+        `DELETE FROM ${collection.memberTable}
+         WHERE ${collection.memberKey} = ? AND contact_id IN (SELECT value FROM json_each(?))
+         RETURNING contact_id`
+      )
+      .all(id, JSON.stringify(contactIds))
+      .map(row => row.contact_id)
+    touchContacts(db, removedIds)
+    return removedIds.length
+  })()
+
+/**
+ * List the groups and tags of a contact
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} contactId - Contact ID
+ * @returns {{ groups: Array<Object>, tags: Array<Object> }} `{ id, name }` of each
+ *   group and `{ id, name, color }` of each tag, by name
+ */
+export const getContactCollections = (db, contactId) => ({
+  groups: db
+    .prepare(
+      `SELECT groups.id, groups.name FROM contact_groups
+       JOIN groups ON groups.id = contact_groups.group_id
+       WHERE contact_groups.contact_id = ? ORDER BY groups.name`
+    )
+    .all(contactId),
+  tags: db
+    .prepare(
+      `SELECT tags.id, tags.name, tags.color FROM contact_tags
+       JOIN tags ON tags.id = contact_tags.tag_id
+       WHERE contact_tags.contact_id = ? ORDER BY tags.name`
+    )
+    .all(contactId),
+})
+
+/**
+ * Compile the `group=` and `tag=` query parameters into contact conditions.
+ * Each value is a group or tag ID or name, repeated or comma-separated;
+ * a contact must be in every listed group and carry every listed tag.
+ * @param {Object} query - Express `req.query`
+ * @returns {{ where: string[], params: Array, errors: Array }} Conditions on
+ *   `contacts`, ready for paginateContacts(), and every rejected parameter
+ */
+export const compileMembershipFilter = query => {
+  const where = []
+  const params = []
+  const errors = []
+
+  for (const { table, memberTable, memberKey, filterParam } of Object.values(COLLECTIONS)) {
+    if (query[filterParam] === undefined) {
+      continue
+    }
+    const values = [query[filterParam]]
+      .flat()
+      .map(value => (typeof value === 'string' ? value : ''))
+      .join(',')
+      .split(',')
+      .map(value => value.trim())
+    if (values.some(value => value === '') || values.length > MAX_FILTER_VALUES) {
+      errors.push({
+        field: filterParam,
+        rule: 'query',
+        msg: ERROR_MESSAGES.INVALID_QUERY_PARAMETER,
+      })
+      continue
+    }
+
+    values.forEach(value => {
+      where.push(
+        `contacts.id IN (SELECT ${memberTable}.contact_id FROM ${memberTable}
+         JOIN ${table} ON ${table}.id = ${memberTable}.${memberKey}
+         WHERE ${table}.owner_id = contacts.owner_id AND (${table}.id = ? OR ${table}.name = ?))`
+      )
+      params.push(value, value)
+    })
+  }
+
+  return { where, params, errors }
+}
@@ -0,0 +1,292 @@
+import { existsSync, readFileSync } from 'fs'
+
+// Settings come from these defaults, then an optional JSON config file, then
+// environment variables. The file is CONFIG_FILE, or config.json in the working
+// directory when that exists, and nests keys the way they are written here
+// (e.g. `{ "cors": { "origins": ["https://app.example.com"] } }`).
+const DEFAULT_CONFIG_FILE = 'config.json'
+
+// Value types. `parse` returns undefined for a value it does not accept.
+const integer = (min, max = Number.MAX_SAFE_INTEGER) => ({
+  expected: `an integer from ${min} to ${max}`,
+  parse: value => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    return Number.isInteger(number) && number >= min && number <= max ? number : undefined
+  },
+})
+
+const text = {
+  expected: 'a non-empty string',
+  parse: value => (typeof value === 'string' && value.trim() ? value.trim() : undefined),
+}
+
+const oneOf = values => ({
+  expected: `one of ${values.join(', ')}`,
+  parse: value => (values.includes(value) ? value : undefined),
+})
+
+const matching = (pattern, expected) => ({
+  expected,
+  parse: value => (typeof value === 'string' && pattern.test(value) ? value : undefined),
+})
+
+const boolean = {
+  expected: 'true or false',
+  parse: value => {
+    if (typeof value === 'boolean') {
+      return value
+    }
+    return { true: true, 1: true, false: false, 0: false }[String(value).toLowerCase()]
+  },
+}
+
+// A number of bytes, or a string such as `100kb` or `5mb`
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 }
+const size = {
+  expected: 'a number of bytes or a size such as 100kb or 5mb',
+  parse: value => {
+    if (Number.isInteger(value) && value > 0) {
+      return value
+    }
+    const match = /^(\d+)\s*(b|kb|mb)?$/i.exec(String(value).trim())
+    const bytes = match && Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]
+    return bytes > 0 ? bytes : undefined
+  },
+}
+
+const httpUrl = {
+  expected: 'an http(s) URL',
+  parse: value => {
+    try {
+      const url = new URL(value)
+      return ['http:', 'https:'].includes(url.protocol) ? url.href.replace(/\/$/, '') : undefined
+    } catch {
+      return undefined
+    }
+  },
+}
+
+// `*` or origins such as `https://app.example.com`, as an array in the file or
+// comma-separated in the environment
+const origins = {
+  expected: '* or a list of origins such as https://app.example.com',
+  parse: value => {
+    const list = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value
+    if (!Array.isArray(list) || list.length === 0) {
+      return undefined
+    }
+    const valid = list.every(origin => {
+      if (origin === '*') {
+        return true
+      }
+      try {
+        return new URL(origin).origin === origin
+      } catch {
+        return false
+      }
+    })
+    return valid ? list : undefined
+  },
+}
+
+// Every setting, with its environment variable. A function default is called
+// with the settings resolved before it.
+const OPTIONS = [
+  {
+    key: 'env',
+    env: 'NODE_ENV',
+    type: oneOf(['development', 'production', 'test']),
+    default: 'development',
+  },
+  { key: 'port', env: 'PORT', type: integer(1, 65535), default: 3000 },
+  {
+    key: 'publicUrl',
+    env: 'PUBLIC_URL',
+    type: httpUrl,
+    default: config => `http://localhost:${config.port}`,
+  },
+  { key: 'db.path', env: 'DB_PATH', type: text, default: 'database.db' },
+  { key: 'cors.origins', env: 'CORS_ORIGINS', type: origins, default: ['*'] },
+  { key: 'log.dir', env: 'LOG_DIR', type: text, default: 'logs' },
+  {
+    key: 'log.level',
+    env: 'LOG_LEVEL',
+    type: oneOf(['error', 'warn', 'info', 'http', 'debug']),
+    default: config => (config.env === 'production' ? 'warn' : 'debug'),
+  },
+  // Log files rotate daily and at this size; rotated files are gzipped unless
+  // LOG_COMPRESS is off, and deleted after LOG_RETENTION_DAYS
+  { key: 'log.maxSize', env: 'LOG_MAX_SIZE', type: size, default: '20mb' },
+  { key: 'log.compress', env: 'LOG_COMPRESS', type: boolean, default: true },
+  { key: 'log.retentionDays', env: 'LOG_RETENTION_DAYS', type: integer(1), default: 14 },
+  // Leave names, phone numbers, emails, addresses, search terms and filters out of log metadata
+  {
+    key: 'log.redact',
+    env: 'LOG_REDACT',
+    type: boolean,
+    default: config => config.env === 'production',
+  },
+  { key: 'limits.json', env: 'BODY_LIMIT_JSON', type: size, default: '100kb' },
+  { key: 'limits.import', env: 'BODY_LIMIT_IMPORT', type: size, default: '5mb' },
+  { key: 'limits.avatar', env: 'BODY_LIMIT_AVATAR', type: size, default: '2mb' },
+  // Reverse proxies in front of the server whose X-Forwarded-For is trusted
+  // for the client IP, which rate limits are keyed by
+  { key: 'trustProxy', env: 'TRUST_PROXY', type: integer(0, 10), default: 0 },
+  // Requests per client and window; 0 turns a limit off
+  {
+    key: 'rateLimit.store',
+    env: 'RATE_LIMIT_STORE',
+    type: oneOf(['memory', 'sqlite']),
+    default: 'memory',
+  },
+  { key: 'rateLimit.windowSeconds', env: 'RATE_LIMIT_WINDOW', type: integer(1), default: 60 },
+  { key: 'rateLimit.api', env: 'RATE_LIMIT_API', type: integer(0), default: 300 },
+  { key: 'rateLimit.auth', env: 'RATE_LIMIT_AUTH', type: integer(0), default: 10 },
+  { key: 'rateLimit.search', env: 'RATE_LIMIT_SEARCH', type: integer(0), default: 60 },
+  { key: 'rateLimit.write', env: 'RATE_LIMIT_WRITE', type: integer(0), default: 60 },
+  {
+    key: 'errorFormat',
+    env: 'ERROR_FORMAT',
+    type: oneOf(['envelope', 'problem']),
+    default: 'envelope',
+  },
+  { key: 'auth.jwtSecret', env: 'JWT_SECRET', type: text, default: null },
+  {
+    key: 'auth.accessTokenTtl',
+    env: 'JWT_ACCESS_TTL',
+    type: matching(/^\d+[smhd]$/, 'a duration such as 15m or 7d'),
+    default: '15m',
+  },
+  {
+    key: 'auth.refreshTokenTtl',
+    env: 'JWT_REFRESH_TTL',
+    type: matching(/^\d+[smhd]$/, 'a duration such as 15m or 7d'),
+    default: '7d',
+  },
+  { key: 'trash.retentionDays', env: 'TRASH_RETENTION_DAYS', type: integer(1), default: 30 },
+  // Days change events are kept for event streams to resume from
+  { key: 'events.retentionDays', env: 'EVENT_RETENTION_DAYS', type: integer(1), default: 7 },
+  {
+    key: 'webhooks.timeoutSeconds',
+    env: 'WEBHOOK_TIMEOUT',
+    type: integer(1, 60),
+    default: 10,
+  },
+  { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: integer(1, 20), default: 6 },
+  // Delay before the first retry, doubled for each retry after it
+  {
+    key: 'webhooks.retryBaseSeconds',
+    env: 'WEBHOOK_RETRY_BASE',
+    type: integer(1),
+    default: 30,
+  },
+  {
+    key: 'webhooks.logRetentionDays',
+    env: 'WEBHOOK_LOG_RETENTION_DAYS',
+    type: integer(1),
+    default: 30,
+  },
+  // One of the numbering plans in validation.js NATIONAL_PHONE_FORMATS
+  {
+    key: 'phone.defaultRegion',
+    env: 'PHONE_DEFAULT_REGION',
+    type: oneOf(['CN', 'US', 'GB']),
+    default: 'CN',
+  },
+  { key: 'features.apiDocs', env: 'FEATURE_API_DOCS', type: boolean, default: true },
+  { key: 'features.registration', env: 'FEATURE_REGISTRATION', type: boolean, default: true },
+  { key: 'features.trashPurge', env: 'FEATURE_TRASH_PURGE', type: boolean, default: true },
+  { key: 'features.webhooks', env: 'FEATURE_WEBHOOKS', type: boolean, default: true },
+  { key: 'features.metrics', env: 'FEATURE_METRICS', type: boolean, default: true },
+]
+
+// Flatten `{ cors: { origins: [...] } }` into `{ 'cors.origins': [...] }`
+const flatten = (object, prefix = '') =>
+  Object.entries(object).flatMap(([name, value]) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? flatten(value, `${prefix}${name}.`)
+      : [[`${prefix}${name}`, value]]
+  )
+
+const readConfigFile = (path, errors) => {
+  try {
+    const content = JSON.parse(readFileSync(path, 'utf8'))
+    if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+      errors.push(`${path}: must contain a JSON object`)
+      return {}
+    }
+    return Object.fromEntries(flatten(content))
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`)
+    return {}
+  }
+}
+
+const setPath = (object, key, value) => {
+  const names = key.split('.')
+  const last = names.pop()
+  const parent = names.reduce((node, name) => (node[name] ??= {}), object)
+  parent[last] = value
+}
+
+const deepFreeze = object => {
+  Object.values(object).forEach(value => {
+    if (value !== null && typeof value === 'object') {
+      deepFreeze(value)
+    }
+  })
+  return Object.freeze(object)
+}
+
+/**
+ * Resolve every setting from the defaults, the config file and the environment
+ * @param {Object} env - Environment variables
+ * @returns {{ config: Object, errors: string[] }} The settings, and a
+ *   description of each invalid or unknown one
+ */
+const loadConfig = env => {
+  const errors = []
+  const filePath = env.CONFIG_FILE || (existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null)
+  const fileValues = filePath ? readConfigFile(filePath, errors) : {}
+
+  Object.keys(fileValues)
+    .filter(key => !OPTIONS.some(option => option.key === key))
+    .forEach(key => errors.push(`${filePath}: unknown setting ${key}`))
+
+  const config = {}
+  for (const option of OPTIONS) {
+    const [source, raw] =
+      env[option.env] !== undefined && env[option.env] !== ''
+        ? [option.env, env[option.env]]
+        : option.key in fileValues
+          ? [`${filePath} ${option.key}`, fileValues[option.key]]
+          : [null, typeof option.default === 'function' ? option.default(config) : option.default]
+
+    if (source === null) {
+      setPath(config, option.key, raw === null ? null : option.type.parse(raw))
+      continue
+    }
+    const value = option.type.parse(raw)
+    if (value === undefined) {
+      errors.push(`${source}: expected ${option.type.expected}, got ${JSON.stringify(raw)}`)
+    }
+    setPath(config, option.key, value)
+  }
+
+  // Random per-process secrets would sign users out on every restart
+  if (config.env === 'production' && !config.auth.jwtSecret) {
+    errors.push('JWT_SECRET: must be set in production')
+  }
+
+  return { config: deepFreeze(config), errors }
+}
+
+const { config, errors } = loadConfig(process.env)
+
+// Refuse to start with settings that would only fail later, mid-request
+if (errors.length > 0) {
+  console.error(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`)
+  process.exit(1)
+}
+
+export default config
@@ -0,0 +1,35 @@
+import en from './locales/en.js'
+
+// Error codes enum
+export const ERROR_CODES = {
+  SUCCESS: 0,
+  VALIDATION_ERROR: 1,
+  NOT_FOUND: 2,
+  DATABASE_ERROR: 3,
+  UNAUTHORIZED: 4,
+  CONFLICT: 5,
+  SERVICE_UNAVAILABLE: 6,
+  TOO_MANY_REQUESTS: 7,
+  PRECONDITION_FAILED: 8,
+  FORBIDDEN: 9,
+  NETWORK_ERROR: -1,
+}
+
+// HTTP status sent with each error code; NETWORK_ERROR is only raised by clients
+export const HTTP_STATUS = {
+  [ERROR_CODES.SUCCESS]: 200,
+  [ERROR_CODES.VALIDATION_ERROR]: 400,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.DATABASE_ERROR]: 500,
+  [ERROR_CODES.UNAUTHORIZED]: 401,
+  [ERROR_CODES.CONFLICT]: 409,
+  [ERROR_CODES.SERVICE_UNAVAILABLE]: 503,
+  [ERROR_CODES.TOO_MANY_REQUESTS]: 429,
+  [ERROR_CODES.PRECONDITION_FAILED]: 412,
+  [ERROR_CODES.FORBIDDEN]: 403,
+}
+
+// Message keys, e.g. ERROR_MESSAGES.CONTACT_NOT_FOUND === 'CONTACT_NOT_FOUND'.
+// The text for each locale lives in locales/, and sendResponse() translates
+// every `msg` when the response is sent.
+export const ERROR_MESSAGES = Object.fromEntries(Object.keys(en).map(key => [key, key]))
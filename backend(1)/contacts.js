@@ -0,0 +1,407 @@
+import { ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+import { HISTORY_OPERATIONS, recordHistory } from './history.js'
+import {
+  CONTACT_DETAIL_FIELDS,
+  CONTACT_LISTS,
+  validateContactInput,
+  withFlatFields,
+} from './validation.js'
+import { listCustomFields } from './customFields.js'
+
+// Child table and entry columns of each list, in the order they are stored
+const LIST_TABLES = {
+  phones: { table: 'contact_phones', columns: { label: 'label', value: 'value' } },
+  emails: { table: 'contact_emails', columns: { label: 'label', value: 'value' } },
+  addresses: {
+    table: 'contact_addresses',
+    columns: {
+      label: 'label',
+      street: 'street',
+      city: 'city',
+      region: 'region',
+      postalCode: 'postal_code',
+      country: 'country',
+    },
+  },
+}
+
+// Everything withContactDetails() can attach to contact rows
+export const CONTACT_DETAILS = [...Object.keys(LIST_TABLES), 'customFields']
+
+// Custom field values are stored as text and read back as their type
+const readCustomValue = (type, value) => (type === 'number' ? Number(value) : value)
+
+// Columns whose unique indexes, or the triggers of migration 009, keep phones
+// and emails unique per owner
+const UNIQUE_COLUMN_MESSAGES = {
+  'contacts.phone': ERROR_MESSAGES.PHONE_ALREADY_EXISTS,
+  'contact_phones.value': ERROR_MESSAGES.PHONE_ALREADY_EXISTS,
+  'contacts.email': ERROR_MESSAGES.EMAIL_ALREADY_EXISTS,
+  'contact_emails.value': ERROR_MESSAGES.EMAIL_ALREADY_EXISTS,
+}
+
+/**
+ * Map a unique violation to the field that collided
+ * @param {Error} error - Error thrown by better-sqlite3
+ * @returns {string|null} Duplicate email or phone message, or null for other errors
+ */
+export const uniqueViolationMessage = error => {
+  if (!error.message || !error.message.includes('UNIQUE constraint failed')) {
+    return null
+  }
+  const column = Object.keys(UNIQUE_COLUMN_MESSAGES).find(name => error.message.includes(name))
+  return column ? UNIQUE_COLUMN_MESSAGES[column] : null
+}
+
+/**
+ * Look up a contact that is not in the trash
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the contact
+ * @param {number|string} id - Contact ID
+ * @returns {Object|undefined} The contact row
+ */
+export const findLiveContact = (db, ownerId, id) =>
+  db
+    .prepare('SELECT * FROM contacts WHERE id = ? AND owner_id = ? AND deleted_at IS NULL')
+    .get(id, ownerId)
+
+/**
+ * Mark contacts as changed: bump the version their ETag is derived from and
+ * set updated_at
+ * @param {Object} db - better-sqlite3 database
+ * @param {number[]} ids - Contact IDs
+ */
+export const touchContacts = (db, ids) =>
+  db
+    .prepare(
+      `UPDATE contacts SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (SELECT value FROM json_each(?))`
+    )
+    .run(JSON.stringify(ids))
+
+/**
+ * Attach the phones, emails and addresses lists and the custom field values to
+ * contact rows, and turn the stored favorite flag into a boolean
+ * @param {Object} db - better-sqlite3 database
+ * @param {Array<Object>} contacts - Contact rows with an `id`
+ * @param {string[]} [lists] - Entries of CONTACT_DETAILS to attach, all by default
+ * @returns {Array<Object>} The contacts with their lists, primary entry marked,
+ *   and `customFields` mapping field names to values
+ */
+export const withContactDetails = (db, contacts, lists = CONTACT_DETAILS) => {
+  if (contacts.length === 0) {
+    return contacts
+  }
+  const ids = JSON.stringify(contacts.map(contact => contact.id))
+  const entriesByList = Object.fromEntries(
+    lists.map(list => {
+      if (list === 'customFields') {
+        const byContact = new Map()
+        db.prepare(
+          `SELECT contact_custom_values.contact_id, custom_fields.name, custom_fields.type,
+                  contact_custom_values.value
+           FROM contact_custom_values
+           JOIN custom_fields ON custom_fields.id = contact_custom_values.field_id
+           WHERE contact_custom_values.contact_id IN (SELECT value FROM json_each(?))
+           ORDER BY custom_fields.name`
+        )
+          .all(ids)
+          .forEach(({ contact_id: contactId, name, type, value }) =>
+            byContact.set(contactId, {
+              ...byContact.get(contactId),
+              [name]: readCustomValue(type, value),
+            })
+          )
+        return [list, byContact]
+      }
+
+      const { table, columns } = LIST_TABLES[list]
+      const byContact = new Map()
+      db.prepare(
+        `SELECT * FROM ${table} WHERE contact_id IN (SELECT value FROM json_each(?))
+         ORDER BY contact_id, position`
+      )
+        .all(ids)
+        .forEach(row => {
+          const entry = Object.fromEntries(
+            Object.entries(columns).map(([field, column]) => [field, row[column]])
+          )
+          entry.primary = row.is_primary === 1
+          byContact.set(row.contact_id, [...(byContact.get(row.contact_id) || []), entry])
+        })
+      return [list, byContact]
+    })
+  )
+
+  const empty = list => (list === 'customFields' ? {} : [])
+  return contacts.map(contact => ({
+    ...contact,
+    ...('favorite' in contact && { favorite: Boolean(contact.favorite) }),
+    ...Object.fromEntries(
+      lists.map(list => [list, entriesByList[list].get(contact.id) || empty(list)])
+    ),
+  }))
+}
+
+/**
+ * Write a validated contact's fields, lists and custom field values over an
+ * existing row. Does not record history.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} id - Contact ID
+ * @param {Object} value - Output of validateContactInput()
+ */
+export const writeContact = (db, id, value) => {
+  const contact = withFlatFields(value)
+  const columns = ['name', 'phone', 'email', 'address', ...CONTACT_DETAIL_FIELDS]
+  db.prepare(
+    `UPDATE contacts SET ${columns.map(column => `${column} = ?`).join(', ')}, favorite = ?
+     WHERE id = ?`
+  ).run(...columns.map(column => contact[column] ?? null), contact.favorite ? 1 : 0, id)
+
+  // Values are keyed by field name; names match case-insensitively like the definitions
+  db.prepare('DELETE FROM contact_custom_values WHERE contact_id = ?').run(id)
+  const insertCustomValue = db.prepare(
+    `INSERT INTO contact_custom_values (contact_id, field_id, value)
+     SELECT ?, id, ? FROM custom_fields
+     WHERE owner_id = (SELECT owner_id FROM contacts WHERE id = ?) AND name = ?`
+  )
+  Object.entries(contact.customFields || {}).forEach(([name, fieldValue]) =>
+    insertCustomValue.run(id, String(fieldValue), id, name)
+  )
+
+  for (const [list, { table, columns }] of Object.entries(LIST_TABLES)) {
+    db.prepare(`DELETE FROM ${table} WHERE contact_id = ?`).run(id)
+    const insert = db.prepare(
+      `INSERT INTO ${table} (contact_id, ${Object.values(columns).join(', ')}, is_primary, position)
+       VALUES (?, ${Object.keys(columns)
+         .map(() => '?')
+         .join(', ')}, ?, ?)`
+    )
+    value[list].forEach((entry, position) =>
+      insert.run(
+        id,
+        ...Object.keys(columns).map(field => entry[field] ?? null),
+        entry.primary ? 1 : 0,
+        position
+      )
+    )
+  }
+}
+
+/**
+ * Insert a validated contact and record its creation in the history
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the new contact, also recorded as the actor
+ * @param {Object} value - Output of validateContactInput()
+ * @returns {number} ID of the new contact
+ */
+export const createContact = (db, ownerId, value) =>
+  db.transaction(() => {
+    const { name, phone, email, address } = withFlatFields(value)
+    const result = db
+      .prepare(
+        `INSERT INTO contacts (name, phone, email, address, owner_id, updated_at)
+         VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`
+      )
+      .run(name, phone, email, address, ownerId)
+    const id = Number(result.lastInsertRowid)
+    writeContact(db, id, value)
+    recordHistory(db, {
+      contactId: id,
+      ownerId,
+      actorId: ownerId,
+      operation: HISTORY_OPERATIONS.CREATE,
+      before: null,
+      after: value,
+    })
+    return id
+  })()
+
+/**
+ * Overwrite a contact with validated values, bump its version and record the change
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the contact, also recorded as the actor
+ * @param {Object} before - Current contact row
+ * @param {Object} value - Output of validateContactInput()
+ * @param {string} [operation] - History operation, `update` unless reverting
+ */
+export const updateContact = (db, ownerId, before, value, operation = HISTORY_OPERATIONS.UPDATE) =>
+  db.transaction(() => {
+    const [beforeWithDetails] = withContactDetails(db, [before])
+    writeContact(db, before.id, value)
+    touchContacts(db, [before.id])
+    recordHistory(db, {
+      contactId: before.id,
+      ownerId,
+      actorId: ownerId,
+      operation,
+      before: beforeWithDetails,
+      after: value,
+    })
+  })()
+
+/**
+ * Decide what importing each record would do without writing anything.
+ * A record updates the live contact sharing any of its phones or emails and
+ * inserts otherwise; records colliding with an earlier record are rejected.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {Array<Object>} records - `{ row, input, fields, customFields }` per
+ *   record: raw contact fields, and the flat fields and custom field names the
+ *   file provides. On update, fields the file does not provide keep their
+ *   current value.
+ * @returns {Array<Object>} One plan entry per record with `row`, `action`
+ *   (`insert`, `update` or `error`), the resulting `contact`, the `id` to update,
+ *   and `errors` for rejected records
+ */
+export const planContactImport = (db, ownerId, records) => {
+  const findMatches = db.prepare(
+    `SELECT * FROM contacts WHERE owner_id = ? AND deleted_at IS NULL AND (
+       id IN (SELECT contact_id FROM contact_phones
+              WHERE value IN (SELECT value FROM json_each(?)))
+       OR id IN (SELECT contact_id FROM contact_emails
+                 WHERE value IN (SELECT value FROM json_each(?))))`
+  )
+  const customFields = listCustomFields(db, ownerId)
+  const rowsByKey = new Map()
+  const keysOf = contact => [
+    ...contact.phones.map(entry => `phone:${entry.value}`),
+    ...contact.emails.map(entry => `email:${entry.value}`),
+  ]
+
+  return records.map(({ row, input, fields, customFields: fileCustomFields = [] }) => {
+    const { value, errors } = validateContactInput(input, customFields)
+    if (errors.length > 0) {
+      return { row, action: 'error', contact: input, errors }
+    }
+
+    const matches = findMatches.all(
+      ownerId,
+      JSON.stringify(value.phones.map(entry => entry.value)),
+      JSON.stringify(value.emails.map(entry => entry.value))
+    )
+    if (matches.length > 1) {
+      return {
+        row,
+        action: 'error',
+        contact: value,
+        errors: [{ field: 'email', rule: 'unique', msg: ERROR_MESSAGES.EMAIL_ALREADY_EXISTS }],
+      }
+    }
+
+    // A list is only replaced when the file changes its flat field, so extra
+    // phones, emails and addresses survive re-importing the same file
+    const [existing] = withContactDetails(db, matches)
+    const contact = existing
+      ? withFlatFields({
+          name: fields.includes('name') ? value.name : existing.name,
+          favorite: existing.favorite,
+          ...Object.fromEntries(
+            CONTACT_DETAIL_FIELDS.map(field => [
+              field,
+              fields.includes(field) ? value[field] : existing[field],
+            ])
+          ),
+          customFields: {
+            ...Object.fromEntries(
+              Object.entries(existing.customFields).filter(
+                ([name]) => !fileCustomFields.includes(name)
+              )
+            ),
+            ...value.customFields,
+          },
+          ...Object.fromEntries(
+            Object.entries(CONTACT_LISTS).map(([list, { flatField }]) => [
+              list,
+              fields.includes(flatField) && value[flatField] !== existing[flatField]
+                ? value[list]
+                : existing[list],
+            ])
+          ),
+        })
+      : value
+    const earlierRow = keysOf(contact)
+      .map(key => rowsByKey.get(key))
+      .find(Boolean)
+    if (earlierRow) {
+      return {
+        row,
+        action: 'error',
+        contact,
+        errors: [
+          {
+            field: null,
+            rule: 'unique',
+            msg: message(ERROR_MESSAGES.DUPLICATE_IMPORT_ROW, { row: earlierRow }),
+          },
+        ],
+      }
+    }
+    keysOf(contact).forEach(key => rowsByKey.set(key, row))
+
+    return existing
+      ? { row, action: 'update', id: existing.id, contact, before: existing }
+      : { row, action: 'insert', id: null, contact }
+  })
+}
+
+/**
+ * Write the inserts and updates of an import plan in one transaction
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {Array<Object>} plan - Output of planContactImport()
+ * @returns {Array<Object>} The plan with the IDs of inserted contacts filled in
+ */
+export const applyContactImport = (db, ownerId, plan) =>
+  db.transaction(() =>
+    plan.map(entry => {
+      if (entry.action === 'insert') {
+        return { ...entry, id: createContact(db, ownerId, entry.contact) }
+      }
+      if (entry.action === 'update') {
+        updateContact(db, ownerId, entry.before, entry.contact)
+      }
+      return entry
+    })
+  )()
+
+/**
+ * Move a contact to the trash, or delete it permanently, and record the change
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the contact
+ * @param {number|string} id - Contact ID
+ * @param {boolean} permanent - Delete the row instead of trashing it; trashed
+ *   contacts can only be deleted permanently
+ * @param {number|null} [actorId] - User recorded as making the change, the
+ *   owner by default; null for deletions the server makes on its own
+ * @returns {boolean} Whether a contact was deleted
+ */
+export const deleteContact = (db, ownerId, id, permanent, actorId = ownerId) =>
+  db.transaction(() => {
+    const before = db
+      .prepare(
+        `SELECT * FROM contacts WHERE id = ? AND owner_id = ?${permanent ? '' : ' AND deleted_at IS NULL'}`
+      )
+      .get(id, ownerId)
+    if (!before) {
+      return false
+    }
+
+    const [beforeWithDetails] = withContactDetails(db, [before])
+    if (permanent) {
+      db.prepare('DELETE FROM contacts WHERE id = ?').run(before.id)
+    } else {
+      db.prepare('UPDATE contacts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?').run(before.id)
+      touchContacts(db, [before.id])
+    }
+    recordHistory(db, {
+      contactId: before.id,
+      ownerId,
+      actorId,
+      operation: permanent ? HISTORY_OPERATIONS.PURGE : HISTORY_OPERATIONS.DELETE,
+      before: beforeWithDetails,
+      after: permanent ? null : beforeWithDetails,
+    })
+    return true
+  })()
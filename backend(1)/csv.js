@@ -0,0 +1,186 @@
+// Delimiters tried when the caller does not name one
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|']
+
+// Header names recognized without an explicit mapping, compared case-insensitively.
+// Chinese headers match the columns Excel exports from common address books.
+const HEADER_ALIASES = {
+  name: ['name', 'full name', 'display name', '姓名', '名字', '联系人'],
+  phone: [
+    'phone',
+    'mobile',
+    'telephone',
+    'tel',
+    'phone number',
+    '电话',
+    '手机',
+    '手机号',
+    '电话号码',
+  ],
+  email: ['email', 'e-mail', 'email address', '邮箱', '电子邮件', '电子邮箱'],
+  address: ['address', 'street', '地址', '住址'],
+  company: ['company', 'organization', 'organisation', '公司', '单位'],
+  title: ['title', 'job title', 'position', '职位', '职务'],
+  birthday: ['birthday', 'date of birth', 'birth date', '生日', '出生日期'],
+  notes: ['notes', 'note', 'remarks', '备注'],
+}
+
+/**
+ * Decode an uploaded file. Without an explicit encoding a byte order mark wins,
+ * then UTF-8 if the bytes are valid UTF-8, then GBK as used by Chinese Excel.
+ * @param {Buffer} buffer - File contents
+ * @param {string} [encoding] - WHATWG encoding label, e.g. `utf-8` or `gbk`
+ * @returns {{ text: string, encoding: string }} Decoded text without the BOM
+ * @throws {RangeError} If the encoding label is not supported
+ */
+export const decodeCsv = (buffer, encoding) => {
+  if (encoding) {
+    const decoder = new TextDecoder(encoding)
+    return { text: decoder.decode(buffer), encoding: decoder.encoding }
+  }
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: new TextDecoder('utf-8').decode(buffer), encoding: 'utf-8' }
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le' }
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be' }
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' }
+  } catch {
+    return { text: new TextDecoder('gbk').decode(buffer), encoding: 'gbk' }
+  }
+}
+
+/**
+ * Pick the candidate delimiter that occurs most often in the header line
+ * @param {string} text - Decoded file contents
+ * @returns {string} The delimiter, `,` if none occurs
+ */
+export const detectDelimiter = text => {
+  const header = text.split(/\r\n|\r|\n/, 1)[0].replace(/"[^"]*"/g, '')
+  const counts = CANDIDATE_DELIMITERS.map(delimiter => header.split(delimiter).length - 1)
+  const best = Math.max(...counts)
+  return best > 0 ? CANDIDATE_DELIMITERS[counts.indexOf(best)] : ','
+}
+
+/**
+ * Parse RFC 4180 CSV: quoted cells may contain delimiters, doubled quotes and
+ * line breaks. Blank lines are skipped.
+ * @param {string} text - Decoded file contents
+ * @param {string} delimiter - Single-character delimiter
+ * @returns {Array<{ line: number, cells: string[] }>} Records with the 1-based
+ *   line each one starts on
+ */
+export const parseCsv = (text, delimiter) => {
+  const records = []
+  let cells = []
+  let cell = ''
+  let inQuotes = false
+  let line = 1
+  let recordLine = 1
+
+  const endRecord = () => {
+    cells.push(cell)
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      records.push({ line: recordLine, cells })
+    }
+    cells = []
+    cell = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') {
+          line++
+        }
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      cells.push(cell)
+      cell = ''
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      endRecord()
+      line++
+      recordLine = line
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRecord()
+  }
+
+  return records
+}
+
+/**
+ * Map CSV columns to contact fields and custom fields. Without a mapping, a
+ * header naming one of the custom fields, ignoring case, maps to it before any
+ * alias is tried, as the CSV export writes a column per custom field.
+ * @param {string[]} headers - Header row
+ * @param {Object} [mapping] - Header name to contact field; defaults to HEADER_ALIASES
+ * @param {string[]} [customFieldNames] - Custom fields defined in the address book
+ * @returns {{ fields: Object, customFields: Object }} Contact field and custom
+ *   field name, each keyed by column index, for mapped columns only
+ */
+export const mapColumns = (headers, mapping, customFieldNames = []) => {
+  const customFieldOf = header =>
+    mapping
+      ? null
+      : (customFieldNames.find(name => name.toLowerCase() === header.toLowerCase()) ?? null)
+  const fieldOf = header => {
+    if (mapping) {
+      return mapping[header] ?? null
+    }
+    if (customFieldOf(header)) {
+      return null
+    }
+    const key = header.toLowerCase()
+    return Object.keys(HEADER_ALIASES).find(field => HEADER_ALIASES[field].includes(key)) ?? null
+  }
+  const columnsOf = lookup =>
+    Object.fromEntries(
+      headers.map((header, index) => [index, lookup(header.trim())]).filter(([, field]) => field)
+    )
+  return { fields: columnsOf(fieldOf), customFields: columnsOf(customFieldOf) }
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+// Signed numbers such as E.164 phone numbers are left alone.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+const SIGNED_NUMBER = /^[+-][\d\s().-]+$/
+
+const formatCell = value => {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  let text = String(value)
+  if (FORMULA_PREFIX.test(text) && !SIGNED_NUMBER.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Serialize rows as CSV with CRLF line endings and a UTF-8 BOM so Excel
+ * detects the encoding
+ * @param {string[]} headers - Header row
+ * @param {Array<Array>} rows - Cell values; null becomes an empty cell
+ * @returns {string} CSV text
+ */
+export const formatCsv = (headers, rows) =>
+  `\uFEFF${[headers, ...rows].map(row => row.map(formatCell).join(',')).join('\r\n')}\r\n`
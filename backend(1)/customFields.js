@@ -0,0 +1,99 @@
+import { CONTACT_LISTS, CONTACT_SCHEMA } from './validation.js'
+
+// Custom fields share the contact namespace in payloads and CSV headers, so
+// they cannot reuse the name of a built-in field
+const RESERVED_NAMES = [
+  'id',
+  'owner_id',
+  'favorite',
+  'customFields',
+  'created_at',
+  'deleted_at',
+  ...Object.keys(CONTACT_SCHEMA),
+  ...Object.keys(CONTACT_LISTS),
+].map(name => name.toLowerCase())
+
+/**
+ * Whether a custom field name collides with a built-in contact field
+ * @param {string} name - Proposed custom field name
+ * @returns {boolean}
+ */
+export const isReservedFieldName = name => RESERVED_NAMES.includes(name.toLowerCase())
+
+// Select definitions with the number of contacts that have a value for each
+const SELECT_SQL = `
+  SELECT custom_fields.*,
+         (SELECT COUNT(*) FROM contact_custom_values WHERE field_id = custom_fields.id)
+           AS value_count
+  FROM custom_fields`
+
+/**
+ * List the custom fields defined in an address book, by name
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @returns {Array<Object>} Rows with `value_count`
+ */
+export const listCustomFields = (db, ownerId) =>
+  db.prepare(`${SELECT_SQL} WHERE owner_id = ? ORDER BY name, id`).all(ownerId)
+
+/**
+ * Look up one custom field
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {number|string} id - Custom field ID
+ * @returns {Object|undefined} The row with `value_count`
+ */
+export const getCustomField = (db, ownerId, id) =>
+  db.prepare(`${SELECT_SQL} WHERE id = ? AND owner_id = ?`).get(id, ownerId)
+
+/**
+ * Define a custom field. Throws a UNIQUE constraint error if the name is taken.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {{ name: string, type: string }} value - Validated definition
+ * @returns {Object} The new row
+ */
+export const createCustomField = (db, ownerId, { name, type }) => {
+  const { lastInsertRowid } = db
+    .prepare('INSERT INTO custom_fields (owner_id, name, type) VALUES (?, ?, ?)')
+    .run(ownerId, name, type)
+  return getCustomField(db, ownerId, lastInsertRowid)
+}
+
+/**
+ * Rename a custom field or change its type. The type only changes while no
+ * contact has a value for the field. Throws a UNIQUE constraint error if the
+ * new name is taken.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {number|string} id - Custom field ID
+ * @param {{ name: string, type: string }} value - Validated definition
+ * @returns {{ field: Object|undefined, typeInUse: boolean }} The updated row, or
+ *   undefined if it does not exist; `typeInUse` when the type change was refused
+ */
+export const updateCustomField = (db, ownerId, id, { name, type }) =>
+  db.transaction(() => {
+    const current = getCustomField(db, ownerId, id)
+    if (!current) {
+      return { field: undefined, typeInUse: false }
+    }
+    if (current.type !== type && current.value_count > 0) {
+      return { field: current, typeInUse: true }
+    }
+    db.prepare('UPDATE custom_fields SET name = ?, type = ? WHERE id = ?').run(
+      name,
+      type,
+      current.id
+    )
+    return { field: getCustomField(db, ownerId, current.id), typeInUse: false }
+  })()
+
+/**
+ * Delete a custom field and every value stored for it
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the address book
+ * @param {number|string} id - Custom field ID
+ * @returns {boolean} Whether it existed
+ */
+export const deleteCustomField = (db, ownerId, id) =>
+  db.prepare('DELETE FROM custom_fields WHERE id = ? AND owner_id = ?').run(id, ownerId).changes > 0
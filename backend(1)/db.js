@@ -0,0 +1,10 @@
+import Database from 'better-sqlite3'
+import config from './config.js'
+
+// Single shared connection for the server and the migration CLI
+const db = new Database(config.db.path)
+
+// Needed for ON DELETE CASCADE, which removes a contact's phones, emails and addresses
+db.pragma('foreign_keys = ON')
+
+export default db
@@ -1,14 +1,47 @@
 /**
  * @openapi
- * /api/health:
+ * /api/health/live:
  *   get:
- *     summary: Health check endpoint
- *     description: Returns the health status of the server
+ *     summary: Liveness check
+ *     description: Answers as long as the server process is serving requests
+ *     tags:
+ *       - Health
+ *     responses:
+ *       200:
+ *         description: Server is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       type: string
+ *                       example: 1.0.0
+ *                     uptime:
+ *                       type: integer
+ *                       description: Seconds since the server started
+ *                       example: 3600
+ */
+
+/**
+ * @openapi
+ * /api/health/ready:
+ *   get:
+ *     summary: Readiness check
+ *     description: >
+ *       Checks that the database answers a query and its file is in place.
+ *       /api/health is the same check.
  *     tags:
  *       - Health
  *     responses:
  *       200:
- *         description: Server is healthy
+ *         description: Server is ready
  *         content:
  *           application/json:
  *             schema:
@@ -17,22 +50,96 @@
  *                 code:
  *                   type: integer
  *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthStatus'
+ *       503:
+ *         description: The database cannot be used (code 6)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 6
  *                 msg:
  *                   type: string
- *                   example: Server is running
+ *                   example: Database connection error
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthStatus'
  */
 
 /**
  * @openapi
- * /api/contacts:
+ * /api/health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Same as /api/health/ready
+ *     tags:
+ *       - Health
+ *     responses:
+ *       200:
+ *         description: Server is ready
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/HealthStatus'
+ *       503:
+ *         description: The database cannot be used (code 6)
+ */
+
+/**
+ * @openapi
+ * /metrics:
  *   get:
- *     summary: Get all contacts
- *     description: Retrieve a list of all contacts
+ *     summary: Prometheus metrics
+ *     description: >
+ *       Metrics in the Prometheus text format: http_requests_total by method,
+ *       route and status, the http_request_duration_seconds histogram by method
+ *       and route, api_errors_total by error code, contacts by state (live or
+ *       trashed), and Node.js process metrics. Turned off with
+ *       FEATURE_METRICS=false.
  *     tags:
- *       - Contacts
+ *       - Health
  *     responses:
  *       200:
- *         description: A list of contacts
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               http_requests_total{method="GET",route="/api/contacts/:id",status="200"} 12
+ *               api_errors_total{code="2",name="NOT_FOUND"} 3
+ *               contacts{state="live"} 42
+ */
+
+/**
+ * @openapi
+ * /api/auth/register:
+ *   post:
+ *     summary: Register a user
+ *     description: >
+ *       Create an account and sign in. The first user to register takes
+ *       ownership of contacts that were created before accounts existed.
+ *       Answers 404 when registration is turned off in the server config.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *     responses:
+ *       201:
+ *         description: User registered and signed in
  *         content:
  *           application/json:
  *             schema:
@@ -43,13 +150,35 @@
  *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Success
+ *                   example: User registered successfully
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Contact'
- *       500:
- *         description: Database error
+ *                   $ref: '#/components/schemas/AuthSession'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Exchange a username and password for an access and refresh token
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Logged in
  *         content:
  *           application/json:
  *             schema:
@@ -57,24 +186,38 @@
  *               properties:
  *                 code:
  *                   type: integer
- *                   example: 3
+ *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Database operation failed
+ *                   example: Logged in successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthSession'
+ *       401:
+ *         description: Invalid username or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *
+ * /api/auth/refresh:
  *   post:
- *     summary: Create a new contact
- *     description: Add a new contact to the database
+ *     summary: Refresh tokens
+ *     description: >
+ *       Exchange a refresh token for a new token pair. Each refresh token can be
+ *       used once; the old one is revoked.
  *     tags:
- *       - Contacts
+ *       - Auth
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ContactInput'
+ *             $ref: '#/components/schemas/RefreshTokenInput'
  *     responses:
- *       201:
- *         description: Contact created successfully
+ *       200:
+ *         description: New token pair
  *         content:
  *           application/json:
  *             schema:
@@ -85,11 +228,33 @@
  *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Contact created successfully
+ *                   example: Token refreshed successfully
  *                 data:
- *                   $ref: '#/components/schemas/Contact'
- *       400:
- *         description: Validation error
+ *                   $ref: '#/components/schemas/AuthSession'
+ *       401:
+ *         description: Refresh token is invalid, expired or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revoke a refresh token
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenInput'
+ *     responses:
+ *       200:
+ *         description: Logged out
  *         content:
  *           application/json:
  *             schema:
@@ -97,12 +262,27 @@
  *               properties:
  *                 code:
  *                   type: integer
- *                   example: 1
+ *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Required field is missing
- *       500:
- *         description: Database error
+ *                   example: Logged out successfully
+ *       401:
+ *         description: Refresh token is invalid, expired or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the current user
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The authenticated user
  *         content:
  *           application/json:
  *             schema:
@@ -110,30 +290,90 @@
  *               properties:
  *                 code:
  *                   type: integer
- *                   example: 3
+ *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Database operation failed
+ *                   nullable: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  */
 
 /**
  * @openapi
- * /api/contacts/{id}:
+ * /api/contacts:
  *   get:
- *     summary: Get a contact by ID
- *     description: Retrieve a specific contact by its ID
+ *     summary: List contacts
+ *     description: >
+ *       Retrieve one page of contacts. Use `offset` for numbered pages, or pass
+ *       `meta.nextCursor` back as `cursor` for stable keyset pagination over
+ *       large address books.
  *     tags:
  *       - Contacts
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: The contact ID
+ *       - in: query
+ *         name: limit
+ *         description: Page size
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         description: Number of contacts to skip; cannot be combined with cursor
  *         schema:
  *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *       - in: query
+ *         name: cursor
+ *         description: >
+ *           Opaque cursor from meta.nextCursor of the previous page; only valid
+ *           with the same sort and order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         description: Sort field; ties are broken by id
+ *         schema:
+ *           type: string
+ *           enum: [id, name, phone, email, created_at, updated_at, deleted_at]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         description: Sort direction
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: fields
+ *         description: >
+ *           Comma-separated fields to return, including phones, emails,
+ *           addresses and customFields; id is always included
+ *         schema:
+ *           type: string
+ *           example: name,phone
+ *       - in: query
+ *         name: filter
+ *         description: >
+ *           Structured filter in bracket notation, e.g.
+ *           `filter[created_at][gte]=2024-01-01&filter[email][exists]=true` or
+ *           `filter[or][0][address][contains]=Beijing&filter[or][1][name][startsWith]=Li`.
+ *           See ContactFilter for fields and operators.
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/ContactFilter'
+ *       - $ref: '#/components/parameters/GroupFilter'
+ *       - $ref: '#/components/parameters/TagFilter'
  *     responses:
  *       200:
- *         description: Contact found
+ *         description: A page of contacts
  *         content:
  *           application/json:
  *             schema:
@@ -144,22 +384,21 @@
  *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Success
+ *                   nullable: true
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
  *                 data:
- *                   $ref: '#/components/schemas/Contact'
- *       404:
- *         description: Contact not found
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameters
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 code:
- *                   type: integer
- *                   example: 2
- *                 msg:
- *                   type: string
- *                   example: Contact not found
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         description: Database error
  *         content:
@@ -173,18 +412,13 @@
  *                 msg:
  *                   type: string
  *                   example: Database operation failed
- *   put:
- *     summary: Update a contact
- *     description: Update an existing contact by ID
+ *   post:
+ *     summary: Create a new contact
+ *     description: Add a new contact to the database
  *     tags:
  *       - Contacts
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: The contact ID
- *         schema:
- *           type: integer
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -192,8 +426,8 @@
  *           schema:
  *             $ref: '#/components/schemas/ContactInput'
  *     responses:
- *       200:
- *         description: Contact updated successfully
+ *       201:
+ *         description: Contact created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -204,7 +438,7 @@
  *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Contact updated successfully
+ *                   example: Contact created successfully
  *                 data:
  *                   $ref: '#/components/schemas/Contact'
  *       400:
@@ -212,16 +446,56 @@
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 code:
  *                   type: integer
- *                   example: 1
+ *                   example: 3
  *                 msg:
  *                   type: string
- *                   example: Required field is missing
- *       404:
- *         description: Contact not found
+ *                   example: Database operation failed
+ */
+
+/**
+ * @openapi
+ * /api/contacts/search:
+ *   get:
+ *     summary: Search contacts
+ *     description: >
+ *       Ranked full-text search over name, email, address, phone, company, job
+ *       title, notes and custom field values. Every term
+ *       is a prefix match and all terms must match. Prefix a term with `name:`,
+ *       `phone:`, `email:` or `address:` to search a single field. Phone terms
+ *       ignore punctuation, so `138-0000` matches `13800000000`. Without `q`,
+ *       all contacts are returned.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Search text
+ *         schema:
+ *           type: string
+ *           example: name:li phone:138
+ *       - $ref: '#/components/parameters/GroupFilter'
+ *       - $ref: '#/components/parameters/TagFilter'
+ *     responses:
+ *       200:
+ *         description: Matching contacts, best match first
  *         content:
  *           application/json:
  *             schema:
@@ -229,10 +503,18 @@
  *               properties:
  *                 code:
  *                   type: integer
- *                   example: 2
+ *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Contact not found
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Database error
  *         content:
@@ -245,22 +527,60 @@
  *                   example: 3
  *                 msg:
  *                   type: string
- *                   example: Database operation failed
- *   delete:
- *     summary: Delete a contact
- *     description: Delete a contact by ID
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/query:
+ *   post:
+ *     summary: Query contacts with a structured filter
+ *     description: >
+ *       Same as listing contacts, with the filter and page options sent as JSON
+ *       so complex AND/OR combinations do not need bracket notation.
  *     tags:
  *       - Contacts
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: The contact ID
- *         schema:
- *           type: integer
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 $ref: '#/components/schemas/ContactFilter'
+ *               limit:
+ *                 type: integer
+ *                 example: 50
+ *               offset:
+ *                 type: integer
+ *                 example: 0
+ *               cursor:
+ *                 type: string
+ *               sort:
+ *                 type: string
+ *                 example: created_at
+ *               order:
+ *                 type: string
+ *                 enum: [asc, desc]
+ *               fields:
+ *                 type: string
+ *                 example: name,phone
+ *           example:
+ *             filter:
+ *               created_at:
+ *                 gte: '2024-01-01'
+ *               or:
+ *                 - email:
+ *                     exists: true
+ *                 - address:
+ *                     contains: Beijing
+ *             limit: 20
  *     responses:
  *       200:
- *         description: Contact deleted successfully
+ *         description: A page of matching contacts
  *         content:
  *           application/json:
  *             schema:
@@ -271,20 +591,23 @@
  *                   example: 0
  *                 msg:
  *                   type: string
- *                   example: Contact deleted successfully
- *       404:
- *         description: Contact not found
+ *                   nullable: true
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Unknown filter field, operator or invalid value
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 code:
- *                   type: integer
- *                   example: 2
- *                 msg:
- *                   type: string
- *                   example: Contact not found
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Database error
  *         content:
@@ -297,16 +620,2757 @@
  *                   example: 3
  *                 msg:
  *                   type: string
- *                   example: Database operation failed
+ *                   example: Failed to retrieve data
  */
 
 /**
  * @openapi
- * components:
- *   schemas:
- *     Contact:
- *       type: object
- *       properties:
+ * /api/contacts/favorites:
+ *   get:
+ *     summary: List favorite contacts
+ *     description: >
+ *       Favorite contacts, by name unless another sort is requested. Accepts the
+ *       same pagination, sort and field parameters as the contact list.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/GroupFilter'
+ *       - $ref: '#/components/parameters/TagFilter'
+ *     responses:
+ *       200:
+ *         description: A page of favorite contacts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   nullable: true
+ *                 meta:
+ *                   $ref: '#/components/schemas/PageMeta'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid pagination, sort, field or filter parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ */
+
+/**
+ * @openapi
+ * /api/contacts/trash:
+ *   get:
+ *     summary: List trashed contacts
+ *     description: >
+ *       Contacts moved to the trash, most recently deleted first. Accepts the same
+ *       pagination, sort and field parameters as the contact list.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of trashed contacts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   nullable: true
+ *                 meta:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PageMeta'
+ *                     - type: object
+ *                       properties:
+ *                         retentionDays:
+ *                           type: integer
+ *                           description: Days before trashed contacts are purged
+ *                           example: 30
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid pagination, sort or field parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/duplicates:
+ *   get:
+ *     summary: Find likely duplicate contacts
+ *     description: >
+ *       Groups contacts that share any normalized phone number or email address,
+ *       primary or not, or whose names are nearly identical ignoring case,
+ *       spacing and punctuation
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups of likely duplicates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DuplicateGroup'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/merge:
+ *   post:
+ *     summary: Merge duplicate contacts
+ *     description: >
+ *       Merges the source contacts into the target contact. The target gains every
+ *       phone, email and address of the sources it does not already have and keeps
+ *       its primary entries. Without an avatar of its own it takes the first
+ *       source's. The sources are then deleted.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetId:
+ *                 type: integer
+ *                 description: The surviving contact ID
+ *                 example: 1
+ *               sourceIds:
+ *                 type: array
+ *                 description: Contact IDs merged into the target and deleted
+ *                 items:
+ *                   type: integer
+ *                 example: [2, 3]
+ *             required:
+ *               - targetId
+ *               - sourceIds
+ *     responses:
+ *       200:
+ *         description: Contacts merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contacts merged successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Invalid contact IDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 1
+ *                 msg:
+ *                   type: string
+ *                   example: Invalid contact ID provided
+ *       404:
+ *         description: One of the contacts was not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: Contact not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to update data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/batch:
+ *   post:
+ *     summary: Create, update and delete contacts in one request
+ *     description: >
+ *       Runs up to 500 operations in a single transaction. Each operation gets
+ *       its own `code` and `msg` with the same meaning as the single-contact
+ *       endpoints. In `all-or-nothing` mode (the default) every operation is
+ *       attempted so all failures are reported, but nothing is saved unless all
+ *       of them succeed; the response then carries the code of the first failed
+ *       operation. In `best-effort` mode the successful operations are saved.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [all-or-nothing, best-effort]
+ *                 default: all-or-nothing
+ *               operations:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   $ref: '#/components/schemas/BatchOperation'
+ *           example:
+ *             mode: best-effort
+ *             operations:
+ *               - op: create
+ *                 data:
+ *                   name: Li Lei
+ *                   phone: '13800138000'
+ *               - op: update
+ *                 id: 2
+ *                 data:
+ *                   name: Han Meimei
+ *                   phone: '13900139000'
+ *               - op: delete
+ *                 id: 3
+ *     responses:
+ *       200:
+ *         description: >
+ *           Per-operation results. When an all-or-nothing batch is rolled back,
+ *           `code` and the HTTP status are those of the first failed operation,
+ *           e.g. 400, 404 or 409.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Batch completed
+ *                 data:
+ *                   $ref: '#/components/schemas/BatchResult'
+ *       400:
+ *         description: Invalid mode, or operations missing, empty or too long
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Database error; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to update data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/export.vcf:
+ *   get:
+ *     summary: Export contacts as vCard
+ *     description: >
+ *       Download live contacts as a .vcf file, ordered by name. Without `ids`,
+ *       `filter`, `group` or `tag` every contact is exported. FN, N and every
+ *       TEL, EMAIL and ADR are written, labeled by TYPE, with primary entries
+ *       marked as preferred, along with ORG, TITLE, BDAY, NOTE and one
+ *       `X-CUSTOM;X-NAME=<field>` line per custom field value.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: version
+ *         description: vCard version to produce
+ *         schema:
+ *           type: string
+ *           enum: ['3.0', '4.0']
+ *           default: '3.0'
+ *       - $ref: '#/components/parameters/VCardPhoto'
+ *       - in: query
+ *         name: ids
+ *         description: Comma-separated contact IDs to export
+ *         schema:
+ *           type: string
+ *           example: 1,2,3
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         description: Same filter syntax as the contact list
+ *         schema:
+ *           $ref: '#/components/schemas/ContactFilter'
+ *       - $ref: '#/components/parameters/GroupFilter'
+ *       - $ref: '#/components/parameters/TagFilter'
+ *     responses:
+ *       200:
+ *         description: vCard file
+ *         content:
+ *           text/vcard:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid version, ids or filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/import:
+ *   post:
+ *     summary: Import contacts from vCard
+ *     description: >
+ *       Upload a .vcf file (vCard 2.1, 3.0 or 4.0, up to 5 MB by default) with one or more
+ *       cards. FN (or N) maps to name and every TEL, EMAIL and ADR to phones,
+ *       emails and addresses, with the preferred one as primary. ORG, TITLE,
+ *       BDAY and NOTE map to company, title, birthday and notes. Folded lines
+ *       and quoted-printable values are supported. Each card is validated and
+ *       created on its own, and the response reports the outcome of every card.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *             required:
+ *               - file
+ *     responses:
+ *       200:
+ *         description: Import summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contacts imported
+ *                 data:
+ *                   $ref: '#/components/schemas/ImportSummary'
+ *       400:
+ *         description: Missing, oversized or empty file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to save data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/export.csv:
+ *   get:
+ *     summary: Export contacts as CSV
+ *     description: >
+ *       Download live contacts as UTF-8 CSV with a byte order mark, so Excel
+ *       detects the encoding. Columns are id, name, phone, email, address,
+ *       company, title, birthday, notes and created_at, followed by one column
+ *       per custom field. Cells that a spreadsheet would run as a formula are prefixed
+ *       with an apostrophe. Accepts the same `ids` and `filter` selection as the
+ *       vCard export, and the `group` and `tag` filters.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         description: Comma-separated contact IDs to export
+ *         schema:
+ *           type: string
+ *           example: 1,2,3
+ *       - in: query
+ *         name: filter
+ *         style: deepObject
+ *         explode: true
+ *         description: Same filter syntax as the contact list
+ *         schema:
+ *           $ref: '#/components/schemas/ContactFilter'
+ *       - $ref: '#/components/parameters/GroupFilter'
+ *       - $ref: '#/components/parameters/TagFilter'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid ids or filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/import/csv:
+ *   post:
+ *     summary: Import contacts from CSV
+ *     description: >
+ *       Upload a CSV file (up to 5 MB by default) whose first row is a header. Columns are
+ *       matched to contact fields through `mapping`, or by common English and
+ *       Chinese header names (Name/姓名, Phone/手机, Email/邮箱, Address/地址)
+ *       when no mapping is given, in which case a column named like one of your
+ *       custom fields fills that field. The encoding is taken from a byte order mark,
+ *       else UTF-8 if the file is valid UTF-8, else GBK; the delimiter is
+ *       detected from the header row. Each row is validated like a contact
+ *       payload. A row whose phone or email belongs to an existing contact
+ *       updates it, keeping the fields the file has no column for; other rows
+ *       are inserted. Rows that fail validation or repeat an earlier row are
+ *       reported and skipped. All other rows are written in one transaction.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         description: Return what the import would do without saving anything
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of header name to contact field
+ *                 example: '{"Full Name": "name", "Mobile": "phone"}'
+ *               delimiter:
+ *                 type: string
+ *                 description: Single-character delimiter, detected when omitted
+ *                 example: ;
+ *               encoding:
+ *                 type: string
+ *                 description: Encoding label such as utf-8 or gbk, detected when omitted
+ *                 example: gbk
+ *             required:
+ *               - file
+ *     responses:
+ *       200:
+ *         description: Import summary, or the preview when dryRun is true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contacts imported
+ *                 data:
+ *                   $ref: '#/components/schemas/CsvImportSummary'
+ *       400:
+ *         description: >
+ *           Missing or empty file, invalid options, a mapped column missing from
+ *           the header, or no column for a required field
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Database error; nothing was saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to save data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/{id}:
+ *   get:
+ *     summary: Get a contact by ID
+ *     description: >
+ *       Retrieve a specific contact by its ID, with the `groups` (id, name) and
+ *       `tags` (id, name, color) it belongs to. The ETag changes with the
+ *       contact's `version`, which goes up whenever its fields, lists, custom
+ *       field values or memberships change.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-None-Match
+ *         description: ETag of a cached copy; answered with 304 while it is current
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contact found
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ContactETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   $ref: '#/components/schemas/Contact'
+ *       304:
+ *         description: The copy named in If-None-Match is current
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: Contact not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Database operation failed
+ *   put:
+ *     summary: Update a contact
+ *     description: >
+ *       Replace every field of an existing contact. Send the ETag from the last
+ *       read in If-Match to update only if nobody changed the contact since.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactInput'
+ *     responses:
+ *       200:
+ *         description: Contact updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contact updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Contact'
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ContactETag'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: Contact not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Database operation failed
+ *   patch:
+ *     summary: Partially update a contact
+ *     description: >
+ *       Change only the fields in the body, which are the only ones validated;
+ *       the others keep their value. A flat phone, email or address replaces
+ *       its list with a single entry. `customFields` is merged into the current
+ *       values, and null removes a value. An empty body changes nothing.
+ *       Honors If-Match like PUT.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactPatch'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactPatch'
+ *     responses:
+ *       200:
+ *         description: Contact updated successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ContactETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contact updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Contact'
+ *       400:
+ *         description: Validation error in one of the changed fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: 'Contact not found (ID: 1)'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to update data
+ *   delete:
+ *     summary: Delete a contact
+ *     description: >
+ *       Move a contact to the trash. Trashed contacts are hidden from listing,
+ *       search and lookup, can be restored, and are purged after the retention
+ *       period (TRASH_RETENTION_DAYS, 30 by default). With `permanent=true` the
+ *       contact is deleted immediately, whether or not it is in the trash.
+ *       Honors If-Match like PUT.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: permanent
+ *         description: Delete permanently instead of moving to the trash
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Contact deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contact deleted successfully
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: Contact not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Database operation failed
+ */
+
+/**
+ * @openapi
+ * /api/contacts/{id}/vcard:
+ *   get:
+ *     summary: Export one contact as vCard
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: version
+ *         description: vCard version to produce
+ *         schema:
+ *           type: string
+ *           enum: ['3.0', '4.0']
+ *           default: '3.0'
+ *       - $ref: '#/components/parameters/VCardPhoto'
+ *     responses:
+ *       200:
+ *         description: vCard file
+ *         content:
+ *           text/vcard:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: 'Contact not found (ID: 1)'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/{id}/avatar:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   get:
+ *     summary: Get a contact's avatar
+ *     description: >
+ *       The image as uploaded, with a strong ETag. Send it back in
+ *       If-None-Match to get 304 Not Modified while the avatar is unchanged.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The image
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: The avatar matches If-None-Match
+ *       404:
+ *         description: Contact not found, or it has no avatar (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Upload a contact's avatar
+ *     description: >
+ *       Replaces any existing avatar. The image must be JPEG, PNG or WebP, as
+ *       detected from its content, and at most 2 MB by default. The avatar is kept while
+ *       the contact is in the trash and deleted with it for good.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *             required:
+ *               - avatar
+ *     responses:
+ *       200:
+ *         description: Avatar stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Avatar updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Avatar'
+ *       400:
+ *         description: Missing file, file too large, or not a supported image (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Contact not found (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Remove a contact's avatar
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar deleted
+ *       404:
+ *         description: Contact not found, or it has no avatar (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/contacts/{id}/restore:
+ *   post:
+ *     summary: Restore a trashed contact
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Contact restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contact restored successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Contact'
+ *       409:
+ *         description: A live contact already uses the same email or phone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 5
+ *                 msg:
+ *                   type: string
+ *                   example: Email already exists in the system
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Contact not found in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: Contact not found
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to update data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/{id}/history:
+ *   get:
+ *     summary: Get the change history of a contact
+ *     description: >
+ *       Every create, update, delete, restore, merge and revert of the contact,
+ *       newest first. History is kept after the contact is deleted permanently.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: History entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoryEntry'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: No history for this contact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: 'Contact not found (ID: 1)'
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to retrieve data
+ */
+
+/**
+ * @openapi
+ * /api/contacts/{id}/revert/{versionId}:
+ *   post:
+ *     summary: Revert a contact to an earlier version
+ *     description: >
+ *       Restore the field values recorded in a history entry's snapshot. The
+ *       contact must not be in the trash. The revert is itself recorded in the
+ *       history.
+ *     tags:
+ *       - Contacts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The contact ID
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         description: The `version` of a history entry of this contact
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Contact reverted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Contact reverted successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Contact'
+ *       409:
+ *         description: Another contact now uses the version's email or phone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 5
+ *                 msg:
+ *                   type: string
+ *                   example: Email already exists in the system
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Contact or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 2
+ *                 msg:
+ *                   type: string
+ *                   example: Contact version not found
+ *       500:
+ *         description: Database error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 3
+ *                 msg:
+ *                   type: string
+ *                   example: Failed to update data
+ */
+
+/**
+ * @openapi
+ * /api/custom-fields:
+ *   get:
+ *     summary: List custom fields
+ *     description: >
+ *       Every custom field defined in the address book by name, with the number
+ *       of contacts that have a value for it
+ *     tags:
+ *       - Custom fields
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Custom fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomField'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Define a custom field
+ *     tags:
+ *       - Custom fields
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomFieldInput'
+ *     responses:
+ *       201:
+ *         description: Custom field created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Custom field created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomField'
+ *       400:
+ *         description: Invalid input, or the name is reserved (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: The name is already taken (code 5)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/custom-fields/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   put:
+ *     summary: Rename a custom field or change its type
+ *     description: >
+ *       Contact values follow a rename. The type can only change while no
+ *       contact has a value for the field.
+ *     tags:
+ *       - Custom fields
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomFieldInput'
+ *     responses:
+ *       200:
+ *         description: Custom field updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomField'
+ *       400:
+ *         description: >
+ *           Invalid input, the name is reserved, or the type changes while
+ *           values exist (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: The name is already taken (code 5)
+ *       404:
+ *         description: Custom field not found (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Delete a custom field
+ *     description: Every contact's value for the field is deleted with it
+ *     tags:
+ *       - Custom fields
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Custom field deleted
+ *       404:
+ *         description: Custom field not found (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/groups:
+ *   get:
+ *     summary: List groups
+ *     description: Every group in the address book by name, with its number of live contacts
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Group'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Create a group
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupInput'
+ *     responses:
+ *       201:
+ *         description: Group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Group created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: The name is already taken (code 5)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   get:
+ *     summary: Get a group
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Group found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/Group'
+ *       404:
+ *         $ref: '#/components/responses/GroupNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Replace a group
+ *     description: Fields left out are cleared, except the required name
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupInput'
+ *     responses:
+ *       200:
+ *         description: Group updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: The name is already taken (code 5)
+ *       404:
+ *         $ref: '#/components/responses/GroupNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Delete a group
+ *     description: The group's contacts are kept
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Group deleted
+ *       404:
+ *         $ref: '#/components/responses/GroupNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/contacts:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   post:
+ *     summary: Add contacts to a group
+ *     description: >
+ *       Nothing is added unless every ID is a live contact; contacts already in
+ *       the group are skipped.
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactIds'
+ *     responses:
+ *       200:
+ *         description: Contacts added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     added:
+ *                       type: integer
+ *                       description: New memberships
+ *       400:
+ *         description: Invalid contactIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: The group, or one of the contacts, does not exist (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Remove contacts from a group
+ *     description: IDs that are not in the group are ignored
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactIds'
+ *     responses:
+ *       200:
+ *         description: Contacts removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     removed:
+ *                       type: integer
+ *       400:
+ *         description: Invalid contactIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/GroupNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/export.vcf:
+ *   get:
+ *     summary: Export a group as vCard
+ *     description: Every live contact of the group in one .vcf file named after it
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *           enum: ['3.0', '4.0']
+ *           default: '3.0'
+ *       - $ref: '#/components/parameters/VCardPhoto'
+ *     responses:
+ *       200:
+ *         description: vCard file
+ *         content:
+ *           text/vcard:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/GroupNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/export.csv:
+ *   get:
+ *     summary: Export a group as CSV
+ *     description: >
+ *       Every live contact of the group in one .csv file named after it, with
+ *       the same columns as the contact CSV export
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/GroupNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/tags:
+ *   get:
+ *     summary: List tags
+ *     description: Every tag in the address book by name, with its number of live contacts
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Create a tag
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Tag created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: The name is already taken (code 5)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/tags/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   get:
+ *     summary: Get a tag
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tag found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/Tag'
+ *       404:
+ *         $ref: '#/components/responses/TagNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Replace a tag
+ *     description: Fields left out are cleared, except the required name
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: The name is already taken (code 5)
+ *       404:
+ *         $ref: '#/components/responses/TagNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Delete a tag
+ *     description: The tag's contacts are kept
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       404:
+ *         $ref: '#/components/responses/TagNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/tags/{id}/contacts:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   post:
+ *     summary: Add contacts to a tag
+ *     description: >
+ *       Nothing is added unless every ID is a live contact; contacts already in
+ *       the tag are skipped.
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactIds'
+ *     responses:
+ *       200:
+ *         description: Contacts added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     added:
+ *                       type: integer
+ *                       description: New memberships
+ *       400:
+ *         description: Invalid contactIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: The tag, or one of the contacts, does not exist (code 2)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Remove contacts from a tag
+ *     description: IDs that are not in the tag are ignored
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactIds'
+ *     responses:
+ *       200:
+ *         description: Contacts removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     removed:
+ *                       type: integer
+ *       400:
+ *         description: Invalid contactIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/TagNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/tags/{id}/export.vcf:
+ *   get:
+ *     summary: Export a tag as vCard
+ *     description: Every live contact of the tag in one .vcf file named after it
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *           enum: ['3.0', '4.0']
+ *           default: '3.0'
+ *       - $ref: '#/components/parameters/VCardPhoto'
+ *     responses:
+ *       200:
+ *         description: vCard file
+ *         content:
+ *           text/vcard:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/TagNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/tags/{id}/export.csv:
+ *   get:
+ *     summary: Export a tag as CSV
+ *     description: >
+ *       Every live contact of the tag in one .csv file named after it, with
+ *       the same columns as the contact CSV export
+ *     tags:
+ *       - Tags
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/TagNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/events:
+ *   get:
+ *     summary: Stream contact change events
+ *     description: >
+ *       A Server-Sent Events stream of contact.created, contact.updated and
+ *       contact.deleted events for the signed-in user. Each event carries its ID,
+ *       so a reconnecting EventSource resumes with the Last-Event-ID header and
+ *       gets every event recorded since; without it the stream starts with the
+ *       next change. Events are kept for EVENT_RETENTION_DAYS (7 by default).
+ *       Restoring a contact from the trash sends contact.created, and a permanent
+ *       delete or merge into another contact sends contact.deleted. Idle streams
+ *       get a comment line every 25 seconds. EventSource cannot send headers, so
+ *       the access token may also be passed as `access_token`.
+ *     tags:
+ *       - Events
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         description: ID of the last event received; replay the events after it
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lastEventId
+ *         description: Same as Last-Event-ID, for the first connection
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: access_token
+ *         description: Access token, when the Authorization header cannot be set
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: >
+ *           Event stream. Each event has `id`, `event` (its type) and `data`,
+ *           the Event as JSON.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               id: 42
+ *               event: contact.updated
+ *               data: {"id":42,"type":"contact.updated","createdAt":"2024-01-01T12:00:00.000Z","data":{"contactId":7,"operation":"update","actorId":1,"historyId":97,"changes":{"name":{"from":"Ann","to":"Ann Lee"}},"contact":{"name":"Ann Lee"}}}
+ *       400:
+ *         description: Last-Event-ID is not an event ID (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks, without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Register a webhook
+ *     description: >
+ *       Each event the webhook subscribes to is POSTed to its URL as an Event.
+ *       The X-Webhook-Signature header is `sha256=` followed by the hex
+ *       HMAC-SHA256, keyed with the webhook secret, of the X-Webhook-Timestamp
+ *       value, a dot and the raw body. X-Webhook-Event, X-Webhook-Delivery and
+ *       X-Webhook-Id name the event type, delivery and webhook. Any 2xx answer
+ *       completes a delivery; anything else, including redirects and timeouts,
+ *       is retried with exponential backoff, by default 6 attempts starting 30
+ *       seconds apart. The secret is only returned here. `npm run
+ *       webhook:receiver` starts a local receiver that checks signatures.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Webhook created successfully
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Webhook'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           description: Key of the delivery signatures
+ *                           example: 3f1c...e9a0
+ *       400:
+ *         description: Invalid input (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *   get:
+ *     summary: Get a webhook
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Update a webhook
+ *     description: >
+ *       Replaces the URL, description, events and active flag; the secret stays
+ *       the same. Deliveries of an inactive webhook wait until it is active again.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid input (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Its delivery log and queued deliveries are deleted with it
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/ping:
+ *   post:
+ *     summary: Send a test delivery
+ *     description: >
+ *       Queues a webhook.ping event for the webhook, even an inactive one, and
+ *       answers before it is sent. Its outcome appears in the delivery log.
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Test delivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 msg:
+ *                   type: string
+ *                   example: Test delivery queued
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     description: >
+ *       The 100 most recent deliveries, newest first, with their status and the
+ *       outcome of the last attempt. Finished deliveries are kept for
+ *       WEBHOOK_LOG_RETENTION_DAYS (30 by default).
+ *     tags:
+ *       - Webhooks
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         $ref: '#/components/responses/WebhookNotFound'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+/**
+ * @openapi
+ * /api/admin/logs:
+ *   get:
+ *     summary: Search the server logs
+ *     description: >
+ *       Entries of the JSON log files, current and rotated, newest first. Log
+ *       files rotate every UTC day and at LOG_MAX_SIZE (20 MB by default), are
+ *       gzipped once rotated and kept for LOG_RETENTION_DAYS (14 by default).
+ *       Only entries at or above the server's LOG_LEVEL are written. Only for
+ *       administrators, marked with `node admin.js grant <username>`.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         description: Only entries at this level or a more severe one
+ *         schema:
+ *           type: string
+ *           enum: [error, warn, info, http, debug]
+ *       - in: query
+ *         name: from
+ *         description: Only entries logged at or after this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-01-01T00:00:00Z
+ *       - in: query
+ *         name: to
+ *         description: Only entries logged at or before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: requestId
+ *         description: Only entries of the request with this X-Request-Id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         description: Only entries whose message contains this text, ignoring case
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Matching entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: integer
+ *                   example: 0
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LogEntry'
+ *       400:
+ *         description: Invalid filter (code 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @openapi
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: Access token from /api/auth/login or /api/auth/register
+ *   responses:
+ *     Conflict:
+ *       description: The change clashes with existing data (code 5)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 5
+ *               msg:
+ *                 type: string
+ *                 example: Email already exists in the system
+ *     PreconditionFailed:
+ *       description: >
+ *         The contact changed since the version named in If-Match (code 8). The
+ *         ETag header carries the current version.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 8
+ *               msg:
+ *                 type: string
+ *                 example: Contact was changed by someone else; reload it and try again
+ *     TooManyRequests:
+ *       description: >
+ *         The client sent too many requests in the current window (code 7).
+ *         Retry-After gives the seconds until the limit resets.
+ *       headers:
+ *         Retry-After:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Limit:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Remaining:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Reset:
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 7
+ *               msg:
+ *                 type: string
+ *                 example: Too many requests, please try again later
+ *     Forbidden:
+ *       description: The endpoint is for administrators only (code 9)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 9
+ *               msg:
+ *                 type: string
+ *                 example: Administrator access required
+ *     Unauthorized:
+ *       description: Missing, invalid or expired access token
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthError'
+ *     GroupNotFound:
+ *       description: Group not found (code 2)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 2
+ *               msg:
+ *                 type: string
+ *                 example: 'Group not found (ID: 1)'
+ *     TagNotFound:
+ *       description: Tag not found (code 2)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 2
+ *               msg:
+ *                 type: string
+ *                 example: 'Tag not found (ID: 1)'
+ *     WebhookNotFound:
+ *       description: Webhook not found (code 2)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: integer
+ *                 example: 2
+ *               msg:
+ *                 type: string
+ *                 example: 'Webhook not found (ID: 1)'
+ *   headers:
+ *     ContactETag:
+ *       description: Version of the contact, for If-Match and If-None-Match
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       description: >
+ *         ETag of the version the change is based on. If the contact has changed
+ *         since, nothing is written and the answer is 412 with code 8.
+ *       schema:
+ *         type: string
+ *         example: '"3"'
+ *     VCardPhoto:
+ *       in: query
+ *       name: photo
+ *       description: >
+ *         Embed each contact's avatar as PHOTO, base64 in vCard 3.0 and a data
+ *         URI in 4.0
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *     GroupFilter:
+ *       in: query
+ *       name: group
+ *       description: >
+ *         Only contacts in this group, by ID or name (case-insensitive). Repeat
+ *         or comma-separate to require several groups.
+ *       schema:
+ *         type: string
+ *         example: Family
+ *     TagFilter:
+ *       in: query
+ *       name: tag
+ *       description: >
+ *         Only contacts with this tag, by ID or name (case-insensitive). Repeat
+ *         or comma-separate to require several tags.
+ *       schema:
+ *         type: string
+ *         example: vip
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         username:
+ *           type: string
+ *           example: alice
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *     RegisterInput:
+ *       type: object
+ *       properties:
+ *         username:
+ *           type: string
+ *           description: Letters, digits, underscore, dot and hyphen; case-insensitive
+ *           minLength: 3
+ *           maxLength: 50
+ *           example: alice
+ *         password:
+ *           type: string
+ *           format: password
+ *           minLength: 8
+ *           maxLength: 128
+ *           example: correct horse battery
+ *       required:
+ *         - username
+ *         - password
+ *     LoginInput:
+ *       type: object
+ *       properties:
+ *         username:
+ *           type: string
+ *           example: alice
+ *         password:
+ *           type: string
+ *           format: password
+ *           example: correct horse battery
+ *       required:
+ *         - username
+ *         - password
+ *     RefreshTokenInput:
+ *       type: object
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *       required:
+ *         - refreshToken
+ *     AuthSession:
+ *       type: object
+ *       properties:
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         accessToken:
+ *           type: string
+ *           description: 'JWT sent as `Authorization: Bearer <token>`'
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use JWT for /api/auth/refresh
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *           example: 900
+ *     AuthError:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: integer
+ *           example: 4
+ *         msg:
+ *           type: string
+ *           example: Authentication required
+ *     Contact:
+ *       type: object
+ *       properties:
  *         id:
  *           type: integer
  *           description: The contact ID
@@ -317,44 +3381,903 @@
  *           example: John Doe
  *         phone:
  *           type: string
- *           description: Phone number
+ *           description: Primary phone number
  *           example: +1234567890
  *         email:
  *           type: string
- *           description: Email address
+ *           description: Primary email address
  *           example: john@example.com
  *         address:
  *           type: string
- *           description: Physical address
+ *           description: Primary address on one line
  *           example: 123 Main St, City, State 12345
+ *         phones:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PhoneEntry'
+ *         emails:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EmailEntry'
+ *         addresses:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AddressEntry'
+ *         favorite:
+ *           type: boolean
+ *           example: false
+ *         company:
+ *           type: string
+ *           nullable: true
+ *           example: Acme Inc.
+ *         title:
+ *           type: string
+ *           nullable: true
+ *           description: Job title
+ *           example: Engineer
+ *         birthday:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: '1990-05-17'
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         customFields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
+ *         owner_id:
+ *           type: integer
+ *           description: ID of the user whose address book holds the contact
+ *           example: 1
  *         created_at:
  *           type: string
  *           description: Creation timestamp
  *           example: 2024-01-01 12:00:00
+ *         updated_at:
+ *           type: string
+ *           description: Time of the last change
+ *           example: 2024-01-02 08:30:00
+ *         version:
+ *           type: integer
+ *           description: Goes up with every change; the ETag is derived from it
+ *           example: 3
+ *         deleted_at:
+ *           type: string
+ *           nullable: true
+ *           description: When the contact was moved to the trash, null for live contacts
+ *           example: null
  *       required:
  *         - id
  *         - name
  *         - phone
+ *     PhoneEntry:
+ *       type: object
+ *       properties:
+ *         label:
+ *           type: string
+ *           description: Free-form label
+ *           maxLength: 30
+ *           default: mobile
+ *           example: work
+ *         value:
+ *           type: string
+ *           description: Phone number, stored as E.164; the primary phone is unique within the address book
+ *           maxLength: 32
+ *           example: +8613800138000
+ *         primary:
+ *           type: boolean
+ *           description: At most one entry may be primary; the first one is by default
+ *       required:
+ *         - value
+ *     EmailEntry:
+ *       type: object
+ *       properties:
+ *         label:
+ *           type: string
+ *           maxLength: 30
+ *           default: personal
+ *           example: work
+ *         value:
+ *           type: string
+ *           format: email
+ *           description: Email address, stored lowercased; the primary email is unique within the address book
+ *           maxLength: 254
+ *           example: john@example.com
+ *         primary:
+ *           type: boolean
+ *       required:
+ *         - value
+ *     AddressEntry:
+ *       type: object
+ *       description: At least one part must be set
+ *       properties:
+ *         label:
+ *           type: string
+ *           maxLength: 30
+ *           default: home
+ *           example: office
+ *         street:
+ *           type: string
+ *           maxLength: 500
+ *           example: 123 Main St
+ *         city:
+ *           type: string
+ *           maxLength: 100
+ *         region:
+ *           type: string
+ *           maxLength: 100
+ *         postalCode:
+ *           type: string
+ *           maxLength: 20
+ *         country:
+ *           type: string
+ *           maxLength: 100
+ *         primary:
+ *           type: boolean
+ *     Group:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         owner_id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: Family
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *         contact_count:
+ *           type: integer
+ *           description: Live contacts in the group
+ *           example: 3
+ *     GroupInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Unique within the address book, ignoring case
+ *           maxLength: 50
+ *           example: Family
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *       required:
+ *         - name
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         owner_id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: vip
+ *         color:
+ *           type: string
+ *           nullable: true
+ *           example: '#ff8800'
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *         contact_count:
+ *           type: integer
+ *           description: Live contacts with the tag
+ *           example: 3
+ *     TagInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Unique within the address book, ignoring case
+ *           maxLength: 30
+ *           example: vip
+ *         color:
+ *           type: string
+ *           description: Hex color such as `#ff8800`
+ *           example: '#ff8800'
+ *       required:
+ *         - name
+ *     ContactIds:
+ *       type: object
+ *       properties:
+ *         contactIds:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 500
+ *           items:
+ *             type: integer
+ *           example: [1, 2, 3]
+ *       required:
+ *         - contactIds
+ *     ContactPatch:
+ *       type: object
+ *       description: >
+ *         Any of the fields of ContactInput, none of them required. Fields left
+ *         out keep their current value.
+ *       additionalProperties: true
+ *       example:
+ *         company: Acme Inc.
+ *         customFields:
+ *           Team: null
  *     ContactInput:
  *       type: object
+ *       description: >
+ *         Strings are trimmed; empty optional fields are stored as null. Each of
+ *         phones, emails and addresses may instead be sent as its flat field
+ *         (phone, email, address), which stands for a single primary entry; the
+ *         list wins when both are sent. Up to 10 entries per list.
  *       properties:
  *         name:
  *           type: string
  *           description: Contact name
+ *           maxLength: 100
  *           example: John Doe
  *         phone:
  *           type: string
- *           description: Phone number
+ *           description: >
+ *             Phone number in E.164 or a national format of the default region
+ *             (PHONE_DEFAULT_REGION, CN by default); stored as E.164 and unique within the address book
+ *           maxLength: 32
  *           example: +1234567890
  *         email:
  *           type: string
- *           description: Email address
+ *           format: email
+ *           description: Email address, stored lowercased; unique within the address book
+ *           maxLength: 254
  *           example: john@example.com
  *         address:
  *           type: string
- *           description: Physical address
+ *           description: Physical address, stored as the street of a single address
+ *           maxLength: 500
  *           example: 123 Main St, City, State 12345
+ *         phones:
+ *           type: array
+ *           description: >
+ *             At least one phone is required. No other live contact may have any
+ *             of them.
+ *           maxItems: 10
+ *           items:
+ *             $ref: '#/components/schemas/PhoneEntry'
+ *         emails:
+ *           type: array
+ *           description: No other live contact may have any of them
+ *           maxItems: 10
+ *           items:
+ *             $ref: '#/components/schemas/EmailEntry'
+ *         addresses:
+ *           type: array
+ *           maxItems: 10
+ *           items:
+ *             $ref: '#/components/schemas/AddressEntry'
+ *         favorite:
+ *           type: boolean
+ *           default: false
+ *         company:
+ *           type: string
+ *           maxLength: 100
+ *           example: Acme Inc.
+ *         title:
+ *           type: string
+ *           description: Job title
+ *           maxLength: 100
+ *           example: Engineer
+ *         birthday:
+ *           type: string
+ *           format: date
+ *           description: YYYY-MM-DD
+ *           example: '1990-05-17'
+ *         notes:
+ *           type: string
+ *           maxLength: 2000
+ *         customFields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *       required:
  *         - name
- *         - phone
+ *     Avatar:
+ *       type: object
+ *       properties:
+ *         contact_id:
+ *           type: integer
+ *           example: 1
+ *         mime_type:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/webp]
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
+ *           example: 48213
+ *         etag:
+ *           type: string
+ *           example: '"Yx3cB1Xo0c2m8q5uR3yJ6fX1dKp0lW2nZ8aQ4eT7sVk"'
+ *         updated_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *     CustomField:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         owner_id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: Website
+ *         type:
+ *           type: string
+ *           enum: [text, date, url, number]
+ *           example: url
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *         value_count:
+ *           type: integer
+ *           description: Contacts with a value for the field
+ *           example: 3
+ *     CustomFieldInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: >
+ *             Unique within the address book, ignoring case, and not the name of
+ *             a built-in contact field
+ *           maxLength: 50
+ *           example: Website
+ *         type:
+ *           type: string
+ *           description: >
+ *             Value type; text up to 1000 characters, date as YYYY-MM-DD, url as
+ *             http(s) up to 2048 characters, or a finite number
+ *           enum: [text, date, url, number]
+ *           example: url
+ *       required:
+ *         - name
+ *         - type
+ *     CustomFieldValues:
+ *       type: object
+ *       description: >
+ *         Values of the address book's custom fields, keyed by field name
+ *         (case-insensitive on input). Fields without a value are omitted;
+ *         on update, a null value clears the field.
+ *       additionalProperties:
+ *         oneOf:
+ *           - type: string
+ *           - type: number
+ *       example:
+ *         Website: https://example.com
+ *         Employee number: 1042
+ *     SearchResult:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Contact'
+ *         - type: object
+ *           properties:
+ *             highlight:
+ *               type: object
+ *               description: HTML-escaped field values with matches wrapped in <mark>
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                   example: <mark>Li</mark> Lei
+ *                 email:
+ *                   type: string
+ *                   nullable: true
+ *                 address:
+ *                   type: string
+ *                   nullable: true
+ *     ContactFilter:
+ *       type: object
+ *       description: >
+ *         Keys are ANDed together. A field key maps to an object of operators
+ *         (a bare value means `eq`); `and` / `or` map to arrays of nested filters.
+ *         Fields and operators: `id` (eq, ne, gt, gte, lt, lte, in, exists);
+ *         `name`, `phone`, `email`, `address`, `company`, `title`, `birthday` (eq,
+ *         ne, contains, startsWith, in, exists); `favorite` (eq, ne, values true or
+ *         false); `created_at`, `updated_at` (eq, gt, gte, lt, lte, exists, values
+ *         are dates or ISO timestamps compared in UTC). `in` takes an array or a comma-separated
+ *         string, `exists` takes true or false. Unknown fields or operators are
+ *         rejected with code 1.
+ *       additionalProperties: true
+ *       example:
+ *         created_at:
+ *           gte: '2024-01-01'
+ *         email:
+ *           exists: true
+ *     PageMeta:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Number of contacts matching the request across all pages
+ *           example: 1234
+ *         limit:
+ *           type: integer
+ *           example: 50
+ *         offset:
+ *           type: integer
+ *           nullable: true
+ *           description: Offset of this page, or null when paging by cursor
+ *           example: 0
+ *         hasMore:
+ *           type: boolean
+ *           example: true
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Cursor for the next page, or null on the last page
+ *           example: WyIyMDI0LTAxLTAxIDEyOjAwOjAwIiw0Ml0
+ *     DuplicateGroup:
+ *       type: object
+ *       properties:
+ *         reasons:
+ *           type: array
+ *           description: Criteria that linked the contacts
+ *           items:
+ *             type: string
+ *             enum: [name, phone, email]
+ *           example: [name]
+ *         contacts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Contact'
+ *     HistoryEntry:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *           description: Version ID, usable with the revert endpoint
+ *           example: 2
+ *         contact_id:
+ *           type: integer
+ *           example: 1
+ *         operation:
+ *           type: string
+ *           description: "`purge` is a permanent delete, by the owner or by the trash retention purge"
+ *           enum: [create, update, delete, purge, restore, merge, revert]
+ *           example: update
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: User who made the change; null for the trash retention purge or if the account was removed
+ *           properties:
+ *             id:
+ *               type: integer
+ *               example: 1
+ *             username:
+ *               type: string
+ *               example: alice
+ *         changes:
+ *           type: object
+ *           description: Changed fields mapped to their old and new values
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 nullable: true
+ *               to:
+ *                 nullable: true
+ *           example:
+ *             name:
+ *               from: Li Lei
+ *               to: Lei Li
+ *         snapshot:
+ *           type: object
+ *           description: Field values after the change (the last values for a purge)
+ *           example:
+ *             name: Lei Li
+ *             phone: '+8613800138000'
+ *             email: lilei@example.com
+ *             address: null
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *     ImportSummary:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           example: 3
+ *         created:
+ *           type: integer
+ *           example: 2
+ *         failed:
+ *           type: integer
+ *           example: 1
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: 1-based position of the entry in the file
+ *                 example: 3
+ *               status:
+ *                 type: string
+ *                 enum: [created, failed]
+ *                 example: failed
+ *               id:
+ *                 type: integer
+ *                 description: ID of the created contact
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Li Lei
+ *               errors:
+ *                 type: array
+ *                 description: Why the entry was rejected
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                       nullable: true
+ *                       example: phone
+ *                     rule:
+ *                       type: string
+ *                       example: required
+ *                     msg:
+ *                       type: string
+ *                       example: Phone number is required
+ *     CsvImportSummary:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *           example: false
+ *         encoding:
+ *           type: string
+ *           example: gbk
+ *         delimiter:
+ *           type: string
+ *           example: ','
+ *         total:
+ *           type: integer
+ *           example: 3
+ *         inserted:
+ *           type: integer
+ *           example: 1
+ *         updated:
+ *           type: integer
+ *           example: 1
+ *         failed:
+ *           type: integer
+ *           example: 1
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Line of the file the row starts on
+ *                 example: 2
+ *               action:
+ *                 type: string
+ *                 enum: [insert, update, error]
+ *                 example: insert
+ *               id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Contact inserted or updated; null for inserts in a dry run
+ *               contact:
+ *                 $ref: '#/components/schemas/ContactInput'
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                       nullable: true
+ *                       example: phone
+ *                     rule:
+ *                       type: string
+ *                       example: format
+ *                     msg:
+ *                       type: string
+ *                       example: Invalid phone number format
+ *     BatchOperation:
+ *       type: object
+ *       required:
+ *         - op
+ *       properties:
+ *         op:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         id:
+ *           type: integer
+ *           description: Contact to update or delete
+ *         data:
+ *           $ref: '#/components/schemas/ContactInput'
+ *         permanent:
+ *           type: boolean
+ *           default: false
+ *           description: For delete, skip the trash
+ *     BatchResult:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           example: best-effort
+ *         committed:
+ *           type: boolean
+ *           description: Whether the changes were saved
+ *           example: true
+ *         total:
+ *           type: integer
+ *           example: 3
+ *         succeeded:
+ *           type: integer
+ *           example: 2
+ *         failed:
+ *           type: integer
+ *           example: 1
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the operation in the request
+ *                 example: 2
+ *               op:
+ *                 type: string
+ *                 nullable: true
+ *                 example: delete
+ *               code:
+ *                 type: integer
+ *                 example: 2
+ *               msg:
+ *                 type: string
+ *                 example: 'Contact not found (ID: 3)'
+ *               id:
+ *                 type: integer
+ *                 description: Contact created, updated or deleted
+ *               data:
+ *                 $ref: '#/components/schemas/Contact'
+ *               errors:
+ *                 type: array
+ *                 description: Field errors of a rejected create or update
+ *                 items:
+ *                   type: object
+ *     Event:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Event ID, increasing; null for webhook.ping
+ *           example: 42
+ *         type:
+ *           type: string
+ *           enum: [contact.created, contact.updated, contact.deleted, webhook.ping]
+ *           example: contact.updated
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-01-01T12:00:00.000Z
+ *         data:
+ *           type: object
+ *           properties:
+ *             contactId:
+ *               type: integer
+ *               example: 7
+ *             operation:
+ *               type: string
+ *               description: History operation behind the event
+ *               enum: [create, update, delete, purge, restore, merge, revert]
+ *               example: update
+ *             actorId:
+ *               type: integer
+ *               example: 1
+ *             historyId:
+ *               type: integer
+ *               description: History entry of the change, the version to revert to
+ *               example: 97
+ *             changes:
+ *               type: object
+ *               description: Changed fields mapped to `{ from, to }`
+ *             contact:
+ *               type: object
+ *               nullable: true
+ *               description: Contact fields after the change; null for contact.deleted
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         url:
+ *           type: string
+ *           example: https://example.com/hooks/contacts
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: Sync to CRM
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [contact.created, contact.deleted]
+ *         active:
+ *           type: boolean
+ *           example: true
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *     WebhookInput:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: http(s) URL the events are POSTed to
+ *           maxLength: 2048
+ *           example: https://example.com/hooks/contacts
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *           example: Sync to CRM
+ *         events:
+ *           type: array
+ *           description: Event types to deliver; all of them by default
+ *           items:
+ *             type: string
+ *             enum: [contact.created, contact.updated, contact.deleted]
+ *           example: [contact.created, contact.deleted]
+ *         active:
+ *           type: boolean
+ *           default: true
+ *       required:
+ *         - url
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         webhook_id:
+ *           type: integer
+ *           example: 1
+ *         event_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 42
+ *         event_type:
+ *           type: string
+ *           example: contact.updated
+ *         status:
+ *           type: string
+ *           description: >
+ *             pending until a 2xx answer (succeeded) or the last attempt fails
+ *             (failed)
+ *           enum: [pending, succeeded, failed]
+ *           example: pending
+ *         attempts:
+ *           type: integer
+ *           example: 2
+ *         next_attempt_at:
+ *           type: integer
+ *           description: When a pending delivery is tried next, in milliseconds since the epoch
+ *           example: 1704110460000
+ *         response_status:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status of the last answer
+ *           example: 500
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the last attempt failed
+ *           example: HTTP 500
+ *         created_at:
+ *           type: string
+ *           example: 2024-01-01 12:00:00
+ *         completed_at:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         payload:
+ *           $ref: '#/components/schemas/Event'
+ *     LogEntry:
+ *       type: object
+ *       description: >
+ *         A log entry with the metadata it was logged with. Personal data,
+ *         including search terms and filters, is redacted when the server runs
+ *         with LOG_REDACT.
+ *       properties:
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           example: 2024-01-01T12:00:00.000Z
+ *         level:
+ *           type: string
+ *           enum: [error, warn, info, http, debug]
+ *           example: http
+ *         message:
+ *           type: string
+ *           example: GET /api/contacts 200 4.2ms
+ *         requestId:
+ *           type: string
+ *           example: 0b6f3c7e-2a51-4f0e-9d43-8f1c2b7d9e10
+ *       additionalProperties: true
+ *     HealthStatus:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: string
+ *           example: 1.0.0
+ *         uptime:
+ *           type: integer
+ *           description: Seconds since the server started
+ *           example: 3600
+ *         database:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [ok, error]
+ *             size:
+ *               type: integer
+ *               description: Size of the database file in bytes
+ *               example: 253952
+ *             migrationVersion:
+ *               type: integer
+ *               description: Latest applied migration
+ *               example: 14
+ *             error:
+ *               type: string
+ *               description: Why the check failed
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: integer
+ *           example: 1
+ *         msg:
+ *           type: string
+ *           example: Invalid input data provided
+ *         errors:
+ *           type: array
+ *           description: Every failed field rule
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 description: >
+ *                   Field name, or a path such as `phones[1].value` or
+ *                   `customFields.Website`
+ *                 example: email
+ *               rule:
+ *                 type: string
+ *                 enum:
+ *                   [
+ *                     required,
+ *                     type,
+ *                     enum,
+ *                     maxLength,
+ *                     format,
+ *                     query,
+ *                     filter,
+ *                     upload,
+ *                     maxItems,
+ *                     unique,
+ *                     primary,
+ *                     unknown,
+ *                   ]
+ *                 example: format
+ *               msg:
+ *                 type: string
+ *                 example: Invalid email format
  */
@@ -0,0 +1,171 @@
+import {
+  CONTACT_DETAIL_FIELDS,
+  CONTACT_LISTS,
+  formatAddress,
+  normalizeEmail,
+  normalizePhone,
+} from './validation.js'
+import { touchContacts, withContactDetails, writeContact } from './contacts.js'
+import { inheritAvatar } from './avatars.js'
+
+// Names within this edit distance ratio are considered the same person
+const NAME_SIMILARITY_THRESHOLD = 0.2
+
+// Lowercase and drop whitespace and punctuation so "Li, Lei" and "lilei" compare equal
+const normalizeName = name =>
+  String(name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]/gu, '')
+
+// Fall back to bare digits for legacy phone values that are not valid E.164
+const phoneKey = phone => (phone ? normalizePhone(phone) || String(phone).replace(/\D/g, '') : '')
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+const isSimilarName = (a, b) => {
+  if (a === b) {
+    return true
+  }
+  const longest = Math.max(a.length, b.length)
+  return levenshtein(a, b) / longest <= NAME_SIMILARITY_THRESHOLD
+}
+
+/**
+ * Group contacts that likely describe the same person
+ * @param {Array<Object>} contacts - Contact rows with their phones and emails
+ *   lists, from withContactDetails(); any shared entry links two contacts
+ * @returns {Array<{ reasons: string[], contacts: Array<Object> }>} Groups of two or more
+ *   contacts, with the matching criteria (`name`, `phone`, `email`) that linked them
+ */
+export const findDuplicateGroups = contacts => {
+  // Union-find over row indexes; reasons are tracked per link
+  const parent = contacts.map((_, i) => i)
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+  const links = []
+  const union = (a, b, reason) => {
+    links.push({ a, b, reason })
+    parent[find(a)] = find(b)
+  }
+
+  const linkByKeys = (keysOf, reason) => {
+    const firstByKey = new Map()
+    contacts.forEach((contact, i) => {
+      new Set(keysOf(contact).filter(Boolean)).forEach(key => {
+        if (firstByKey.has(key)) {
+          union(firstByKey.get(key), i, reason)
+        } else {
+          firstByKey.set(key, i)
+        }
+      })
+    })
+  }
+
+  linkByKeys(contact => contact.phones.map(entry => phoneKey(entry.value)), 'phone')
+  linkByKeys(contact => contact.emails.map(entry => normalizeEmail(entry.value)), 'email')
+
+  // Only compare names sharing a first character and of similar length,
+  // which keeps fuzzy matching usable on large address books
+  const names = contacts
+    .map((contact, i) => ({ i, key: normalizeName(contact.name) }))
+    .filter(({ key }) => key)
+    .sort((x, y) => (x.key < y.key ? -1 : x.key > y.key ? 1 : 0))
+  for (let x = 0; x < names.length; x++) {
+    for (let y = x + 1; y < names.length && names[y].key[0] === names[x].key[0]; y++) {
+      const a = names[x].key
+      const b = names[y].key
+      if (Math.abs(a.length - b.length) <= 2 && isSimilarName(a, b)) {
+        union(names[x].i, names[y].i, 'name')
+      }
+    }
+  }
+
+  const groups = new Map()
+  contacts.forEach((contact, i) => {
+    const root = find(i)
+    if (!groups.has(root)) {
+      groups.set(root, { reasons: new Set(), contacts: [] })
+    }
+    groups.get(root).contacts.push(contact)
+  })
+  links.forEach(({ a, reason }) => groups.get(find(a)).reasons.add(reason))
+
+  return [...groups.values()]
+    .filter(group => group.contacts.length > 1)
+    .map(group => ({ reasons: [...group.reasons], contacts: group.contacts }))
+}
+
+// Entries are the same when their value (or formatted address) matches
+const entryKey = (list, entry) => (list === 'addresses' ? formatAddress(entry) : entry.value)
+
+/**
+ * Merge source contacts into a surviving contact and delete the sources.
+ * The survivor keeps its name and other single-value fields unless they are
+ * empty, and gains every phone, email, address and custom field value of the
+ * sources it does not already have. Its primary entries stay primary; a list it
+ * had no entries in takes the first source's primary. It is a favorite if any
+ * of the contacts was, and takes the first source avatar if it has none.
+ * Must be called inside a transaction.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of every contact involved
+ * @param {number} targetId - ID of the surviving contact
+ * @param {number[]} sourceIds - IDs of the contacts merged away
+ * @returns {Object|null} The merged contact, or null if any ID does not exist for this owner
+ */
+export const mergeContacts = (db, ownerId, targetId, sourceIds) => {
+  const getContact = db.prepare(
+    'SELECT * FROM contacts WHERE id = ? AND owner_id = ? AND deleted_at IS NULL'
+  )
+  const rows = [targetId, ...sourceIds].map(id => getContact.get(id, ownerId))
+  if (rows.some(row => !row)) {
+    return null
+  }
+
+  const [target, ...sources] = withContactDetails(db, rows)
+  const firstValue = field => [target, ...sources].find(contact => contact[field])?.[field]
+  const merged = {
+    ...target,
+    name: firstValue('name') || target.name,
+    favorite: [target, ...sources].some(contact => contact.favorite),
+    ...Object.fromEntries(CONTACT_DETAIL_FIELDS.map(field => [field, firstValue(field) ?? null])),
+    customFields: Object.assign(
+      {},
+      ...[...sources].reverse().map(source => source.customFields),
+      target.customFields
+    ),
+  }
+  for (const list of Object.keys(CONTACT_LISTS)) {
+    const entries = [...target[list]]
+    const inheritedPrimary =
+      entries.length === 0
+        ? sources.map(source => source[list].find(entry => entry.primary)).find(Boolean)
+        : null
+    sources.forEach(source =>
+      source[list]
+        .filter(entry => !entries.some(other => entryKey(list, other) === entryKey(list, entry)))
+        .forEach(entry => entries.push({ ...entry, primary: entry === inheritedPrimary }))
+    )
+    merged[list] = entries
+  }
+
+  inheritAvatar(db, targetId, sourceIds)
+
+  // Delete sources first so their email and phone can move to the survivor
+  const deleteContact = db.prepare('DELETE FROM contacts WHERE id = ?')
+  sourceIds.forEach(id => deleteContact.run(id))
+  writeContact(db, targetId, merged)
+  touchContacts(db, [targetId])
+
+  return withContactDetails(db, [getContact.get(targetId, ownerId)])[0]
+}
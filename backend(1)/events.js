@@ -0,0 +1,124 @@
+import { EventEmitter } from 'events'
+import config from './config.js'
+import logger from './logger.js'
+import { queueWebhookDeliveries } from './webhooks.js'
+
+export const EVENT_TYPES = {
+  CONTACT_CREATED: 'contact.created',
+  CONTACT_UPDATED: 'contact.updated',
+  CONTACT_DELETED: 'contact.deleted',
+}
+
+// How often events older than the retention period are purged
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+// Tells open streams and the webhook dispatcher that an event was recorded.
+// Listeners read the events table on a later tick, once the transaction that
+// recorded the event has committed; events of a rolled back transaction are
+// never read.
+const emitter = new EventEmitter().setMaxListeners(0)
+
+/**
+ * Event as sent to streams and webhooks
+ * @param {Object} row - Row of the events table
+ * @returns {{ id: number, type: string, createdAt: string, data: Object }}
+ */
+export const formatEvent = row => ({
+  id: row.id,
+  type: row.type,
+  // SQLite keeps UTC as `YYYY-MM-DD HH:MM:SS`
+  createdAt: new Date(`${row.created_at.replace(' ', 'T')}Z`).toISOString(),
+  data: JSON.parse(row.data),
+})
+
+/**
+ * Record an event and queue its webhook deliveries. Call it in the same
+ * transaction as the change it describes.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} event
+ * @param {number} event.ownerId - User whose data changed
+ * @param {string} event.type - One of EVENT_TYPES
+ * @param {Object} event.data - Event details
+ * @returns {number} Event ID
+ */
+export const recordEvent = (db, { ownerId, type, data }) => {
+  const row = db
+    .prepare('INSERT INTO events (owner_id, type, data) VALUES (?, ?, ?) RETURNING *')
+    .get(ownerId, type, JSON.stringify(data))
+  queueWebhookDeliveries(db, ownerId, formatEvent(row))
+  emitter.emit('event', { ownerId, id: row.id })
+  return row.id
+}
+
+/**
+ * Get notified when an event is recorded
+ * @param {Function} listener - Called with `{ ownerId, id }`, before the
+ *   recording transaction has committed
+ * @returns {Function} Removes the listener
+ */
+export const onEvent = listener => {
+  emitter.on('event', listener)
+  return () => emitter.off('event', listener)
+}
+
+/**
+ * Events of a user recorded after a given event, oldest first
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User ID
+ * @param {number} afterId - Last event ID the client has seen
+ * @param {number} limit - Maximum number of events
+ * @returns {Array<Object>} Events as formatEvent() returns them
+ */
+export const listEventsAfter = (db, ownerId, afterId, limit) =>
+  db
+    .prepare('SELECT * FROM events WHERE owner_id = ? AND id > ? ORDER BY id LIMIT ?')
+    .all(ownerId, afterId, limit)
+    .map(formatEvent)
+
+/**
+ * ID of the newest event, where a stream without Last-Event-ID starts
+ * @param {Object} db - better-sqlite3 database
+ * @returns {number} Event ID, 0 if there are none
+ */
+export const latestEventId = db => db.prepare('SELECT MAX(id) AS id FROM events').get().id ?? 0
+
+/**
+ * Server-Sent Events frame for an event
+ * @param {Object} event - Event as formatEvent() returns it
+ * @returns {string} Frame with id, event and data fields
+ */
+export const serverSentEvent = event =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+
+/**
+ * Delete events older than the retention period. Streams cannot resume from them afterwards.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} [retentionDays] - Days to keep events
+ * @returns {number} Number of events purged
+ */
+export const purgeExpiredEvents = (db, retentionDays = config.events.retentionDays) => {
+  const { changes } = db
+    .prepare("DELETE FROM events WHERE created_at < datetime('now', ?)")
+    .run(`-${retentionDays} days`)
+  if (changes > 0) {
+    logger.info('Expired events purged', { count: changes, retentionDays })
+  }
+  return changes
+}
+
+/**
+ * Purge expired events now and then periodically. The timer does not keep the
+ * process alive.
+ * @param {Object} db - better-sqlite3 database
+ */
+export const startEventPurge = db => {
+  const purge = () => {
+    try {
+      purgeExpiredEvents(db)
+    } catch (error) {
+      logger.error('Error purging events', { error: error.message, stack: error.stack })
+    }
+  }
+  purge()
+  setInterval(purge, PURGE_INTERVAL_MS).unref()
+}
@@ -0,0 +1,194 @@
+import { ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+
+// Filterable columns and the type their values are parsed as
+export const FILTER_FIELDS = {
+  id: 'integer',
+  name: 'text',
+  phone: 'text',
+  email: 'text',
+  address: 'text',
+  company: 'text',
+  title: 'text',
+  birthday: 'text',
+  favorite: 'boolean',
+  created_at: 'datetime',
+  updated_at: 'datetime',
+}
+
+// Operators allowed per type
+const OPERATORS = {
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'],
+  text: ['eq', 'ne', 'contains', 'startsWith', 'in', 'exists'],
+  datetime: ['eq', 'gt', 'gte', 'lt', 'lte', 'exists'],
+  boolean: ['eq', 'ne'],
+}
+
+const COMPARISONS = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' }
+
+// Guards against pathological filters
+const MAX_DEPTH = 5
+const MAX_CONDITIONS = 50
+const MAX_IN_VALUES = 100
+
+// Escape LIKE wildcards so user input is matched literally
+const escapeLike = value => value.replace(/[\\%_]/g, char => `\\${char}`)
+
+// SQLite stores CURRENT_TIMESTAMP as UTC "YYYY-MM-DD HH:MM:SS"
+const parseDatetime = value => {
+  const date = new Date(value)
+  return typeof value === 'string' && !Number.isNaN(date.getTime())
+    ? date.toISOString().replace('T', ' ').slice(0, 19)
+    : null
+}
+
+const parseValue = (type, value) => {
+  if (type === 'integer') {
+    const number = typeof value === 'number' ? value : Number(value)
+    return Number.isInteger(number) && String(value).trim() !== '' ? number : null
+  }
+  if (type === 'datetime') {
+    return parseDatetime(value)
+  }
+  if (type === 'boolean') {
+    const flag = parseBoolean(value)
+    return flag === null ? null : Number(flag)
+  }
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : null
+}
+
+const parseBoolean = value => {
+  if (value === true || value === 'true') {
+    return true
+  }
+  return value === false || value === 'false' ? false : null
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Compile a filter tree into a parameterized SQL condition.
+ *
+ * A node is an object whose keys are ANDed together. Each key is either a
+ * field name mapped to `{ operator: value }` (a bare value means `eq`), or
+ * `and` / `or` mapped to an array of nodes, e.g.
+ * `{ created_at: { gte: '2024-01-01' }, or: [{ email: { exists: true } }, { address: { contains: 'Beijing' } }] }`
+ *
+ * @param {Object} filter - Filter tree from `filter[...]` query params or a JSON body
+ * @returns {{ where: string[], params: Array, errors: Array<{ field: string, rule: string, msg: string }> }}
+ *   Conditions and values ready for paginateContacts(), and every rejected part
+ */
+export const compileFilter = filter => {
+  const errors = []
+  const params = []
+  let conditionCount = 0
+  const fail = (field, msg) => errors.push({ field, rule: 'filter', msg })
+
+  const compileCondition = (field, operator, rawValue) => {
+    const type = FILTER_FIELDS[field]
+    const path = `${field}.${operator}`
+
+    if (!OPERATORS[type].includes(operator)) {
+      fail(path, message(ERROR_MESSAGES.INVALID_FILTER_OPERATOR, { operator }))
+      return null
+    }
+
+    if (++conditionCount > MAX_CONDITIONS) {
+      fail(path, ERROR_MESSAGES.FILTER_TOO_COMPLEX)
+      return null
+    }
+
+    if (operator === 'exists') {
+      const exists = parseBoolean(rawValue)
+      if (exists === null) {
+        fail(path, ERROR_MESSAGES.INVALID_FILTER_VALUE)
+        return null
+      }
+      const present =
+        type === 'text' ? `(${field} IS NOT NULL AND ${field} != '')` : `${field} IS NOT NULL`
+      return exists ? present : `NOT ${present}`
+    }
+
+    if (operator === 'in') {
+      const rawValues = typeof rawValue === 'string' ? rawValue.split(',') : rawValue
+      const values = Array.isArray(rawValues) ? rawValues.map(value => parseValue(type, value)) : []
+      if (values.length === 0 || values.length > MAX_IN_VALUES || values.includes(null)) {
+        fail(path, ERROR_MESSAGES.INVALID_FILTER_VALUE)
+        return null
+      }
+      params.push(...values)
+      return `${field} IN (${values.map(() => '?').join(', ')})`
+    }
+
+    const value = parseValue(type, rawValue)
+    if (value === null) {
+      fail(path, ERROR_MESSAGES.INVALID_FILTER_VALUE)
+      return null
+    }
+
+    if (operator === 'contains' || operator === 'startsWith') {
+      const pattern = operator === 'contains' ? `%${escapeLike(value)}%` : `${escapeLike(value)}%`
+      params.push(pattern)
+      return `${field} LIKE ? ESCAPE '\\'`
+    }
+
+    params.push(value)
+    return `${field} ${COMPARISONS[operator]} ?`
+  }
+
+  const compileNode = (node, depth) => {
+    if (!isPlainObject(node)) {
+      fail(null, ERROR_MESSAGES.INVALID_FILTER)
+      return null
+    }
+    if (depth > MAX_DEPTH) {
+      fail(null, ERROR_MESSAGES.FILTER_TOO_COMPLEX)
+      return null
+    }
+
+    const conditions = Object.entries(node).map(([key, value]) => {
+      if (key === 'and' || key === 'or') {
+        // qs turns `filter[or][0]...` into an array, or an object for large indexes
+        const children = Array.isArray(value)
+          ? value
+          : isPlainObject(value)
+            ? Object.values(value)
+            : []
+        if (children.length === 0) {
+          fail(key, ERROR_MESSAGES.INVALID_FILTER)
+          return null
+        }
+        const compiled = children.map(child => compileNode(child, depth + 1))
+        return compiled.every(Boolean) ? `(${compiled.join(` ${key.toUpperCase()} `)})` : null
+      }
+
+      if (!Object.hasOwn(FILTER_FIELDS, key)) {
+        fail(key, message(ERROR_MESSAGES.INVALID_FILTER_FIELD, { field: key }))
+        return null
+      }
+
+      const operations = isPlainObject(value) ? Object.entries(value) : [['eq', value]]
+      if (operations.length === 0) {
+        fail(key, ERROR_MESSAGES.INVALID_FILTER)
+        return null
+      }
+      const compiled = operations.map(([operator, operand]) =>
+        compileCondition(key, operator, operand)
+      )
+      return compiled.every(Boolean) ? compiled.join(' AND ') : null
+    })
+
+    if (conditions.length === 0) {
+      fail(null, ERROR_MESSAGES.INVALID_FILTER)
+      return null
+    }
+    return conditions.every(Boolean) ? `(${conditions.join(' AND ')})` : null
+  }
+
+  if (filter === undefined) {
+    return { where: [], params, errors }
+  }
+
+  const where = compileNode(filter, 1)
+  return errors.length > 0 ? { where: [], params: [], errors } : { where: [where], params, errors }
+}
@@ -0,0 +1,31 @@
+import { readFileSync, statSync } from 'fs'
+
+// Version of the running code, as released in package.json
+export const APP_VERSION = JSON.parse(
+  readFileSync(new URL('./package.json', import.meta.url), 'utf8')
+).version
+
+/**
+ * Check that the database answers queries and its file is in place. The
+ * query reads a table, so a locked or unreadable database fails it.
+ * @param {Object} db - better-sqlite3 database
+ * @returns {{ ready: boolean, status: Object }} Whether requests can be served,
+ *   and the version, uptime in seconds, database file size in bytes and
+ *   migration version, or the database error
+ */
+export const checkReadiness = db => {
+  const status = { version: APP_VERSION, uptime: Math.round(process.uptime()) }
+  try {
+    const { version } = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get()
+    const size = db.memory ? null : statSync(db.name).size
+    return {
+      ready: true,
+      status: { ...status, database: { status: 'ok', size, migrationVersion: version } },
+    }
+  } catch (error) {
+    return {
+      ready: false,
+      status: { ...status, database: { status: 'error', error: error.message } },
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import { EVENT_TYPES, recordEvent } from './events.js'
+
+// Contact fields tracked in history and restored by a revert. The flat fields
+// are kept so entries written before the lists existed can still be reverted.
+export const HISTORY_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'address',
+  'phones',
+  'emails',
+  'addresses',
+  'favorite',
+  'company',
+  'title',
+  'birthday',
+  'notes',
+  'customFields',
+]
+
+export const HISTORY_OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  PURGE: 'purge',
+  RESTORE: 'restore',
+  MERGE: 'merge',
+  REVERT: 'revert',
+}
+
+const pickFields = contact =>
+  Object.fromEntries(
+    HISTORY_FIELDS.map(field => [field, contact ? (contact[field] ?? null) : null])
+  )
+
+/**
+ * Field-level diff between two versions of a contact
+ * @param {Object|null} before - Contact before the change, null on create
+ * @param {Object|null} after - Contact after the change, null on permanent delete
+ * @returns {Object} Changed fields mapped to `{ from, to }`
+ */
+export const diffContacts = (before, after) => {
+  const from = pickFields(before)
+  const to = pickFields(after)
+  return Object.fromEntries(
+    HISTORY_FIELDS.filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field])).map(
+      field => [field, { from: from[field], to: to[field] }]
+    )
+  )
+}
+
+// Change event published with each history entry. A restored contact comes
+// back into view, and merged sources leave it like deleted ones.
+const eventTypeOf = (operation, after) => {
+  if (operation === HISTORY_OPERATIONS.CREATE || operation === HISTORY_OPERATIONS.RESTORE) {
+    return EVENT_TYPES.CONTACT_CREATED
+  }
+  if (after === null || operation === HISTORY_OPERATIONS.DELETE) {
+    return EVENT_TYPES.CONTACT_DELETED
+  }
+  return EVENT_TYPES.CONTACT_UPDATED
+}
+
+/**
+ * Append a history entry for a contact mutation and publish its change event.
+ * Call it in the same transaction as the mutation.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} entry
+ * @param {number} entry.contactId - Contact that changed
+ * @param {number} entry.ownerId - Owner of the contact
+ * @param {number} entry.actorId - User who made the change
+ * @param {string} entry.operation - One of HISTORY_OPERATIONS
+ * @param {Object|null} entry.before - Contact before the change
+ * @param {Object|null} entry.after - Contact after the change
+ * @returns {number} ID of the entry, which is the version ID used for reverts
+ */
+export const recordHistory = (db, { contactId, ownerId, actorId, operation, before, after }) => {
+  const changes = diffContacts(before, after)
+  const result = db
+    .prepare(
+      `INSERT INTO contact_history (contact_id, owner_id, actor_id, operation, changes, snapshot)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      contactId,
+      ownerId,
+      actorId,
+      operation,
+      JSON.stringify(changes),
+      // A permanent delete keeps the last state so it can still be inspected
+      JSON.stringify(pickFields(after ?? before))
+    )
+  const historyId = Number(result.lastInsertRowid)
+
+  const type = eventTypeOf(operation, after)
+  recordEvent(db, {
+    ownerId,
+    type,
+    data: {
+      contactId,
+      operation,
+      actorId,
+      historyId,
+      changes,
+      contact: type === EVENT_TYPES.CONTACT_DELETED ? null : pickFields(after),
+    },
+  })
+  return historyId
+}
+
+const toEntry = ({ id, actor_id, actor_username, changes, snapshot, ...row }) => ({
+  version: id,
+  contact_id: row.contact_id,
+  operation: row.operation,
+  actor: actor_id === null ? null : { id: actor_id, username: actor_username },
+  changes: JSON.parse(changes),
+  snapshot: JSON.parse(snapshot),
+  created_at: row.created_at,
+})
+
+const HISTORY_SELECT = `
+  SELECT contact_history.*, users.username AS actor_username
+  FROM contact_history
+  LEFT JOIN users ON users.id = contact_history.actor_id`
+
+/**
+ * History of one contact, newest first
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the contact
+ * @param {number} contactId - Contact ID
+ * @returns {Array<Object>} Entries with version, operation, actor, changes and snapshot
+ */
+export const getContactHistory = (db, ownerId, contactId) =>
+  db
+    .prepare(
+      `${HISTORY_SELECT}
+       WHERE contact_history.owner_id = ? AND contact_history.contact_id = ?
+       ORDER BY contact_history.id DESC`
+    )
+    .all(ownerId, contactId)
+    .map(toEntry)
+
+/**
+ * One version of a contact
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Owner of the contact
+ * @param {number} contactId - Contact ID
+ * @param {number} versionId - History entry ID
+ * @returns {Object|null} The entry, or null if it does not belong to this contact
+ */
+export const getContactVersion = (db, ownerId, contactId, versionId) => {
+  const row = db
+    .prepare(
+      `${HISTORY_SELECT}
+       WHERE contact_history.owner_id = ? AND contact_history.contact_id = ?
+         AND contact_history.id = ?`
+    )
+    .get(ownerId, contactId, versionId)
+  return row ? toEntry(row) : null
+}
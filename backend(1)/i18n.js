@@ -0,0 +1,87 @@
+import en from './locales/en.js'
+import zhCN from './locales/zh-CN.js'
+
+const CATALOGS = { en, 'zh-CN': zhCN }
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS)
+export const DEFAULT_LOCALE = 'en'
+
+// Match a language tag such as `zh-cn`, `zh-Hans` or `en-US` to a supported
+// locale, exactly (ignoring case) or by its primary language
+const matchLocale = tag => {
+  const lower = tag.toLowerCase()
+  const language = lower.split('-')[0]
+  return (
+    SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === lower) ??
+    SUPPORTED_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language)
+  )
+}
+
+/**
+ * Pick the response locale: the `lang` query parameter, then the
+ * Accept-Language header in order of preference, then DEFAULT_LOCALE.
+ * Unsupported values are skipped rather than rejected.
+ * @param {Object} req - Express request
+ * @returns {string} One of SUPPORTED_LOCALES
+ */
+export const resolveLocale = req => {
+  const tags = [
+    ...(typeof req.query?.lang === 'string' ? [req.query.lang] : []),
+    ...req.acceptsLanguages(),
+  ]
+  return tags.map(matchLocale).find(Boolean) ?? DEFAULT_LOCALE
+}
+
+/**
+ * A message with values for its placeholders, translated when the response
+ * is sent. Messages without placeholders are passed as their bare key.
+ * @param {string} key - Entry of ERROR_MESSAGES
+ * @param {Object} params - Placeholder values, e.g. `{ id: 5 }`
+ * @returns {{ key: string, params: Object }}
+ */
+export const message = (key, params) => ({ key, params })
+
+/**
+ * Render a message in a locale, falling back to English for missing entries
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @param {string|{ key: string, params: Object }} msg - Key or message()
+ * @returns {string} The text, or `msg` itself if it is not a known key
+ */
+export const translate = (locale, msg) => {
+  const { key, params = {} } = typeof msg === 'string' ? { key: msg } : msg
+  const template = CATALOGS[locale]?.[key] ?? en[key]
+  if (template === undefined) {
+    return key
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : placeholder
+  )
+}
+
+/**
+ * Translate every `msg` in a response body, including those of validation
+ * errors, batch results and import reports nested below it
+ * @param {*} value - Response body or part of it
+ * @param {string} locale - One of SUPPORTED_LOCALES
+ * @returns {*} A copy with translated messages
+ */
+export const localizeMessages = (value, locale) => {
+  if (Array.isArray(value)) {
+    return value.map(item => localizeMessages(item, locale))
+  }
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    Object.getPrototypeOf(value) !== Object.prototype
+  ) {
+    return value
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, child]) => [
+      name,
+      name === 'msg' && (typeof child === 'string' || child?.key)
+        ? translate(locale, child)
+        : localizeMessages(child, locale),
+    ])
+  )
+}
@@ -0,0 +1,152 @@
+// English messages, keyed by ERROR_MESSAGES. `{name}` placeholders are filled
+// in by translate() in i18n.js. Every other locale falls back to this one.
+export default {
+  // Validation errors
+  REQUIRED_FIELD_MISSING: 'Required field is missing',
+  NAME_REQUIRED: 'Name is required',
+  PHONE_REQUIRED: 'Phone number is required',
+  INVALID_EMAIL_FORMAT: 'Invalid email format',
+  INVALID_PHONE_FORMAT: 'Invalid phone number format',
+  EMAIL_ALREADY_EXISTS: 'Email already exists in the system',
+  PHONE_ALREADY_EXISTS: 'Phone number already exists in the system',
+  INVALID_INPUT: 'Invalid input data provided',
+  INVALID_FIELD_TYPE: 'Value must be a string',
+  FIELD_TOO_LONG: 'Value exceeds the maximum length ({max})',
+  FIELD_TOO_SHORT: 'Value is shorter than the minimum length ({min})',
+  INVALID_FIELD_FORMAT: 'Value contains unsupported characters',
+  USERNAME_REQUIRED: 'Username is required',
+  PASSWORD_REQUIRED: 'Password is required',
+  USERNAME_ALREADY_EXISTS: 'Username is already taken',
+  INVALID_QUERY_PARAMETER: 'Invalid query parameter',
+  INVALID_PAGE_LIMIT: 'Invalid query parameter (1-{max})',
+  INVALID_CURSOR: 'Invalid pagination cursor',
+  INVALID_EVENT_ID: 'Last-Event-ID must be an event ID',
+  INVALID_JSON: 'Request body is not valid JSON',
+  REQUEST_TOO_LARGE: 'Request body exceeds the maximum size',
+  CURSOR_WITH_OFFSET: 'Cursor and offset cannot be combined',
+  CURSOR_SORT_MISMATCH: 'Cursor was made for another sort field or order',
+  INVALID_SORT_FIELD: 'Unsupported sort field: {field}',
+  INVALID_FIELD_SELECTION: 'Unsupported field requested: {fields}',
+  INVALID_FILTER: 'Invalid filter',
+  INVALID_FILTER_FIELD: 'Unsupported filter field: {field}',
+  INVALID_FILTER_OPERATOR: 'Unsupported filter operator: {operator}',
+  INVALID_FILTER_VALUE: 'Invalid filter value',
+  FILTER_TOO_COMPLEX: 'Filter is too complex',
+  INVALID_LIST: 'Value must be an array',
+  TOO_MANY_ENTRIES: 'Too many entries ({max})',
+  DUPLICATE_ENTRY: 'Entry is listed more than once',
+  MULTIPLE_PRIMARY: 'Only one entry can be primary',
+  ADDRESS_EMPTY: 'Address needs at least one part',
+  FILE_REQUIRED: 'A file upload is required',
+  FILE_TOO_LARGE: 'File exceeds the maximum size ({max} bytes)',
+  INVALID_UPLOAD: 'Invalid file upload',
+  UNSUPPORTED_IMAGE_TYPE: 'Image must be a JPEG, PNG or WebP file',
+  INVALID_VCARD_FILE: 'No vCard entries found in the file',
+  VCARD_MISSING_END: 'vCard is missing END:VCARD',
+  INVALID_CSV_FILE: 'No data rows found in the file',
+  INVALID_ENCODING: 'Unsupported file encoding',
+  INVALID_DELIMITER: 'Delimiter must be a single character',
+  INVALID_COLUMN_MAPPING: 'Column mapping must map header names to contact fields',
+  UNKNOWN_MAPPED_COLUMN: 'Mapped column is not in the header row ({column})',
+  REQUIRED_COLUMN_MISSING: 'No column is mapped to a required field ({field})',
+  DUPLICATE_IMPORT_ROW: 'Duplicates an earlier row in the file (row {row})',
+  INVALID_BATCH_MODE: 'Batch mode must be all-or-nothing or best-effort',
+  INVALID_BATCH_OPERATIONS: 'Operations must be a non-empty array',
+  TOO_MANY_BATCH_OPERATIONS: 'Too many operations in one batch ({max})',
+  INVALID_BATCH_OPERATION: 'Operation must be create, update or delete',
+  INVALID_CONTACT_IDS: 'contactIds must be a non-empty array of contact IDs',
+  INVALID_WEBHOOK_EVENTS: 'events must be a non-empty array of event types ({types})',
+  TOO_MANY_CONTACT_IDS: 'Too many contact IDs in one request ({max})',
+  GROUP_NAME_EXISTS: 'A group with this name already exists',
+  TAG_NAME_EXISTS: 'A tag with this name already exists',
+  INVALID_BOOLEAN: 'Value must be true or false',
+  INVALID_NUMBER: 'Value must be a number',
+  INVALID_DATE_FORMAT: 'Date must be a valid YYYY-MM-DD date',
+  INVALID_URL_FORMAT: 'URL must start with http:// or https://',
+  INVALID_FIELD_OPTION: 'Value is not one of the allowed options ({options})',
+  INVALID_CUSTOM_FIELDS: 'customFields must be an object of field names to values',
+  UNKNOWN_CUSTOM_FIELD: 'No custom field with this name is defined',
+  CUSTOM_FIELD_NAME_EXISTS: 'A custom field with this name already exists',
+  CUSTOM_FIELD_NAME_RESERVED: 'This name is used by a built-in contact field',
+  CUSTOM_FIELD_TYPE_IN_USE: 'The type cannot change while contacts have values for this field',
+
+  // Business logic errors
+  CONTACT_NOT_FOUND: 'Contact not found',
+  CONTACT_NOT_FOUND_ID: 'Contact not found (ID: {id})',
+  CONTACT_LIST_EMPTY: 'No contacts found',
+  INVALID_CONTACT_ID: 'Invalid contact ID provided',
+  MERGE_TARGET_IN_SOURCES: 'Merge target cannot also be a merge source',
+  CONTACT_VERSION_MISMATCH: 'Contact was changed by someone else; reload it and try again',
+  VERSION_NOT_FOUND: 'Contact version not found',
+  GROUP_NOT_FOUND: 'Group not found (ID: {id})',
+  TAG_NOT_FOUND: 'Tag not found (ID: {id})',
+  CUSTOM_FIELD_NOT_FOUND: 'Custom field not found (ID: {id})',
+  WEBHOOK_NOT_FOUND: 'Webhook not found (ID: {id})',
+  ROUTE_NOT_FOUND: 'No such API endpoint ({method} {path})',
+  AVATAR_NOT_FOUND: 'Contact has no avatar',
+
+  // Authentication errors
+  AUTH_REQUIRED: 'Authentication required',
+  INVALID_TOKEN: 'Invalid or revoked token',
+  TOKEN_EXPIRED: 'Token has expired',
+  INVALID_CREDENTIALS: 'Invalid username or password',
+  ADMIN_REQUIRED: 'Administrator access required',
+
+  // Success messages
+  USER_REGISTERED: 'User registered successfully',
+  LOGIN_SUCCESS: 'Logged in successfully',
+  TOKEN_REFRESHED: 'Token refreshed successfully',
+  LOGGED_OUT: 'Logged out successfully',
+  CONTACT_CREATED: 'Contact created successfully',
+  CONTACT_UPDATED: 'Contact updated successfully',
+  CONTACT_DELETED: 'Contact deleted successfully',
+  CONTACT_PERMANENTLY_DELETED: 'Contact permanently deleted',
+  CONTACT_RESTORED: 'Contact restored successfully',
+  CONTACT_REVERTED: 'Contact reverted successfully',
+  CONTACT_RETRIEVED: 'Contact retrieved successfully',
+  ALL_CONTACTS_RETRIEVED: 'All contacts retrieved successfully',
+  CONTACTS_SEARCHED: 'Contacts searched successfully',
+  CONTACTS_MERGED: 'Contacts merged successfully',
+  CONTACTS_IMPORTED: 'Contacts imported',
+  IMPORT_PREVIEWED: 'Import preview generated, nothing was saved',
+  GROUP_CREATED: 'Group created successfully',
+  GROUP_UPDATED: 'Group updated successfully',
+  GROUP_DELETED: 'Group deleted successfully',
+  TAG_CREATED: 'Tag created successfully',
+  TAG_UPDATED: 'Tag updated successfully',
+  TAG_DELETED: 'Tag deleted successfully',
+  CUSTOM_FIELD_CREATED: 'Custom field created successfully',
+  CUSTOM_FIELD_UPDATED: 'Custom field updated successfully',
+  CUSTOM_FIELD_DELETED: 'Custom field deleted successfully',
+  WEBHOOK_CREATED: 'Webhook created successfully',
+  WEBHOOK_UPDATED: 'Webhook updated successfully',
+  WEBHOOK_DELETED: 'Webhook deleted successfully',
+  WEBHOOK_PING_QUEUED: 'Test delivery queued',
+  AVATAR_UPDATED: 'Avatar updated successfully',
+  AVATAR_DELETED: 'Avatar deleted successfully',
+  MEMBERS_ADDED: 'Contacts added',
+  MEMBERS_REMOVED: 'Contacts removed',
+  BATCH_COMPLETED: 'Batch completed',
+  BATCH_ROLLED_BACK: 'Batch rolled back because an operation failed',
+  BATCH_NOT_APPLIED: 'Not applied because another operation in the batch failed',
+  SERVER_HEALTHY: 'Server is running and healthy',
+
+  // Server messages
+  SERVER_RUNNING: 'Server is running',
+  SUCCESS: 'Operation completed successfully',
+  REQUEST_PROCESSED: 'Request processed successfully',
+
+  // Database errors
+  DATABASE_OPERATION_FAILED: 'Database operation failed',
+  DATABASE_CONNECTION_ERROR: 'Database connection error',
+  DATA_RETRIEVAL_FAILED: 'Failed to retrieve data',
+  DATA_SAVE_FAILED: 'Failed to save data',
+  DATA_UPDATE_FAILED: 'Failed to update data',
+  DATA_DELETE_FAILED: 'Failed to delete data',
+
+  // Network and system errors
+  INTERNAL_SERVER_ERROR: 'Internal server error occurred',
+  SERVICE_UNAVAILABLE: 'Service temporarily unavailable',
+  RATE_LIMITED: 'Too many requests, please try again later',
+  BAD_REQUEST: 'Bad request - please check your input',
+}
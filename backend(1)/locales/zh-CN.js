@@ -0,0 +1,151 @@
+// Simplified Chinese messages. Keys missing here fall back to locales/en.js.
+export default {
+  // Validation errors
+  REQUIRED_FIELD_MISSING: '缺少必填字段',
+  NAME_REQUIRED: '姓名为必填项',
+  PHONE_REQUIRED: '电话号码为必填项',
+  INVALID_EMAIL_FORMAT: '邮箱格式不正确',
+  INVALID_PHONE_FORMAT: '电话号码格式不正确',
+  EMAIL_ALREADY_EXISTS: '该邮箱已存在',
+  PHONE_ALREADY_EXISTS: '该电话号码已存在',
+  INVALID_INPUT: '输入数据无效',
+  INVALID_FIELD_TYPE: '值必须是字符串',
+  FIELD_TOO_LONG: '长度超过上限（{max}）',
+  FIELD_TOO_SHORT: '长度低于下限（{min}）',
+  INVALID_FIELD_FORMAT: '包含不支持的字符',
+  USERNAME_REQUIRED: '用户名为必填项',
+  PASSWORD_REQUIRED: '密码为必填项',
+  USERNAME_ALREADY_EXISTS: '用户名已被占用',
+  INVALID_QUERY_PARAMETER: '查询参数无效',
+  INVALID_PAGE_LIMIT: '查询参数无效（1-{max}）',
+  INVALID_CURSOR: '分页游标无效',
+  INVALID_EVENT_ID: 'Last-Event-ID 必须是事件 ID',
+  INVALID_JSON: '请求体不是有效的 JSON',
+  REQUEST_TOO_LARGE: '请求体超过大小上限',
+  CURSOR_WITH_OFFSET: '游标与偏移量不能同时使用',
+  CURSOR_SORT_MISMATCH: '游标与当前的排序字段或顺序不一致',
+  INVALID_SORT_FIELD: '不支持的排序字段：{field}',
+  INVALID_FIELD_SELECTION: '不支持的返回字段：{fields}',
+  INVALID_FILTER: '筛选条件无效',
+  INVALID_FILTER_FIELD: '不支持的筛选字段：{field}',
+  INVALID_FILTER_OPERATOR: '不支持的筛选运算符：{operator}',
+  INVALID_FILTER_VALUE: '筛选值无效',
+  FILTER_TOO_COMPLEX: '筛选条件过于复杂',
+  INVALID_LIST: '值必须是数组',
+  TOO_MANY_ENTRIES: '条目过多（{max}）',
+  DUPLICATE_ENTRY: '条目重复',
+  MULTIPLE_PRIMARY: '只能有一个首选条目',
+  ADDRESS_EMPTY: '地址至少需要填写一项',
+  FILE_REQUIRED: '请上传文件',
+  FILE_TOO_LARGE: '文件超过大小上限（{max} 字节）',
+  INVALID_UPLOAD: '文件上传无效',
+  UNSUPPORTED_IMAGE_TYPE: '图片必须是 JPEG、PNG 或 WebP 格式',
+  INVALID_VCARD_FILE: '文件中没有 vCard 条目',
+  VCARD_MISSING_END: 'vCard 缺少 END:VCARD',
+  INVALID_CSV_FILE: '文件中没有数据行',
+  INVALID_ENCODING: '不支持的文件编码',
+  INVALID_DELIMITER: '分隔符必须是单个字符',
+  INVALID_COLUMN_MAPPING: '列映射必须将表头名称映射到联系人字段',
+  UNKNOWN_MAPPED_COLUMN: '映射的列不在表头中（{column}）',
+  REQUIRED_COLUMN_MISSING: '必填字段没有对应的列（{field}）',
+  DUPLICATE_IMPORT_ROW: '与文件中前面的行重复（第 {row} 行）',
+  INVALID_BATCH_MODE: '批处理模式必须是 all-or-nothing 或 best-effort',
+  INVALID_BATCH_OPERATIONS: 'operations 必须是非空数组',
+  TOO_MANY_BATCH_OPERATIONS: '单次批处理的操作过多（{max}）',
+  INVALID_BATCH_OPERATION: '操作必须是 create、update 或 delete',
+  INVALID_CONTACT_IDS: 'contactIds 必须是由联系人 ID 组成的非空数组',
+  INVALID_WEBHOOK_EVENTS: 'events 必须是由事件类型组成的非空数组（{types}）',
+  TOO_MANY_CONTACT_IDS: '单次请求的联系人 ID 过多（{max}）',
+  GROUP_NAME_EXISTS: '同名分组已存在',
+  TAG_NAME_EXISTS: '同名标签已存在',
+  INVALID_BOOLEAN: '值必须是 true 或 false',
+  INVALID_NUMBER: '值必须是数字',
+  INVALID_DATE_FORMAT: '日期必须是有效的 YYYY-MM-DD 格式',
+  INVALID_URL_FORMAT: '网址必须以 http:// 或 https:// 开头',
+  INVALID_FIELD_OPTION: '值不在允许的选项中（{options}）',
+  INVALID_CUSTOM_FIELDS: 'customFields 必须是字段名到值的对象',
+  UNKNOWN_CUSTOM_FIELD: '未定义该名称的自定义字段',
+  CUSTOM_FIELD_NAME_EXISTS: '同名自定义字段已存在',
+  CUSTOM_FIELD_NAME_RESERVED: '该名称已被联系人内置字段使用',
+  CUSTOM_FIELD_TYPE_IN_USE: '仍有联系人填写了该字段，无法修改类型',
+
+  // Business logic errors
+  CONTACT_NOT_FOUND: '联系人不存在',
+  CONTACT_NOT_FOUND_ID: '联系人不存在（ID：{id}）',
+  CONTACT_LIST_EMPTY: '没有找到联系人',
+  INVALID_CONTACT_ID: '联系人 ID 无效',
+  MERGE_TARGET_IN_SOURCES: '合并目标不能同时作为合并来源',
+  CONTACT_VERSION_MISMATCH: '联系人已被他人修改，请重新加载后再试',
+  VERSION_NOT_FOUND: '联系人版本不存在',
+  GROUP_NOT_FOUND: '分组不存在（ID：{id}）',
+  TAG_NOT_FOUND: '标签不存在（ID：{id}）',
+  CUSTOM_FIELD_NOT_FOUND: '自定义字段不存在（ID：{id}）',
+  WEBHOOK_NOT_FOUND: 'Webhook 不存在（ID：{id}）',
+  ROUTE_NOT_FOUND: '接口不存在（{method} {path}）',
+  AVATAR_NOT_FOUND: '该联系人没有头像',
+
+  // Authentication errors
+  AUTH_REQUIRED: '请先登录',
+  INVALID_TOKEN: '令牌无效或已被吊销',
+  TOKEN_EXPIRED: '令牌已过期',
+  INVALID_CREDENTIALS: '用户名或密码错误',
+  ADMIN_REQUIRED: '需要管理员权限',
+
+  // Success messages
+  USER_REGISTERED: '注册成功',
+  LOGIN_SUCCESS: '登录成功',
+  TOKEN_REFRESHED: '令牌刷新成功',
+  LOGGED_OUT: '已退出登录',
+  CONTACT_CREATED: '联系人创建成功',
+  CONTACT_UPDATED: '联系人更新成功',
+  CONTACT_DELETED: '联系人删除成功',
+  CONTACT_PERMANENTLY_DELETED: '联系人已永久删除',
+  CONTACT_RESTORED: '联系人恢复成功',
+  CONTACT_REVERTED: '联系人已回退',
+  CONTACT_RETRIEVED: '联系人获取成功',
+  ALL_CONTACTS_RETRIEVED: '全部联系人获取成功',
+  CONTACTS_SEARCHED: '联系人搜索成功',
+  CONTACTS_MERGED: '联系人合并成功',
+  CONTACTS_IMPORTED: '联系人已导入',
+  IMPORT_PREVIEWED: '已生成导入预览，未保存任何数据',
+  GROUP_CREATED: '分组创建成功',
+  GROUP_UPDATED: '分组更新成功',
+  GROUP_DELETED: '分组删除成功',
+  TAG_CREATED: '标签创建成功',
+  TAG_UPDATED: '标签更新成功',
+  TAG_DELETED: '标签删除成功',
+  CUSTOM_FIELD_CREATED: '自定义字段创建成功',
+  CUSTOM_FIELD_UPDATED: '自定义字段更新成功',
+  CUSTOM_FIELD_DELETED: '自定义字段删除成功',
+  WEBHOOK_CREATED: 'Webhook 创建成功',
+  WEBHOOK_UPDATED: 'Webhook 更新成功',
+  WEBHOOK_DELETED: 'Webhook 删除成功',
+  WEBHOOK_PING_QUEUED: '测试推送已排队',
+  AVATAR_UPDATED: '头像更新成功',
+  AVATAR_DELETED: '头像删除成功',
+  MEMBERS_ADDED: '联系人已添加',
+  MEMBERS_REMOVED: '联系人已移除',
+  BATCH_COMPLETED: '批处理完成',
+  BATCH_ROLLED_BACK: '有操作失败，批处理已回滚',
+  BATCH_NOT_APPLIED: '批处理中有其他操作失败，本操作未执行',
+  SERVER_HEALTHY: '服务运行正常',
+
+  // Server messages
+  SERVER_RUNNING: '服务正在运行',
+  SUCCESS: '操作成功',
+  REQUEST_PROCESSED: '请求处理成功',
+
+  // Database errors
+  DATABASE_OPERATION_FAILED: '数据库操作失败',
+  DATABASE_CONNECTION_ERROR: '数据库连接错误',
+  DATA_RETRIEVAL_FAILED: '获取数据失败',
+  DATA_SAVE_FAILED: '保存数据失败',
+  DATA_UPDATE_FAILED: '更新数据失败',
+  DATA_DELETE_FAILED: '删除数据失败',
+
+  // Network and system errors
+  INTERNAL_SERVER_ERROR: '服务器内部错误',
+  SERVICE_UNAVAILABLE: '服务暂时不可用',
+  RATE_LIMITED: '请求过于频繁，请稍后再试',
+  BAD_REQUEST: '请求有误，请检查输入',
+}
@@ -0,0 +1,151 @@
+import { createReadStream, readdirSync } from 'fs'
+import { join } from 'path'
+import { createInterface } from 'readline'
+import { createGunzip } from 'zlib'
+import config from './config.js'
+import { ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+
+// The logger's levels, most severe first
+export const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'debug']
+
+export const DEFAULT_LOG_LIMIT = 100
+export const MAX_LOG_LIMIT = 1000
+
+// Files of the `all` transport: all-<UTC day>.log, then all-<day>.log.1 and so
+// on when the size limit is reached, with .gz added once rotated and compressed
+const LOG_FILE_PATTERN = /^all-(\d{4}-\d{2}-\d{2})\.log(?:\.(\d+))?(\.gz)?$/
+
+const parseTime = raw => {
+  const time = typeof raw === 'string' ? Date.parse(raw) : NaN
+  return Number.isNaN(time) ? null : time
+}
+
+/**
+ * Validate the filters of a log query
+ * @param {Object} query - Express req.query
+ * @returns {{ value: Object, errors: Array }} `level` (that level and more
+ *   severe ones), `from` and `to` (milliseconds, inclusive), `requestId`, `q`
+ *   (text in the message, ignoring case) and `limit`; see validate() for errors
+ */
+export const parseLogQuery = query => {
+  const errors = []
+  const fail = (field, msg) => errors.push({ field, rule: 'query', msg })
+  const value = { level: null, from: null, to: null, requestId: null, q: null }
+
+  if (query.level !== undefined) {
+    value.level = query.level
+    if (!LOG_LEVELS.includes(query.level)) {
+      fail(
+        'level',
+        message(ERROR_MESSAGES.INVALID_FIELD_OPTION, { options: LOG_LEVELS.join(', ') })
+      )
+    }
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined) {
+      value[field] = parseTime(query[field])
+      if (value[field] === null) {
+        fail(field, ERROR_MESSAGES.INVALID_QUERY_PARAMETER)
+      }
+    }
+  }
+
+  for (const field of ['requestId', 'q']) {
+    if (query[field] !== undefined) {
+      value[field] = typeof query[field] === 'string' ? query[field] : null
+      if (!value[field]) {
+        fail(field, ERROR_MESSAGES.INVALID_QUERY_PARAMETER)
+      }
+    }
+  }
+
+  value.limit = DEFAULT_LOG_LIMIT
+  if (query.limit !== undefined) {
+    const limit =
+      typeof query.limit === 'string' && /^\d+$/.test(query.limit) ? Number(query.limit) : 0
+    value.limit = limit >= 1 && limit <= MAX_LOG_LIMIT ? limit : null
+    if (value.limit === null) {
+      fail('limit', message(ERROR_MESSAGES.INVALID_PAGE_LIMIT, { max: MAX_LOG_LIMIT }))
+    }
+  }
+
+  return { value, errors }
+}
+
+// Log files, newest first. A file caught while it is being compressed is
+// read from its uncompressed copy.
+const listLogFiles = dir => {
+  const names = readdirSync(dir)
+  return names
+    .map(name => LOG_FILE_PATTERN.exec(name))
+    .filter(match => match && !(match[3] && names.includes(match[0].slice(0, -3))))
+    .map(([name, day, part = '0']) => ({ name, day, part: Number(part) }))
+    .sort((a, b) => b.day.localeCompare(a.day) || b.part - a.part)
+}
+
+const readLines = path => {
+  const input = createReadStream(path)
+  const lines = createInterface({
+    input: path.endsWith('.gz') ? input.pipe(createGunzip()) : input,
+    crlfDelay: Infinity,
+  })
+  // Files can disappear under the reader when retention deletes them
+  input.on('error', () => lines.close())
+  return lines
+}
+
+const matchesFilters = (entry, { level, from, to, requestId, q }) => {
+  const time = Date.parse(entry.timestamp)
+  return (
+    (level === null || LOG_LEVELS.indexOf(entry.level) <= LOG_LEVELS.indexOf(level)) &&
+    (from === null || time >= from) &&
+    (to === null || time <= to) &&
+    (requestId === null || entry.requestId === requestId) &&
+    (q === null || String(entry.message).toLowerCase().includes(q.toLowerCase()))
+  )
+}
+
+/**
+ * Search the JSON log files, current and rotated, for matching entries.
+ * Files of days outside the time range are skipped unread.
+ * @param {Object} filters - Output of parseLogQuery()
+ * @param {string} [dir] - Log directory
+ * @returns {Promise<Array<Object>>} Up to `limit` entries, newest first
+ */
+export const queryLogs = async (filters, dir = config.log.dir) => {
+  const fromDay = filters.from === null ? null : new Date(filters.from).toISOString().slice(0, 10)
+  const toDay = filters.to === null ? null : new Date(filters.to).toISOString().slice(0, 10)
+  const entries = []
+
+  for (const file of listLogFiles(dir)) {
+    if (entries.length >= filters.limit || (fromDay !== null && file.day < fromDay)) {
+      break
+    }
+    if (toDay !== null && file.day > toDay) {
+      continue
+    }
+
+    // Keep only the newest matches a file can still contribute
+    const wanted = filters.limit - entries.length
+    const matches = []
+    for await (const line of readLines(join(dir, file.name))) {
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch {
+        // A line still being written
+        continue
+      }
+      if (matchesFilters(entry, filters)) {
+        matches.push(entry)
+        if (matches.length > wanted) {
+          matches.shift()
+        }
+      }
+    }
+    entries.push(...matches.reverse())
+  }
+  return entries
+}
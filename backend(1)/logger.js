@@ -1,4 +1,10 @@
+import { AsyncLocalStorage } from 'async_hooks'
+import { randomUUID } from 'crypto'
+import { existsSync, mkdirSync } from 'fs'
+import { join } from 'path'
 import winston from 'winston'
+import DailyRotateFile from 'winston-daily-rotate-file'
+import config from './config.js'
 
 // Define log levels and colors
 const levels = {
@@ -19,43 +25,127 @@ const colors = {
 
 winston.addColors(colors)
 
-// Define log format
-const format = winston.format.combine(
+// Correlation ID of the request being handled, if any. Code called from a
+// request handler, including its promises and timers, sees that request's store.
+const requestContext = new AsyncLocalStorage()
+
+// Metadata fields whose values are never logged, and fields holding personal
+// data that are left out when LOG_REDACT is on. Search terms and filters count
+// as personal data, as they usually quote names, numbers and addresses.
+// Matched by name at any depth, ignoring case.
+const SECRET_FIELDS = [
+  'password',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'secret',
+  'authorization',
+]
+const PERSONAL_FIELDS = [
+  'name',
+  'phone',
+  'phones',
+  'email',
+  'emails',
+  'address',
+  'addresses',
+  'query',
+  'filter',
+]
+const REDACTED_FIELDS = new Set([...SECRET_FIELDS, ...(config.log.redact ? PERSONAL_FIELDS : [])])
+const REDACTED = '[REDACTED]'
+
+// Copy metadata with redacted values; the caller's objects are left as they are
+const redactValue = value => {
+  if (Array.isArray(value)) {
+    return value.map(redactValue)
+  }
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    Object.getPrototypeOf(value) !== Object.prototype
+  ) {
+    return value
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([name, child]) => [name, redactField(name, child)])
+  )
+}
+
+const redactField = (name, value) =>
+  REDACTED_FIELDS.has(name.toLowerCase()) && value !== null && value !== undefined
+    ? REDACTED
+    : redactValue(value)
+
+// Tag entries with the current request ID and redact their metadata
+const requestMetadata = winston.format(info => {
+  const requestId = requestContext.getStore()?.requestId
+  if (requestId && info.requestId === undefined) {
+    info.requestId = requestId
+  }
+  for (const name of Object.keys(info)) {
+    if (name !== 'level' && name !== 'message') {
+      info[name] = redactField(name, info[name])
+    }
+  }
+  return info
+})
+
+// Console lines show the request ID, the message and any metadata as JSON,
+// with a stack trace on the lines below
+const consoleFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.colorize({ all: true }),
-  winston.format.printf(info => `${info.timestamp} ${info.level}: ${info.message}`)
+  winston.format.printf(({ timestamp, level, message, requestId, stack, ...meta }) => {
+    const prefix = requestId ? `[${requestId}] ` : ''
+    const details = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : ''
+    return `${timestamp} ${level}: ${prefix}${message}${details}${stack ? `\n${stack}` : ''}`
+  })
 )
 
+const fileFormat = winston.format.combine(winston.format.timestamp(), winston.format.json())
+
+// Log files start afresh each UTC day and whenever they reach the size limit.
+// Rotated files are gzipped and deleted after the retention period; each
+// transport tracks its files in an audit file next to them.
+export const LOG_DATE_PATTERN = 'YYYY-MM-DD'
+const rotatingFile = (name, options) =>
+  new DailyRotateFile({
+    dirname: config.log.dir,
+    filename: `${name}-%DATE%.log`,
+    datePattern: LOG_DATE_PATTERN,
+    utc: true,
+    maxSize: config.log.maxSize,
+    maxFiles: `${config.log.retentionDays}d`,
+    zippedArchive: config.log.compress,
+    auditFile: join(config.log.dir, `.${name}-audit.json`),
+    format: fileFormat,
+    ...options,
+  })
+
 // Define which transports the logger must use
 const transports = [
-  // Console transport
+  // Console transport, kept quiet while the tests run
   new winston.transports.Console({
-    format,
+    format: consoleFormat,
+    silent: config.env === 'test',
   }),
   // File transport for errors
-  new winston.transports.File({
-    filename: 'logs/error.log',
-    level: 'error',
-    format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
-  }),
-  // File transport for all logs
-  new winston.transports.File({
-    filename: 'logs/all.log',
-    format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
-  }),
+  rotatingFile('error', { level: 'error' }),
+  // File transport for all logs, which GET /api/admin/logs searches
+  rotatingFile('all'),
 ]
 
 // Create logs directory if it doesn't exist
-import { existsSync, mkdirSync } from 'fs'
-if (!existsSync('logs')) {
-  mkdirSync('logs', { recursive: true })
+if (!existsSync(config.log.dir)) {
+  mkdirSync(config.log.dir, { recursive: true })
 }
 
 // Create the logger instance
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'debug'),
+  level: config.log.level,
   levels,
-  format,
+  format: requestMetadata(),
   transports,
   exitOnError: false,
 })
@@ -63,8 +153,47 @@ const logger = winston.createLogger({
 // Create a stream object with a 'write' function that will be used by `morgan`
 logger.stream = {
   write: message => {
-    logger.info(message.trim())
+    logger.http(message.trim())
   },
 }
 
+// Client-supplied request IDs are reused when they look like an ID and not
+// like something meant to forge log lines
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+/**
+ * Give each request a correlation ID and log it once the response is over.
+ * The ID is taken from the X-Request-Id header or generated, echoed in the
+ * response header and attached to every log entry written while handling the
+ * request. The access log entry, at `http` level, has the method, path
+ * (without the query string, which may hold tokens or search terms), status
+ * and latency; `aborted` marks responses the client did not wait for.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export const requestLogger = (req, res, next) => {
+  const header = req.get('X-Request-Id')
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : randomUUID()
+  const start = process.hrtime.bigint()
+  req.id = requestId
+  res.set('X-Request-Id', requestId)
+
+  res.on('close', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6
+    const path = req.originalUrl.split('?')[0]
+    logger.http(`${req.method} ${path} ${res.statusCode} ${durationMs.toFixed(1)}ms`, {
+      requestId,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ...(req.user && { userId: req.user.id }),
+      ...(!res.writableFinished && { aborted: true }),
+    })
+  })
+
+  requestContext.run({ requestId }, next)
+}
+
 export default logger
@@ -0,0 +1,84 @@
+import client from 'prom-client'
+import { ERROR_CODES } from './constants.js'
+
+// Metrics served by GET /metrics, along with Node.js process metrics
+export const registry = new client.Registry()
+client.collectDefaultMetrics({ register: registry })
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+})
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+})
+
+const apiErrors = new client.Counter({
+  name: 'api_errors_total',
+  help: 'Responses with an error code, by ERROR_CODES value',
+  labelNames: ['code', 'name'],
+  registers: [registry],
+})
+
+const ERROR_CODE_NAMES = Object.fromEntries(
+  Object.entries(ERROR_CODES).map(([name, code]) => [code, name])
+)
+
+/**
+ * Count a response code; called by sendResponse() for every response
+ * @param {number} code - One of ERROR_CODES
+ */
+export const countResponseCode = code => {
+  if (code !== ERROR_CODES.SUCCESS) {
+    apiErrors.inc({ code: String(code), name: ERROR_CODE_NAMES[code] ?? 'UNKNOWN' })
+  }
+}
+
+/**
+ * Count each request and time it once the response is over. Requests are
+ * labelled with the route pattern that handled them, e.g. /api/contacts/:id,
+ * so IDs do not create new series; those no route handled count as `unmatched`.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer()
+  res.on('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched'
+    stopTimer({ method: req.method, route })
+    httpRequests.inc({ method: req.method, route, status: String(res.statusCode) })
+  })
+  next()
+}
+
+/**
+ * Report the number of contacts, live and in the trash, read from the
+ * database whenever metrics are collected
+ * @param {Object} db - better-sqlite3 database, migrated
+ */
+export const registerContactMetrics = db => {
+  const countContacts = db.prepare(
+    `SELECT COUNT(*) FILTER (WHERE deleted_at IS NULL) AS live,
+            COUNT(*) FILTER (WHERE deleted_at IS NOT NULL) AS trashed
+     FROM contacts`
+  )
+  new client.Gauge({
+    name: 'contacts',
+    help: 'Contacts of all users, by state',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      const { live, trashed } = countContacts.get()
+      this.set({ state: 'live' }, live)
+      this.set({ state: 'trashed' }, trashed)
+    },
+  })
+}
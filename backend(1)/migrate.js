@@ -0,0 +1,151 @@
+import { readdirSync } from 'fs'
+import { fileURLToPath, pathToFileURL } from 'url'
+import path from 'path'
+import logger from './logger.js'
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations')
+
+// Migration files are named NNN_description.js and applied in version order
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+)\.js$/
+
+const ensureMigrationsTable = db => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+/**
+ * Load every migration module from the migrations directory
+ * @returns {Promise<Array<{ version: number, name: string, up: Function, down: Function }>>}
+ *   Migrations sorted by version
+ */
+export const loadMigrations = async () => {
+  const files = readdirSync(MIGRATIONS_DIR).filter(file => MIGRATION_FILE_PATTERN.test(file))
+  const migrations = await Promise.all(
+    files.map(async file => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN)
+      const { up, down } = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href)
+      return { version: Number(version), name, up, down }
+    })
+  )
+  return migrations.sort((a, b) => a.version - b.version)
+}
+
+/**
+ * List every migration with whether it has been applied
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Promise<Array<{ version: number, name: string, appliedAt: string|null }>>}
+ */
+export const getMigrationStatus = async db => {
+  ensureMigrationsTable(db)
+  const applied = new Map(
+    db
+      .prepare('SELECT version, applied_at FROM schema_migrations')
+      .all()
+      .map(row => [row.version, row.applied_at])
+  )
+  const migrations = await loadMigrations()
+  return migrations.map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version) ?? null,
+  }))
+}
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @param {Object} db - better-sqlite3 database
+ * @returns {Promise<number[]>} Versions that were applied
+ */
+export const runMigrations = async db => {
+  ensureMigrationsTable(db)
+  const applied = new Set(
+    db
+      .prepare('SELECT version FROM schema_migrations')
+      .all()
+      .map(row => row.version)
+  )
+  const pending = (await loadMigrations()).filter(({ version }) => !applied.has(version))
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db)
+      record.run(migration.version, migration.name)
+    })()
+    logger.info('Migration applied', { version: migration.version, name: migration.name })
+  }
+
+  return pending.map(({ version }) => version)
+}
+
+/**
+ * Revert the most recently applied migrations, each in its own transaction
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} [steps] - Number of migrations to revert
+ * @returns {Promise<number[]>} Versions that were reverted
+ */
+export const rollbackMigrations = async (db, steps = 1) => {
+  ensureMigrationsTable(db)
+  const appliedVersions = db
+    .prepare('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?')
+    .all(steps)
+    .map(row => row.version)
+  const migrations = new Map((await loadMigrations()).map(m => [m.version, m]))
+  const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?')
+
+  for (const version of appliedVersions) {
+    const migration = migrations.get(version)
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${version} is missing`)
+    }
+    db.transaction(() => {
+      migration.down(db)
+      remove.run(version)
+    })()
+    logger.info('Migration reverted', { version, name: migration.name })
+  }
+
+  return appliedVersions
+}
+
+// CLI: node migrate.js [up|down [steps]|status]
+const isCli = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href
+
+if (isCli) {
+  const { default: db } = await import('./db.js')
+  const [command = 'up', stepsArg] = process.argv.slice(2)
+
+  try {
+    if (command === 'up') {
+      const versions = await runMigrations(db)
+      console.log(versions.length > 0 ? `Applied: ${versions.join(', ')}` : 'Nothing to migrate')
+    } else if (command === 'down') {
+      const steps = stepsArg === undefined ? 1 : Number(stepsArg)
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${stepsArg}`)
+      }
+      const versions = await rollbackMigrations(db, steps)
+      console.log(versions.length > 0 ? `Reverted: ${versions.join(', ')}` : 'Nothing to revert')
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(db)
+      status.forEach(({ version, name, appliedAt }) => {
+        const paddedVersion = String(version).padStart(3, '0')
+        console.log(
+          `${appliedAt ? `applied ${appliedAt}` : 'pending'.padEnd(27)}  ${paddedVersion}_${name}`
+        )
+      })
+    } else {
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`)
+    }
+  } catch (error) {
+    logger.error(`Migration command failed: ${error.message}`, { command, stack: error.stack })
+    process.exitCode = 1
+  } finally {
+    db.close()
+  }
+}
@@ -0,0 +1,17 @@
+// Baseline schema. IF NOT EXISTS lets databases created before migrations adopt it.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contacts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      phone TEXT NOT NULL,
+      email TEXT,
+      address TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+export const down = db => {
+  db.exec('DROP TABLE contacts')
+}
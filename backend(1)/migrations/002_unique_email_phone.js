@@ -0,0 +1,99 @@
+// The normalization rules as they stood when this migration was written, frozen
+// here so it gives the same result whatever validation.js and the config say
+// later. Local numbers are read as Chinese numbers, the default region then.
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/
+const CN_PHONE_FORMAT = {
+  countryCode: '86',
+  trunkPrefix: '0',
+  pattern: /^(1[3-9]\d{9}|(10|2\d|[3-9]\d{2})\d{7,8})$/,
+}
+
+const normalizePhone = input => {
+  const compact = String(input).replace(/[\s\-.()]/g, '')
+
+  if (/^(\+|00)/.test(compact)) {
+    const international = `+${compact.replace(/^(\+|00)/, '')}`
+    return E164_PATTERN.test(international) ? international : null
+  }
+  if (!/^\d+$/.test(compact)) {
+    return null
+  }
+
+  const { countryCode, trunkPrefix, pattern } = CN_PHONE_FORMAT
+  const national =
+    compact.startsWith(trunkPrefix) && !pattern.test(compact)
+      ? compact.slice(trunkPrefix.length)
+      : compact
+  return pattern.test(national) ? `+${countryCode}${national}` : null
+}
+
+const normalizeEmail = input => String(input).trim().toLowerCase()
+
+// Columns filled on the surviving row from the rows merged into it
+const MERGEABLE_FIELDS = ['name', 'phone', 'email', 'address']
+
+// Normalize stored emails and phones, merge rows that collide into the oldest
+// one, then add the unique indexes. The normalization is not reverted by down().
+export const up = db => {
+  const contacts = db.prepare('SELECT * FROM contacts ORDER BY id').all()
+  const normalize = db.prepare('UPDATE contacts SET phone = ?, email = ? WHERE id = ?')
+  contacts.forEach(contact => {
+    contact.phone = normalizePhone(contact.phone) || contact.phone
+    contact.email = contact.email ? normalizeEmail(contact.email) : null
+    normalize.run(contact.phone, contact.email, contact.id)
+  })
+
+  const rowsById = new Map(contacts.map(contact => [contact.id, contact]))
+  const deleteContact = db.prepare('DELETE FROM contacts WHERE id = ?')
+  const updateContact = db.prepare(
+    'UPDATE contacts SET name = ?, phone = ?, email = ?, address = ? WHERE id = ?'
+  )
+  const merge = (survivorId, sourceIds) => {
+    const survivor = rowsById.get(survivorId)
+    sourceIds.forEach(id => {
+      const source = rowsById.get(id)
+      MERGEABLE_FIELDS.forEach(field => {
+        survivor[field] = survivor[field] || source[field]
+      })
+      deleteContact.run(id)
+      rowsById.delete(id)
+    })
+    updateContact.run(survivor.name, survivor.phone, survivor.email, survivor.address, survivorId)
+    return survivor
+  }
+
+  // Only exact email or phone collisions are merged; fuzzy name matches are
+  // left for users to review through the duplicates endpoint
+  const survivors = new Map()
+  const keysOf = contact =>
+    [`phone:${contact.phone}`, contact.email && `email:${contact.email}`].filter(Boolean)
+  contacts.forEach(contact => {
+    const survivorIds = [...new Set(keysOf(contact).map(key => survivors.get(key)))].filter(Boolean)
+    if (survivorIds.length === 0) {
+      keysOf(contact).forEach(key => survivors.set(key, contact.id))
+      return
+    }
+
+    // A row can collide with two survivors (one by phone, one by email); fold them all together
+    const [survivorId, ...otherSurvivorIds] = survivorIds
+    const merged = merge(survivorId, [...otherSurvivorIds, contact.id])
+    for (const [key, id] of survivors) {
+      if (otherSurvivorIds.includes(id)) {
+        survivors.set(key, survivorId)
+      }
+    }
+    keysOf(merged).forEach(key => survivors.set(key, survivorId))
+  })
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_email ON contacts (email);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_phone ON contacts (phone);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP INDEX idx_contacts_email;
+    DROP INDEX idx_contacts_phone;
+  `)
+}
@@ -0,0 +1,14 @@
+// Indexes backing the default list ordering and name sorting
+export const up = db => {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_contacts_created_at ON contacts (created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_contacts_name ON contacts (name, id);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP INDEX idx_contacts_created_at;
+    DROP INDEX idx_contacts_name;
+  `)
+}
@@ -0,0 +1,48 @@
+// Phone digits plus the same digits with a 1-3 digit country code dropped, so
+// prefix queries match both "+86 138..." and "138..."
+const phoneTokensSql = column => {
+  const digits = ['+', '-', ' ', '(', ')', '.'].reduce(
+    (expression, char) => `replace(${expression}, '${char}', '')`,
+    column
+  )
+  return `${digits} || ' ' || substr(${digits}, 2) || ' ' || substr(${digits}, 3) || ' ' || substr(${digits}, 4)`
+}
+
+// Full-text index over contacts, kept in sync by triggers and backfilled once
+export const up = db => {
+  db.exec(`
+    CREATE VIRTUAL TABLE contacts_fts USING fts5(
+      name, email, address, phone_digits,
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+
+    CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+      INSERT INTO contacts_fts (rowid, name, email, address, phone_digits)
+      VALUES (new.id, new.name, new.email, new.address, ${phoneTokensSql('new.phone')});
+    END;
+
+    CREATE TRIGGER contacts_fts_update AFTER UPDATE ON contacts BEGIN
+      UPDATE contacts_fts
+      SET name = new.name, email = new.email, address = new.address,
+          phone_digits = ${phoneTokensSql('new.phone')}
+      WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER contacts_fts_delete AFTER DELETE ON contacts BEGIN
+      DELETE FROM contacts_fts WHERE rowid = old.id;
+    END;
+
+    INSERT INTO contacts_fts (rowid, name, email, address, phone_digits)
+    SELECT id, name, email, address, ${phoneTokensSql('phone')} FROM contacts;
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP TRIGGER contacts_fts_insert;
+    DROP TRIGGER contacts_fts_update;
+    DROP TRIGGER contacts_fts_delete;
+    DROP TABLE contacts_fts;
+  `)
+}
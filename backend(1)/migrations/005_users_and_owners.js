@@ -0,0 +1,49 @@
+// User accounts, refresh token tracking, and per-user ownership of contacts.
+// Email and phone uniqueness becomes per owner instead of global.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE refresh_tokens (
+      jti TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME
+    );
+
+    ALTER TABLE contacts ADD COLUMN owner_id INTEGER REFERENCES users (id);
+
+    DROP INDEX idx_contacts_email;
+    DROP INDEX idx_contacts_phone;
+    CREATE UNIQUE INDEX idx_contacts_owner_email ON contacts (owner_id, email);
+    CREATE UNIQUE INDEX idx_contacts_owner_phone ON contacts (owner_id, phone);
+
+    DROP INDEX idx_contacts_created_at;
+    DROP INDEX idx_contacts_name;
+    CREATE INDEX idx_contacts_owner_created_at ON contacts (owner_id, created_at, id);
+    CREATE INDEX idx_contacts_owner_name ON contacts (owner_id, name, id);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP INDEX idx_contacts_owner_created_at;
+    DROP INDEX idx_contacts_owner_name;
+    CREATE INDEX idx_contacts_created_at ON contacts (created_at, id);
+    CREATE INDEX idx_contacts_name ON contacts (name, id);
+
+    DROP INDEX idx_contacts_owner_email;
+    DROP INDEX idx_contacts_owner_phone;
+    CREATE UNIQUE INDEX idx_contacts_email ON contacts (email);
+    CREATE UNIQUE INDEX idx_contacts_phone ON contacts (phone);
+
+    ALTER TABLE contacts DROP COLUMN owner_id;
+    DROP TABLE refresh_tokens;
+    DROP TABLE users;
+  `)
+}
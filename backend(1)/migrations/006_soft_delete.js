@@ -0,0 +1,30 @@
+// Trashed contacts keep their row with deleted_at set. Uniqueness only applies
+// to live contacts so a trashed email or phone can be reused.
+export const up = db => {
+  db.exec(`
+    ALTER TABLE contacts ADD COLUMN deleted_at DATETIME;
+
+    DROP INDEX idx_contacts_owner_email;
+    DROP INDEX idx_contacts_owner_phone;
+    CREATE UNIQUE INDEX idx_contacts_owner_email ON contacts (owner_id, email)
+      WHERE deleted_at IS NULL;
+    CREATE UNIQUE INDEX idx_contacts_owner_phone ON contacts (owner_id, phone)
+      WHERE deleted_at IS NULL;
+
+    CREATE INDEX idx_contacts_deleted_at ON contacts (deleted_at);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DELETE FROM contacts WHERE deleted_at IS NOT NULL;
+    DROP INDEX idx_contacts_deleted_at;
+
+    DROP INDEX idx_contacts_owner_email;
+    DROP INDEX idx_contacts_owner_phone;
+    CREATE UNIQUE INDEX idx_contacts_owner_email ON contacts (owner_id, email);
+    CREATE UNIQUE INDEX idx_contacts_owner_phone ON contacts (owner_id, phone);
+
+    ALTER TABLE contacts DROP COLUMN deleted_at;
+  `)
+}
@@ -0,0 +1,25 @@
+// Audit log of contact mutations. There is no foreign key to contacts so the
+// history outlives permanently deleted contacts.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE contact_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL,
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      actor_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+      operation TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_contact_history_contact ON contact_history (owner_id, contact_id, id);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP INDEX idx_contact_history_contact;
+    DROP TABLE contact_history;
+  `)
+}
@@ -0,0 +1,131 @@
+// Labeled phones, emails and addresses per contact. The flat phone, email and
+// address columns stay as copies of the primary entries, so existing indexes,
+// filters and sorting keep working. The full-text index now covers every entry.
+
+// Same phone tokens as 004_contacts_fts
+const phoneTokensSql = column => {
+  const digits = ['+', '-', ' ', '(', ')', '.'].reduce(
+    (expression, char) => `replace(${expression}, '${char}', '')`,
+    column
+  )
+  return `${digits} || ' ' || substr(${digits}, 2) || ' ' || substr(${digits}, 3) || ' ' || substr(${digits}, 4)`
+}
+
+const phonesSql = id =>
+  `(SELECT group_concat(${phoneTokensSql('value')}, ' ') FROM contact_phones WHERE contact_id = ${id})`
+const emailsSql = id =>
+  `(SELECT group_concat(value, ' ') FROM contact_emails WHERE contact_id = ${id})`
+const addressesSql = id =>
+  `(SELECT group_concat(concat_ws(' ', street, city, region, postal_code, country), ' ')
+    FROM contact_addresses WHERE contact_id = ${id})`
+
+// Refresh one FTS column whenever a child row changes
+const childTriggers = (table, column, aggregateSql) =>
+  ['INSERT', 'UPDATE', 'DELETE']
+    .map(
+      event => `
+    CREATE TRIGGER ${table}_fts_${event.toLowerCase()} AFTER ${event} ON ${table} BEGIN
+      UPDATE contacts_fts SET ${column} = ${aggregateSql(`${event === 'DELETE' ? 'old' : 'new'}.contact_id`)}
+      WHERE rowid = ${event === 'DELETE' ? 'old' : 'new'}.contact_id;
+    END;`
+    )
+    .join('\n')
+
+export const up = db => {
+  db.exec(`
+    CREATE TABLE contact_phones (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      value TEXT NOT NULL,
+      is_primary INTEGER NOT NULL DEFAULT 0,
+      position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE contact_emails (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      value TEXT NOT NULL,
+      is_primary INTEGER NOT NULL DEFAULT 0,
+      position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE contact_addresses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      street TEXT,
+      city TEXT,
+      region TEXT,
+      postal_code TEXT,
+      country TEXT,
+      is_primary INTEGER NOT NULL DEFAULT 0,
+      position INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX idx_contact_phones_contact ON contact_phones (contact_id, position);
+    CREATE INDEX idx_contact_emails_contact ON contact_emails (contact_id, position);
+    CREATE INDEX idx_contact_addresses_contact ON contact_addresses (contact_id, position);
+    CREATE UNIQUE INDEX idx_contact_phones_primary ON contact_phones (contact_id) WHERE is_primary = 1;
+    CREATE UNIQUE INDEX idx_contact_emails_primary ON contact_emails (contact_id) WHERE is_primary = 1;
+    CREATE UNIQUE INDEX idx_contact_addresses_primary ON contact_addresses (contact_id)
+      WHERE is_primary = 1;
+
+    INSERT INTO contact_phones (contact_id, label, value, is_primary)
+    SELECT id, 'mobile', phone, 1 FROM contacts WHERE phone IS NOT NULL AND phone != '';
+    INSERT INTO contact_emails (contact_id, label, value, is_primary)
+    SELECT id, 'personal', email, 1 FROM contacts WHERE email IS NOT NULL AND email != '';
+    INSERT INTO contact_addresses (contact_id, label, street, is_primary)
+    SELECT id, 'home', address, 1 FROM contacts WHERE address IS NOT NULL AND address != '';
+
+    DROP TRIGGER contacts_fts_update;
+    CREATE TRIGGER contacts_fts_update AFTER UPDATE OF name ON contacts BEGIN
+      UPDATE contacts_fts SET name = new.name WHERE rowid = old.id;
+    END;
+
+    DROP TRIGGER contacts_fts_insert;
+    CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+      INSERT INTO contacts_fts (rowid, name) VALUES (new.id, new.name);
+    END;
+    ${childTriggers('contact_phones', 'phone_digits', phonesSql)}
+    ${childTriggers('contact_emails', 'email', emailsSql)}
+    ${childTriggers('contact_addresses', 'address', addressesSql)}
+
+    DELETE FROM contacts_fts;
+    INSERT INTO contacts_fts (rowid, name, email, address, phone_digits)
+    SELECT id, name, ${emailsSql('contacts.id')}, ${addressesSql('contacts.id')},
+           ${phonesSql('contacts.id')}
+    FROM contacts;
+  `)
+}
+
+export const down = db => {
+  const triggers = ['contact_phones', 'contact_emails', 'contact_addresses'].flatMap(table =>
+    ['insert', 'update', 'delete'].map(event => `DROP TRIGGER ${table}_fts_${event};`)
+  )
+  db.exec(`
+    ${triggers.join('\n')}
+    DROP TABLE contact_phones;
+    DROP TABLE contact_emails;
+    DROP TABLE contact_addresses;
+
+    DROP TRIGGER contacts_fts_insert;
+    CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+      INSERT INTO contacts_fts (rowid, name, email, address, phone_digits)
+      VALUES (new.id, new.name, new.email, new.address, ${phoneTokensSql('new.phone')});
+    END;
+
+    DROP TRIGGER contacts_fts_update;
+    CREATE TRIGGER contacts_fts_update AFTER UPDATE ON contacts BEGIN
+      UPDATE contacts_fts
+      SET name = new.name, email = new.email, address = new.address,
+          phone_digits = ${phoneTokensSql('new.phone')}
+      WHERE rowid = old.id;
+    END;
+
+    DELETE FROM contacts_fts;
+    INSERT INTO contacts_fts (rowid, name, email, address, phone_digits)
+    SELECT id, name, email, address, ${phoneTokensSql('phone')} FROM contacts;
+  `)
+}
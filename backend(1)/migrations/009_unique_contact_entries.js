@@ -0,0 +1,58 @@
+// Every phone and email of a live contact is unique per owner, not only the
+// primary ones the contacts indexes cover. SQLite cannot index across the
+// contacts table, so triggers reject a duplicate entry, and the restore of a
+// trashed contact whose entries live contacts took meanwhile, with the same
+// message as a unique index. Duplicates already stored are left for the
+// duplicates endpoint to find.
+const TABLES = ['contact_phones', 'contact_emails']
+
+// A live contact of the same owner, other than `contactId`, has `value`
+const takenSql = (table, contactId, value, ownerId) => `
+  SELECT 1 FROM ${table} AS other
+  JOIN contacts ON contacts.id = other.contact_id
+  WHERE other.value = ${value} AND other.contact_id != ${contactId}
+    AND contacts.owner_id = ${ownerId} AND contacts.deleted_at IS NULL`
+
+const entryOwnerSql = contactId =>
+  `(SELECT owner_id FROM contacts WHERE id = ${contactId} AND deleted_at IS NULL)`
+
+const triggersSql = table => `
+  CREATE INDEX idx_${table}_value ON ${table} (value);
+
+  CREATE TRIGGER ${table}_unique_insert BEFORE INSERT ON ${table}
+  WHEN EXISTS (${takenSql(table, 'new.contact_id', 'new.value', entryOwnerSql('new.contact_id'))})
+  BEGIN
+    SELECT RAISE(ABORT, 'UNIQUE constraint failed: ${table}.value');
+  END;
+
+  CREATE TRIGGER ${table}_unique_update BEFORE UPDATE OF contact_id, value ON ${table}
+  WHEN EXISTS (${takenSql(table, 'new.contact_id', 'new.value', entryOwnerSql('new.contact_id'))})
+  BEGIN
+    SELECT RAISE(ABORT, 'UNIQUE constraint failed: ${table}.value');
+  END;
+
+  CREATE TRIGGER ${table}_unique_restore BEFORE UPDATE OF deleted_at ON contacts
+  WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL AND EXISTS (
+    SELECT 1 FROM ${table} AS mine
+    WHERE mine.contact_id = new.id
+      AND EXISTS (${takenSql(table, 'new.id', 'mine.value', 'new.owner_id')})
+  )
+  BEGIN
+    SELECT RAISE(ABORT, 'UNIQUE constraint failed: ${table}.value');
+  END;`
+
+export const up = db => {
+  db.exec(TABLES.map(triggersSql).join('\n'))
+}
+
+export const down = db => {
+  db.exec(
+    TABLES.map(
+      table => `
+    DROP TRIGGER ${table}_unique_insert;
+    DROP TRIGGER ${table}_unique_update;
+    DROP TRIGGER ${table}_unique_restore;
+    DROP INDEX idx_${table}_value;`
+    ).join('\n')
+  )
+}
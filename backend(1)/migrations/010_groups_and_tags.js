@@ -0,0 +1,51 @@
+// Groups and tags per address book, each with a many-to-many membership table.
+// Names are unique per owner, ignoring case.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      name TEXT NOT NULL COLLATE NOCASE,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (owner_id, name)
+    );
+
+    CREATE TABLE tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      name TEXT NOT NULL COLLATE NOCASE,
+      color TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (owner_id, name)
+    );
+
+    CREATE TABLE contact_groups (
+      group_id INTEGER NOT NULL REFERENCES groups (id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (group_id, contact_id)
+    );
+
+    CREATE TABLE contact_tags (
+      tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (tag_id, contact_id)
+    );
+
+    CREATE INDEX idx_contact_groups_contact ON contact_groups (contact_id);
+    CREATE INDEX idx_contact_tags_contact ON contact_tags (contact_id);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP INDEX idx_contact_groups_contact;
+    DROP INDEX idx_contact_tags_contact;
+    DROP TABLE contact_groups;
+    DROP TABLE contact_tags;
+    DROP TABLE groups;
+    DROP TABLE tags;
+  `)
+}
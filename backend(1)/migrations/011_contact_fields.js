@@ -0,0 +1,127 @@
+// Favorite flag, company, job title, birthday and notes on contacts, plus
+// user-defined typed custom fields. The full-text index gains a `details`
+// column over company, title, notes and custom field values, so it is rebuilt.
+
+// Same phone tokens as 004_contacts_fts
+const phoneTokensSql = column => {
+  const digits = ['+', '-', ' ', '(', ')', '.'].reduce(
+    (expression, char) => `replace(${expression}, '${char}', '')`,
+    column
+  )
+  return `${digits} || ' ' || substr(${digits}, 2) || ' ' || substr(${digits}, 3) || ' ' || substr(${digits}, 4)`
+}
+
+// Same list aggregates as 008_contact_details
+const phonesSql = id =>
+  `(SELECT group_concat(${phoneTokensSql('value')}, ' ') FROM contact_phones WHERE contact_id = ${id})`
+const emailsSql = id =>
+  `(SELECT group_concat(value, ' ') FROM contact_emails WHERE contact_id = ${id})`
+const addressesSql = id =>
+  `(SELECT group_concat(concat_ws(' ', street, city, region, postal_code, country), ' ')
+    FROM contact_addresses WHERE contact_id = ${id})`
+
+const detailsSql = id =>
+  `(SELECT concat_ws(' ', company, title, notes,
+     (SELECT group_concat(value, ' ') FROM contact_custom_values WHERE contact_id = contacts.id))
+    FROM contacts WHERE id = ${id})`
+
+const createFtsTable = columns => `
+  CREATE VIRTUAL TABLE contacts_fts USING fts5(
+    ${columns.join(', ')},
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  );`
+
+export const up = db => {
+  db.exec(`
+    ALTER TABLE contacts ADD COLUMN favorite INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE contacts ADD COLUMN company TEXT;
+    ALTER TABLE contacts ADD COLUMN title TEXT;
+    ALTER TABLE contacts ADD COLUMN birthday TEXT;
+    ALTER TABLE contacts ADD COLUMN notes TEXT;
+    CREATE INDEX idx_contacts_owner_favorite ON contacts (owner_id, favorite);
+
+    CREATE TABLE custom_fields (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      name TEXT NOT NULL COLLATE NOCASE,
+      type TEXT NOT NULL CHECK (type IN ('text', 'date', 'url', 'number')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (owner_id, name)
+    );
+
+    CREATE TABLE contact_custom_values (
+      contact_id INTEGER NOT NULL REFERENCES contacts (id) ON DELETE CASCADE,
+      field_id INTEGER NOT NULL REFERENCES custom_fields (id) ON DELETE CASCADE,
+      value TEXT NOT NULL,
+      PRIMARY KEY (contact_id, field_id)
+    );
+    CREATE INDEX idx_contact_custom_values_field ON contact_custom_values (field_id);
+
+    DROP TRIGGER contacts_fts_insert;
+    DROP TRIGGER contacts_fts_update;
+    DROP TABLE contacts_fts;
+    ${createFtsTable(['name', 'email', 'address', 'phone_digits', 'details'])}
+
+    CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+      INSERT INTO contacts_fts (rowid, name, details)
+      VALUES (new.id, new.name, concat_ws(' ', new.company, new.title, new.notes));
+    END;
+
+    CREATE TRIGGER contacts_fts_update AFTER UPDATE OF name, company, title, notes ON contacts BEGIN
+      UPDATE contacts_fts SET name = new.name, details = ${detailsSql('new.id')}
+      WHERE rowid = old.id;
+    END;
+
+    ${['INSERT', 'UPDATE', 'DELETE']
+      .map(event => {
+        const row = event === 'DELETE' ? 'old' : 'new'
+        return `
+    CREATE TRIGGER contact_custom_values_fts_${event.toLowerCase()}
+    AFTER ${event} ON contact_custom_values BEGIN
+      UPDATE contacts_fts SET details = ${detailsSql(`${row}.contact_id`)}
+      WHERE rowid = ${row}.contact_id;
+    END;`
+      })
+      .join('\n')}
+
+    INSERT INTO contacts_fts (rowid, name, email, address, phone_digits, details)
+    SELECT id, name, ${emailsSql('contacts.id')}, ${addressesSql('contacts.id')},
+           ${phonesSql('contacts.id')}, concat_ws(' ', company, title, notes)
+    FROM contacts;
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP TRIGGER contact_custom_values_fts_insert;
+    DROP TRIGGER contact_custom_values_fts_update;
+    DROP TRIGGER contact_custom_values_fts_delete;
+    DROP TRIGGER contacts_fts_insert;
+    DROP TRIGGER contacts_fts_update;
+    DROP TABLE contacts_fts;
+    ${createFtsTable(['name', 'email', 'address', 'phone_digits'])}
+
+    CREATE TRIGGER contacts_fts_insert AFTER INSERT ON contacts BEGIN
+      INSERT INTO contacts_fts (rowid, name) VALUES (new.id, new.name);
+    END;
+
+    CREATE TRIGGER contacts_fts_update AFTER UPDATE OF name ON contacts BEGIN
+      UPDATE contacts_fts SET name = new.name WHERE rowid = old.id;
+    END;
+
+    INSERT INTO contacts_fts (rowid, name, email, address, phone_digits)
+    SELECT id, name, ${emailsSql('contacts.id')}, ${addressesSql('contacts.id')},
+           ${phonesSql('contacts.id')}
+    FROM contacts;
+
+    DROP TABLE contact_custom_values;
+    DROP TABLE custom_fields;
+    DROP INDEX idx_contacts_owner_favorite;
+    ALTER TABLE contacts DROP COLUMN favorite;
+    ALTER TABLE contacts DROP COLUMN company;
+    ALTER TABLE contacts DROP COLUMN title;
+    ALTER TABLE contacts DROP COLUMN birthday;
+    ALTER TABLE contacts DROP COLUMN notes;
+  `)
+}
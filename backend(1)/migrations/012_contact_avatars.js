@@ -0,0 +1,17 @@
+// One photo per contact, stored as a blob with its sniffed type and a content
+// hash used as the ETag. Rows go with the contact once it is deleted for good.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE contact_avatars (
+      contact_id INTEGER PRIMARY KEY REFERENCES contacts (id) ON DELETE CASCADE,
+      mime_type TEXT NOT NULL,
+      data BLOB NOT NULL,
+      etag TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `)
+}
+
+export const down = db => {
+  db.exec('DROP TABLE contact_avatars;')
+}
@@ -0,0 +1,17 @@
+// Request counters of the SQLite rate limit store, one row per limiter and
+// client holding the current window. Expired rows are swept periodically.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at INTEGER NOT NULL
+    ) WITHOUT ROWID;
+
+    CREATE INDEX idx_rate_limits_reset_at ON rate_limits (reset_at);
+  `)
+}
+
+export const down = db => {
+  db.exec('DROP TABLE rate_limits;')
+}
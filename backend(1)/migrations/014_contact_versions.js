@@ -0,0 +1,20 @@
+// A version counter and modification time per contact, for ETags and
+// If-Match checks. SQLite cannot add a column defaulting to CURRENT_TIMESTAMP,
+// so updated_at starts as the creation time and is set by every write.
+export const up = db => {
+  db.exec(`
+    ALTER TABLE contacts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE contacts ADD COLUMN updated_at DATETIME;
+    UPDATE contacts SET updated_at = created_at;
+
+    CREATE INDEX idx_contacts_updated_at ON contacts (updated_at, id);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP INDEX idx_contacts_updated_at;
+    ALTER TABLE contacts DROP COLUMN updated_at;
+    ALTER TABLE contacts DROP COLUMN version;
+  `)
+}
@@ -0,0 +1,57 @@
+// Contact change events, kept for a while so event streams can resume from a
+// Last-Event-ID, plus outbound webhooks and the log of their deliveries. Each
+// delivery keeps its own copy of the payload, so it can be retried after the
+// event is purged.
+export const up = db => {
+  db.exec(`
+    CREATE TABLE events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_events_owner ON events (owner_id, id);
+    CREATE INDEX idx_events_created_at ON events (created_at);
+
+    CREATE TABLE webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_webhooks_owner ON webhooks (owner_id);
+
+    CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+      event_id INTEGER,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER NOT NULL,
+      response_status INTEGER,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+  `)
+}
+
+export const down = db => {
+  db.exec(`
+    DROP TABLE webhook_deliveries;
+    DROP TABLE webhooks;
+    DROP TABLE events;
+  `)
+}
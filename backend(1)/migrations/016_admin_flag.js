@@ -0,0 +1,9 @@
+// Administrators are marked on their account, by `node admin.js grant`, so
+// registering a name cannot make anyone an administrator
+export const up = db => {
+  db.exec('ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0')
+}
+
+export const down = db => {
+  db.exec('ALTER TABLE users DROP COLUMN is_admin')
+}
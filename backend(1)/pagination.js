@@ -0,0 +1,219 @@
+import { ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+import { CONTACT_DETAILS, withContactDetails } from './contacts.js'
+
+export const DEFAULT_PAGE_SIZE = 50
+export const MAX_PAGE_SIZE = 200
+
+// Whitelisted sort fields mapped to their SQL expression. Nullable columns are
+// coalesced so keyset comparisons never hit NULL.
+export const SORT_FIELDS = {
+  id: 'id',
+  name: 'name',
+  phone: 'phone',
+  email: "COALESCE(email, '')",
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  deleted_at: "COALESCE(deleted_at, '')",
+}
+
+// Columns that may be requested through `fields=`
+export const SELECTABLE_FIELDS = [
+  'id',
+  'name',
+  'phone',
+  'email',
+  'address',
+  'favorite',
+  'company',
+  'title',
+  'birthday',
+  'notes',
+  'created_at',
+  'updated_at',
+  'version',
+  'deleted_at',
+  ...CONTACT_DETAILS,
+]
+
+// A cursor records the sort field and order it was made for, then the sort
+// value and ID of the last row of the page
+const encodeCursor = (page, row) =>
+  Buffer.from(JSON.stringify([page.sort, page.order, row._sort_value, row.id])).toString(
+    'base64url'
+  )
+
+const isSortValue = value => value === null || typeof value === 'string' || Number.isFinite(value)
+
+const decodeCursor = cursor => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (!Array.isArray(values) || values.length !== 4) {
+      return null
+    }
+    const [sort, order, sortValue, id] = values
+    return typeof sort === 'string' &&
+      typeof order === 'string' &&
+      isSortValue(sortValue) &&
+      Number.isInteger(id)
+      ? { sort, order, sortValue, id }
+      : null
+  } catch {
+    return null
+  }
+}
+
+const parseInteger = (raw, min, max) => {
+  if (typeof raw !== 'string' || !/^\d+$/.test(raw)) {
+    return null
+  }
+  const number = Number(raw)
+  return number >= min && number <= max ? number : null
+}
+
+/**
+ * Parse pagination, sorting and projection query parameters
+ * @param {Object} query - Express `req.query`
+ * @returns {{ value: Object, errors: Array<{ field: string, rule: string, msg: string }> }}
+ *   `value` holds limit, offset, cursor, sort, order and fields
+ */
+export const parsePageQuery = query => {
+  const errors = []
+  const fail = (field, msg) => errors.push({ field, rule: 'query', msg })
+  const value = {
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0,
+    cursor: null,
+    sort: 'created_at',
+    order: 'desc',
+    fields: null,
+  }
+
+  if (query.limit !== undefined) {
+    value.limit = parseInteger(query.limit, 1, MAX_PAGE_SIZE)
+    if (value.limit === null) {
+      fail('limit', message(ERROR_MESSAGES.INVALID_PAGE_LIMIT, { max: MAX_PAGE_SIZE }))
+    }
+  }
+
+  if (query.offset !== undefined) {
+    value.offset = parseInteger(query.offset, 0, Number.MAX_SAFE_INTEGER)
+    if (value.offset === null) {
+      fail('offset', ERROR_MESSAGES.INVALID_QUERY_PARAMETER)
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    value.cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null
+    if (value.cursor === null) {
+      fail('cursor', ERROR_MESSAGES.INVALID_CURSOR)
+    } else if (query.offset !== undefined) {
+      fail('offset', ERROR_MESSAGES.CURSOR_WITH_OFFSET)
+    }
+  }
+
+  if (query.sort !== undefined) {
+    value.sort = query.sort
+    if (!Object.hasOwn(SORT_FIELDS, query.sort)) {
+      fail('sort', message(ERROR_MESSAGES.INVALID_SORT_FIELD, { field: query.sort }))
+    }
+  }
+
+  if (query.order !== undefined) {
+    value.order = String(query.order).toLowerCase()
+    if (value.order !== 'asc' && value.order !== 'desc') {
+      fail('order', ERROR_MESSAGES.INVALID_QUERY_PARAMETER)
+    }
+  }
+
+  // A cursor only continues the listing it was made for
+  if (
+    value.cursor &&
+    errors.length === 0 &&
+    (value.cursor.sort !== value.sort || value.cursor.order !== value.order)
+  ) {
+    fail('cursor', ERROR_MESSAGES.CURSOR_SORT_MISMATCH)
+  }
+
+  if (query.fields !== undefined) {
+    value.fields = String(query.fields)
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean)
+    const unknown = value.fields.filter(field => !SELECTABLE_FIELDS.includes(field))
+    if (unknown.length > 0) {
+      fail(
+        'fields',
+        message(ERROR_MESSAGES.INVALID_FIELD_SELECTION, { fields: unknown.join(', ') })
+      )
+    } else if (value.fields.length === 0) {
+      fail('fields', ERROR_MESSAGES.INVALID_QUERY_PARAMETER)
+    }
+  }
+
+  return { value, errors }
+}
+
+/**
+ * Fetch one page of contacts
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} page - Parsed value from parsePageQuery()
+ * @param {Object} [filter] - Extra conditions ANDed into the WHERE clause
+ * @param {string[]} [filter.where] - SQL conditions using `?` placeholders
+ * @param {Array} [filter.params] - Values for the placeholders, in order
+ * @returns {{ rows: Array<Object>, meta: Object }} Page rows and pagination metadata
+ */
+export const paginateContacts = (db, page, { where = [], params = [] } = {}) => {
+  const sortExpression = SORT_FIELDS[page.sort]
+  const direction = page.order === 'asc' ? 'ASC' : 'DESC'
+  const comparison = page.order === 'asc' ? '>' : '<'
+
+  const whereClause = where.length > 0 ? `WHERE ${where.map(c => `(${c})`).join(' AND ')}` : ''
+  const { total } = db
+    .prepare(`SELECT COUNT(*) AS total FROM contacts ${whereClause}`)
+    .get(...params)
+
+  const pageWhere = [...where]
+  const pageParams = [...params]
+  if (page.cursor) {
+    const { sortValue, id } = page.cursor
+    pageWhere.push(
+      `${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND id ${comparison} ?)`
+    )
+    pageParams.push(sortValue, sortValue, id)
+  }
+  const pageWhereClause =
+    pageWhere.length > 0 ? `WHERE ${pageWhere.map(c => `(${c})`).join(' AND ')}` : ''
+
+  // The id and sort value are always fetched so the next cursor can be built.
+  // Lists and custom fields live in child tables and are attached after the page is fetched.
+  const lists = CONTACT_DETAILS.filter(list => !page.fields || page.fields.includes(list))
+  const columns = page.fields
+    ? [...new Set(['id', ...page.fields.filter(field => !lists.includes(field))])].join(', ')
+    : '*'
+  const rows = db
+    .prepare(
+      `SELECT ${columns}, ${sortExpression} AS _sort_value FROM contacts
+       ${pageWhereClause}
+       ORDER BY ${sortExpression} ${direction}, id ${direction}
+       LIMIT ? OFFSET ?`
+    )
+    .all(...pageParams, page.limit + 1, page.cursor ? 0 : page.offset)
+
+  const hasMore = rows.length > page.limit
+  const pageRows = rows.slice(0, page.limit)
+  const last = pageRows[pageRows.length - 1]
+  const nextCursor = hasMore ? encodeCursor(page, last) : null
+  pageRows.forEach(row => delete row._sort_value)
+
+  return {
+    rows: withContactDetails(db, pageRows, lists),
+    meta: {
+      total,
+      limit: page.limit,
+      offset: page.cursor ? null : page.offset,
+      hasMore,
+      nextCursor,
+    },
+  }
+}
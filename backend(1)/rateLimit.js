@@ -0,0 +1,107 @@
+import logger from './logger.js'
+import { ERROR_CODES, ERROR_MESSAGES } from './constants.js'
+import { sendResponse } from './response.js'
+
+// How often stores drop counters whose window has ended
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+/**
+ * Keep request counters in process memory. Counters reset on restart and are
+ * not shared between processes.
+ * @returns {{ hit: Function }} Store for rateLimit()
+ */
+export const createMemoryStore = () => {
+  const windows = new Map()
+  setInterval(() => {
+    const now = Date.now()
+    windows.forEach((entry, key) => entry.resetAt <= now && windows.delete(key))
+  }, SWEEP_INTERVAL_MS).unref()
+
+  return {
+    hit: (key, windowMs) => {
+      const now = Date.now()
+      let entry = windows.get(key)
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs }
+        windows.set(key, entry)
+      }
+      entry.count += 1
+      return { ...entry }
+    },
+  }
+}
+
+/**
+ * Keep request counters in the rate_limits table, so limits survive restarts
+ * and are shared by processes using the same database file
+ * @param {Object} db - better-sqlite3 database, migrated
+ * @returns {{ hit: Function }} Store for rateLimit()
+ */
+export const createSqliteStore = db => {
+  // SET expressions see the row as it was, so both CASEs test the old window
+  const increment = db.prepare(
+    `INSERT INTO rate_limits (key, count, reset_at) VALUES (@key, 1, @resetAt)
+     ON CONFLICT (key) DO UPDATE SET
+       count = CASE WHEN reset_at <= @now THEN 1 ELSE count + 1 END,
+       reset_at = CASE WHEN reset_at <= @now THEN excluded.reset_at ELSE reset_at END
+     RETURNING count, reset_at AS resetAt`
+  )
+  const sweep = db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?')
+  setInterval(() => {
+    try {
+      sweep.run(Date.now())
+    } catch (error) {
+      logger.error('Error sweeping rate limits', { error: error.message, stack: error.stack })
+    }
+  }, SWEEP_INTERVAL_MS).unref()
+
+  return {
+    hit: (key, windowMs) => {
+      const now = Date.now()
+      return increment.get({ key, now, resetAt: now + windowMs })
+    },
+  }
+}
+
+// Signed-in clients are limited per user, everyone else per IP address
+const clientKey = req => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`)
+
+/**
+ * Limit how many requests a client makes in a fixed window. Responses carry
+ * RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * (seconds); requests over the limit get 429 with Retry-After. Mount it after
+ * requireAuth to count per user.
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, which keeps counters of limiters apart
+ * @param {number} options.limit - Requests allowed per window; 0 turns the limiter off
+ * @param {number} options.windowMs - Window length
+ * @param {{ hit: Function }} options.store - createMemoryStore() or createSqliteStore()
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = ({ name, limit, windowMs, store }) => {
+  if (limit === 0) {
+    return (req, res, next) => next()
+  }
+
+  return (req, res, next) => {
+    const client = clientKey(req)
+    const { count, resetAt } = store.hit(`${name}:${client}`, windowMs)
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))
+    res.set({
+      'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'RateLimit-Reset': String(resetSeconds),
+    })
+
+    if (count > limit) {
+      logger.warn('Rate limit exceeded', { limiter: name, client, path: req.originalUrl })
+      return sendResponse(
+        res.set('Retry-After', String(resetSeconds)),
+        ERROR_CODES.TOO_MANY_REQUESTS,
+        ERROR_MESSAGES.RATE_LIMITED
+      )
+    }
+    next()
+  }
+}
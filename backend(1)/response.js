@@ -0,0 +1,53 @@
+import { STATUS_CODES } from 'http'
+import config from './config.js'
+import { ERROR_CODES, ERROR_MESSAGES, HTTP_STATUS } from './constants.js'
+import { localizeMessages, resolveLocale } from './i18n.js'
+import { countResponseCode } from './metrics.js'
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+// The `problem` error format answers every error as RFC 7807 problem+json;
+// clients can also ask for it per request with `Accept: application/problem+json`
+const wantsProblemDetails = req =>
+  config.errorFormat === 'problem' || Boolean(req.get('Accept')?.includes(PROBLEM_CONTENT_TYPE))
+
+// Helper function to send standardized response
+// `extra` carries additional top-level keys such as validation `errors`.
+// The HTTP status follows `code` unless the route already set another one,
+// e.g. `sendResponse(res.status(201), ...)` for a created resource.
+// Every `msg` is a message key or message(), translated into the request locale.
+export const sendResponse = (res, code, msg, data = null, extra = {}) => {
+  countResponseCode(code)
+  if (res.statusCode === 200) {
+    res.status(HTTP_STATUS[code] ?? 500)
+  }
+  const locale = resolveLocale(res.req)
+  res.set('Content-Language', locale)
+  res.vary('Accept-Language')
+
+  const body = { code, msg, ...extra }
+  if (data !== null) {
+    body.data = data
+  }
+  const response = localizeMessages(body, locale)
+
+  if (code !== ERROR_CODES.SUCCESS && wantsProblemDetails(res.req)) {
+    // Envelope keys other than msg become extension members
+    const { msg: detail, ...members } = response
+    return res.type(PROBLEM_CONTENT_TYPE).json({
+      type: 'about:blank',
+      title: STATUS_CODES[res.statusCode],
+      status: res.statusCode,
+      detail,
+      instance: res.req.originalUrl,
+      ...members,
+    })
+  }
+  res.json(response)
+}
+
+// Send every field error from a validate() result at once
+export const sendValidationErrors = (res, errors) => {
+  const msg = errors.length === 1 ? errors[0].msg : ERROR_MESSAGES.INVALID_INPUT
+  sendResponse(res, ERROR_CODES.VALIDATION_ERROR, msg, null, { errors })
+}
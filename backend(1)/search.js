@@ -0,0 +1,120 @@
+// Query prefixes mapped to FTS columns, e.g. `name:li phone:138`
+const SEARCH_FIELDS = {
+  name: 'name',
+  phone: 'phone_digits',
+  email: 'email',
+  address: 'address',
+}
+
+// bm25 weights in contacts_fts column order: name, email, address, phone_digits,
+// and details (company, title, notes and custom field values)
+const RANK_WEIGHTS = [10.0, 5.0, 2.0, 5.0, 1.0]
+
+// Control characters mark matches inside SQLite; they are swapped for <mark>
+// only after the text is HTML-escaped
+const MATCH_START = '\u0002'
+const MATCH_END = '\u0003'
+
+const PHONE_LIKE_PATTERN = /^[\d\s\-+().]+$/
+
+// Quote a term as an FTS5 prefix phrase so user input is never parsed as syntax
+const prefixTerm = term => `"${term.replace(/"/g, '""')}"*`
+
+/**
+ * Compile a user query into an FTS5 MATCH expression. Terms are ANDed;
+ * `field:value` limits a term to one field, and phone terms ignore punctuation.
+ * @param {string} query - Raw search text, e.g. `name:li phone:138-0000`
+ * @returns {string|null} MATCH expression, or null if the query has no terms
+ */
+export const buildMatchExpression = query => {
+  const clauses = query
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => {
+      const separator = token.indexOf(':')
+      const field = separator > 0 ? token.slice(0, separator).toLowerCase() : null
+      const column = Object.hasOwn(SEARCH_FIELDS, field) ? SEARCH_FIELDS[field] : null
+      const term = column ? token.slice(separator + 1) : token
+
+      if (column === 'phone_digits') {
+        const digits = term.replace(/\D/g, '')
+        return digits ? `phone_digits : ${prefixTerm(digits)}` : null
+      }
+      if (column) {
+        return term ? `${column} : ${prefixTerm(term)}` : null
+      }
+
+      const textClause = `{name email address details} : ${prefixTerm(term)}`
+      const digits = term.replace(/\D/g, '')
+      return PHONE_LIKE_PATTERN.test(term) && digits
+        ? `(${textClause} OR phone_digits : ${prefixTerm(digits)})`
+        : textClause
+    })
+    .filter(Boolean)
+
+  return clauses.length > 0 ? clauses.join(' AND ') : null
+}
+
+const escapeHtml = text =>
+  text.replace(
+    /[&<>"']/g,
+    char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  )
+
+const toHighlightHtml = text =>
+  text === null
+    ? null
+    : escapeHtml(text).replaceAll(MATCH_START, '<mark>').replaceAll(MATCH_END, '</mark>')
+
+/**
+ * Run a ranked full-text search over contacts
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - Only contacts owned by this user are searched
+ * @param {string} query - Raw search text
+ * @param {Object} [filter] - Extra conditions on `contacts`, as for paginateContacts()
+ * @param {string[]} [filter.where] - SQL conditions using `?` placeholders
+ * @param {Array} [filter.params] - Values for the placeholders, in order
+ * @returns {Array<Object>} Contacts, best match first, each with a `highlight`
+ *   object of HTML-escaped name, email and address with matches in <mark>
+ */
+export const searchContacts = (db, ownerId, query, { where = [], params = [] } = {}) => {
+  const match = buildMatchExpression(query)
+  if (!match) {
+    return []
+  }
+
+  const highlight = column => `highlight(contacts_fts, ${column}, ?, ?)`
+  const rows = db
+    .prepare(
+      `SELECT contacts.*,
+              ${highlight(0)} AS highlight_name,
+              ${highlight(1)} AS highlight_email,
+              ${highlight(2)} AS highlight_address
+       FROM contacts_fts
+       JOIN contacts ON contacts.id = contacts_fts.rowid
+       WHERE contacts_fts MATCH ? AND contacts.owner_id = ? AND contacts.deleted_at IS NULL
+       ${where.map(condition => `AND (${condition})`).join(' ')}
+       ORDER BY bm25(contacts_fts, ${RANK_WEIGHTS.join(', ')}), contacts.created_at DESC`
+    )
+    .all(
+      MATCH_START,
+      MATCH_END,
+      MATCH_START,
+      MATCH_END,
+      MATCH_START,
+      MATCH_END,
+      match,
+      ownerId,
+      ...params
+    )
+
+  return rows.map(({ highlight_name, highlight_email, highlight_address, ...contact }) => ({
+    ...contact,
+    highlight: {
+      name: toHighlightHtml(highlight_name),
+      email: toHighlightHtml(highlight_email),
+      address: toHighlightHtml(highlight_address),
+    },
+  }))
+}
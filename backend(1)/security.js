@@ -0,0 +1,24 @@
+/**
+ * Set response headers that keep browsers from sniffing, framing or leaking
+ * API responses. API routes also get a Content-Security-Policy that forbids
+ * loading anything; the Swagger UI page is left without one so it can run.
+ * HSTS is only sent over HTTPS.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export const securityHeaders = (req, res, next) => {
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+  })
+  if (req.path.startsWith('/api/')) {
+    res.set('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'")
+  }
+  if (req.secure) {
+    res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains')
+  }
+  next()
+}
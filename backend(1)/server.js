@@ -1,16 +1,132 @@
+import { pathToFileURL } from 'url'
 import express from 'express'
 import cors from 'cors'
-import Database from 'better-sqlite3'
-import logger from './logger.js'
+import config from './config.js'
+import logger, { requestLogger } from './logger.js'
+import db from './db.js'
+import { runMigrations } from './migrate.js'
 import swaggerUi from 'swagger-ui-express'
 import swaggerJSDoc from 'swagger-jsdoc'
+import { ERROR_CODES, ERROR_MESSAGES } from './constants.js'
+import { DEFAULT_LOCALE, message, translate } from './i18n.js'
+import { sendResponse, sendValidationErrors } from './response.js'
+import {
+  CONTACT_SCHEMA,
+  CUSTOM_FIELD_SCHEMA,
+  validate,
+  validateContactInput,
+  validateContactPatch,
+  validateLoginInput,
+  validateUserInput,
+  validateWebhookInput,
+} from './validation.js'
+import {
+  checkCredentials,
+  consumeRefreshToken,
+  hashPassword,
+  issueTokens,
+  requireAdmin,
+  requireAuth,
+} from './auth.js'
+import { parseLogQuery, queryLogs } from './logQuery.js'
+import { searchContacts } from './search.js'
+import { paginateContacts, parsePageQuery } from './pagination.js'
+import { compileFilter } from './filter.js'
+import { findDuplicateGroups, mergeContacts } from './duplicates.js'
+import { startTrashPurge, TRASH_RETENTION_DAYS } from './trash.js'
+import {
+  latestEventId,
+  listEventsAfter,
+  onEvent,
+  serverSentEvent,
+  startEventPurge,
+} from './events.js'
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  listDeliveries,
+  listWebhooks,
+  queuePing,
+  startWebhookDispatcher,
+  updateWebhook,
+} from './webhooks.js'
+import {
+  getContactHistory,
+  getContactVersion,
+  HISTORY_OPERATIONS,
+  recordHistory,
+} from './history.js'
+import {
+  applyContactImport,
+  createContact,
+  deleteContact,
+  withContactDetails,
+  planContactImport,
+  touchContacts,
+  updateContact,
+  uniqueViolationMessage,
+} from './contacts.js'
+import { formatVCard, parseVCards, VCARD_VERSIONS } from './vcard.js'
+import { singleFileUpload } from './upload.js'
+import { createMemoryStore, createSqliteStore, rateLimit } from './rateLimit.js'
+import { securityHeaders } from './security.js'
+import { APP_VERSION, checkReadiness } from './health.js'
+import {
+  metricsMiddleware,
+  registerContactMetrics,
+  registry as metricsRegistry,
+} from './metrics.js'
+import { deleteAvatar, getAvatar, setAvatar, sniffImageType, withAvatars } from './avatars.js'
+import { BATCH_MODES, MAX_BATCH_OPERATIONS, runBatch } from './batch.js'
+import { decodeCsv, detectDelimiter, formatCsv, mapColumns, parseCsv } from './csv.js'
+import {
+  addMembers,
+  COLLECTIONS,
+  compileMembershipFilter,
+  createCollectionItem,
+  deleteCollectionItem,
+  getCollectionItem,
+  getContactCollections,
+  listCollection,
+  MAX_MEMBERSHIP_CHANGES,
+  removeMembers,
+  updateCollectionItem,
+} from './collections.js'
+import {
+  createCustomField,
+  deleteCustomField,
+  isReservedFieldName,
+  listCustomFields,
+  updateCustomField,
+} from './customFields.js'
 
 const app = express()
-const PORT = 3000
+
+// Parse nested query strings such as filter[created_at][gte]=2024-01-01
+app.set('query parser', 'extended')
+app.set('trust proxy', config.trustProxy)
+app.disable('x-powered-by')
 
 // Middleware
-app.use(cors())
-app.use(express.json())
+app.use(requestLogger)
+app.use(metricsMiddleware)
+app.use(securityHeaders)
+app.use(
+  cors({
+    origin: config.cors.origins.includes('*') ? '*' : config.cors.origins,
+    // Browsers hide other headers from cross-origin scripts, which need the
+    // ETag to send If-Match and the request ID to report problems
+    exposedHeaders: ['ETag', 'X-Request-Id'],
+  })
+)
+// PATCH bodies may be sent as JSON Merge Patch
+app.use(
+  express.json({
+    limit: config.limits.json,
+    type: ['application/json', 'application/merge-patch+json'],
+  })
+)
 
 // Swagger configuration
 const options = {
@@ -18,12 +134,41 @@ const options = {
     openapi: '3.0.0',
     info: {
       title: 'Contact Management API',
-      version: '1.0.0',
-      description: 'A RESTful API for managing contacts',
+      version: APP_VERSION,
+      description: [
+        'A RESTful API for managing contacts.',
+        '',
+        'Responses carry `{ code, msg, data }` with an HTTP status that matches `code`:',
+        '0 success (200, or 201 when something was created), 1 validation error (400),',
+        '2 not found (404), 3 server error (500), 4 unauthorized (401), 5 conflict (409),',
+        '6 service unavailable (503), 7 too many requests (429), 8 precondition',
+        'failed (412, an If-Match naming an outdated version) and 9 forbidden (403,',
+        'admin endpoints used by other users). Send',
+        '`Accept: application/problem+json`, or set ERROR_FORMAT=problem on the server,',
+        'to receive errors as RFC 7807 problem details with `code` and `errors` as',
+        'extension members.',
+        '',
+        'Requests are rate limited per client: per IP address across the API, and per',
+        'user for search, contact creation, batches and imports. Every limited response',
+        'carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers; a',
+        '429 also carries Retry-After.',
+        '',
+        'Messages are in English (`en`) or Simplified Chinese (`zh-CN`), chosen by the',
+        '`lang` query parameter or the Accept-Language header and echoed in',
+        'Content-Language. Unsupported languages fall back to English.',
+        '',
+        'Contact changes are streamed as Server-Sent Events from /api/events and',
+        'delivered to registered webhooks as signed POST requests.',
+        '',
+        'Every response carries an X-Request-Id header, the one sent with the request',
+        'or a generated one, which server logs tag their entries with. Administrators,',
+        'marked with `node admin.js grant <username>` on the server, can search the',
+        'logs with GET /api/admin/logs.',
+      ].join('\n'),
     },
     servers: [
       {
-        url: `http://localhost:${PORT}`,
+        url: config.publicUrl,
         description: 'Development server',
       },
     ],
@@ -34,139 +179,351 @@ const options = {
 const specs = swaggerJSDoc(options)
 
 // Swagger UI
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, { explorer: true }))
-
-// Initialize database
-const db = new Database('database.db')
-
-// Create contacts table if it doesn't exist
-db.exec(`
-  CREATE TABLE IF NOT EXISTS contacts (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    phone TEXT NOT NULL,
-    email TEXT,
-    address TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`)
-
-// Error codes enum
-const ERROR_CODES = {
-  SUCCESS: 0,
-  VALIDATION_ERROR: 1,
-  NOT_FOUND: 2,
-  DATABASE_ERROR: 3,
-  NETWORK_ERROR: -1,
+if (config.features.apiDocs) {
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, { explorer: true }))
 }
 
-// Error messages configuration
-const ERROR_MESSAGES = {
-  // Validation errors
-  REQUIRED_FIELD_MISSING: 'Required field is missing',
-  NAME_REQUIRED: 'Name is required',
-  PHONE_REQUIRED: 'Phone number is required',
-  INVALID_EMAIL_FORMAT: 'Invalid email format',
-  INVALID_PHONE_FORMAT: 'Invalid phone number format',
-  EMAIL_ALREADY_EXISTS: 'Email already exists in the system',
-  INVALID_INPUT: 'Invalid input data provided',
-
-  // Business logic errors
-  CONTACT_NOT_FOUND: 'Contact not found',
-  CONTACT_LIST_EMPTY: 'No contacts found',
-  INVALID_CONTACT_ID: 'Invalid contact ID provided',
-
-  // Success messages
-  CONTACT_CREATED: 'Contact created successfully',
-  CONTACT_UPDATED: 'Contact updated successfully',
-  CONTACT_DELETED: 'Contact deleted successfully',
-  CONTACT_RETRIEVED: 'Contact retrieved successfully',
-  ALL_CONTACTS_RETRIEVED: 'All contacts retrieved successfully',
-  CONTACTS_SEARCHED: 'Contacts searched successfully',
-  SERVER_HEALTHY: 'Server is running and healthy',
-
-  // Server messages
-  SERVER_RUNNING: 'Server is running',
-  SUCCESS: 'Operation completed successfully',
-  REQUEST_PROCESSED: 'Request processed successfully',
-
-  // Database errors
-  DATABASE_OPERATION_FAILED: 'Database operation failed',
-  DATABASE_CONNECTION_ERROR: 'Database connection error',
-  DATA_RETRIEVAL_FAILED: 'Failed to retrieve data',
-  DATA_SAVE_FAILED: 'Failed to save data',
-  DATA_UPDATE_FAILED: 'Failed to update data',
-  DATA_DELETE_FAILED: 'Failed to delete data',
-
-  // Network and system errors
-  INTERNAL_SERVER_ERROR: 'Internal server error occurred',
-  SERVICE_UNAVAILABLE: 'Service temporarily unavailable',
-  BAD_REQUEST: 'Bad request - please check your input',
+// Bring the database schema up to date before serving requests
+await runMigrations(db)
+
+// Permanently remove contacts that outlived the trash retention period
+if (config.features.trashPurge) {
+  startTrashPurge(db)
 }
 
-// Helper function to send standardized response
-const sendResponse = (res, code, msg, data = null) => {
-  const response = { code, msg }
-  if (data !== null) {
-    response.data = data
-  }
-  res.json(response)
+// Contact totals reported by /metrics
+registerContactMetrics(db)
+
+// Drop change events once streams can no longer be expected to resume from them
+startEventPurge(db)
+
+// Routes behind a disabled feature toggle answer as if they did not exist
+const requireFeature = name => (req, res, next) => (config.features[name] ? next() : next('route'))
+
+// Send queued webhook deliveries in the background, right after each event.
+// With webhooks turned off, deliveries stay queued until they are turned on.
+const webhooksEnabled = requireFeature('webhooks')
+const webhookDispatcher = config.features.webhooks ? startWebhookDispatcher(db) : null
+if (webhookDispatcher) {
+  onEvent(webhookDispatcher.wake)
 }
 
-// Input validation helper
-const validateContactInput = (name, phone) => {
-  if (!name || !phone) {
-    return ERROR_MESSAGES.REQUIRED_FIELD_MISSING
-  }
-  return null
+// Request rate limits. The API-wide one counts per IP; the others are mounted
+// after requireAuth where possible, so signed-in clients are counted per user.
+const rateLimitStore =
+  config.rateLimit.store === 'sqlite' ? createSqliteStore(db) : createMemoryStore()
+const limiter = name =>
+  rateLimit({
+    name,
+    limit: config.rateLimit[name],
+    windowMs: config.rateLimit.windowSeconds * 1000,
+    store: rateLimitStore,
+  })
+const authLimiter = limiter('auth')
+const searchLimiter = limiter('search')
+const writeLimiter = limiter('write')
+
+app.use('/api', limiter('api'))
+
+// Columns written by the CSV export, which the CSV import maps back by name.
+// A column per custom field follows them.
+const CSV_EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'phone',
+  'email',
+  'address',
+  'company',
+  'title',
+  'birthday',
+  'notes',
+  'created_at',
+]
+
+const selectLiveContact = db.prepare(
+  'SELECT * FROM contacts WHERE id = ? AND owner_id = ? AND deleted_at IS NULL'
+)
+
+// ETag of a contact, which changes with its version
+const contactEtag = contact => `"${contact.version}"`
+
+// Whether the If-Match header is absent or names the current ETag. Weak ETags
+// never match, as If-Match compares strongly.
+const ifMatchPasses = (req, etag) => {
+  const header = req.get('If-Match')
+  return !header || header.trim() === '*' || header.split(',').some(tag => tag.trim() === etag)
+}
+
+// Send a stored contact with its details, groups, tags and ETag
+const sendContact = (res, msg, contact) =>
+  sendResponse(res.set('ETag', contactEtag(contact)), ERROR_CODES.SUCCESS, msg, {
+    ...withContactDetails(db, [contact])[0],
+    ...getContactCollections(db, contact.id),
+  })
+
+// Refuse a write whose If-Match names an outdated version, with the current ETag
+const contactVersionMismatch = (res, contact) => {
+  logger.warn('Contact version mismatch', { id: contact.id, version: contact.version })
+  sendResponse(
+    res.set('ETag', contactEtag(contact)),
+    ERROR_CODES.PRECONDITION_FAILED,
+    ERROR_MESSAGES.CONTACT_VERSION_MISMATCH
+  )
 }
 
 // Routes
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+// Liveness: the process is up and serving requests
+app.get('/api/health/live', (req, res) => {
   // No notification for health check
-  sendResponse(res, ERROR_CODES.SUCCESS, null)
+  sendResponse(res, ERROR_CODES.SUCCESS, null, {
+    version: APP_VERSION,
+    uptime: Math.round(process.uptime()),
+  })
+})
+
+// Readiness: the database answers too. /api/health is kept as an alias.
+const readinessCheck = (req, res) => {
+  const { ready, status } = checkReadiness(db)
+  if (ready) {
+    return sendResponse(res, ERROR_CODES.SUCCESS, null, status)
+  }
+  logger.error('Readiness check failed', { error: status.database.error })
+  sendResponse(
+    res,
+    ERROR_CODES.SERVICE_UNAVAILABLE,
+    ERROR_MESSAGES.DATABASE_CONNECTION_ERROR,
+    status
+  )
+}
+app.get('/api/health/ready', readinessCheck)
+app.get('/api/health', readinessCheck)
+
+// Metrics in the Prometheus text format
+app.get('/metrics', requireFeature('metrics'), async (req, res) => {
+  try {
+    res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics())
+  } catch (error) {
+    logger.error('Error collecting metrics', { error: error.message, stack: error.stack })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+/**
+ * Authentication APIs
+ */
+
+// Register a new user and sign them in
+app.post('/api/auth/register', requireFeature('registration'), authLimiter, async (req, res) => {
+  const { value, errors } = validateUserInput(req.body)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+  const { username, password } = value
+
+  try {
+    const passwordHash = await hashPassword(password)
+    const { user, tokens, adoptedContacts } = db.transaction(() => {
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM users').get()
+      const result = db
+        .prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)')
+        .run(username, passwordHash)
+      const user = db
+        .prepare('SELECT id, username, created_at FROM users WHERE id = ?')
+        .get(result.lastInsertRowid)
+
+      // Contacts created before accounts existed belong to the first user
+      const adoptedContacts =
+        count === 0
+          ? db.prepare('UPDATE contacts SET owner_id = ? WHERE owner_id IS NULL').run(user.id)
+              .changes
+          : 0
+      return { user, tokens: issueTokens(db, user), adoptedContacts }
+    })()
+
+    logger.info('User registered successfully', { id: user.id, username, adoptedContacts })
+    sendResponse(res.status(201), ERROR_CODES.SUCCESS, ERROR_MESSAGES.USER_REGISTERED, {
+      user,
+      ...tokens,
+    })
+  } catch (error) {
+    logger.error('Error registering user', {
+      error: error.message,
+      stack: error.stack,
+      username,
+    })
+
+    if (error.message && error.message.includes('UNIQUE constraint failed: users.username')) {
+      sendResponse(res, ERROR_CODES.CONFLICT, ERROR_MESSAGES.USERNAME_ALREADY_EXISTS)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+    }
+  }
+})
+
+// Exchange a username and password for tokens
+app.post('/api/auth/login', authLimiter, async (req, res) => {
+  const { value, errors } = validateLoginInput(req.body)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+  const { username, password } = value
+
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE username = ?').get(username)
+    if (!(await checkCredentials(user, password))) {
+      logger.warn('Failed login attempt', { username })
+      return sendResponse(res, ERROR_CODES.UNAUTHORIZED, ERROR_MESSAGES.INVALID_CREDENTIALS)
+    }
+
+    const { id, created_at } = user
+    const tokens = issueTokens(db, user)
+    logger.info('User logged in', { id, username })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.LOGIN_SUCCESS, {
+      user: { id, username: user.username, created_at },
+      ...tokens,
+    })
+  } catch (error) {
+    logger.error('Error logging in', {
+      error: error.message,
+      stack: error.stack,
+      username,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Rotate a refresh token into a new token pair
+app.post('/api/auth/refresh', authLimiter, (req, res) => {
+  const { refreshToken } = req.body || {}
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    return sendResponse(res, ERROR_CODES.UNAUTHORIZED, ERROR_MESSAGES.AUTH_REQUIRED)
+  }
+
+  try {
+    const { user, tokens, msg } = db.transaction(() => {
+      const { user, msg } = consumeRefreshToken(db, refreshToken)
+      return user ? { user, tokens: issueTokens(db, user) } : { msg }
+    })()
+
+    if (!user) {
+      logger.warn('Rejected refresh token', { reason: msg })
+      return sendResponse(res, ERROR_CODES.UNAUTHORIZED, msg)
+    }
+    logger.info('Token refreshed', { id: user.id })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.TOKEN_REFRESHED, { user, ...tokens })
+  } catch (error) {
+    logger.error('Error refreshing token', {
+      error: error.message,
+      stack: error.stack,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+  }
+})
+
+// Revoke a refresh token
+app.post('/api/auth/logout', (req, res) => {
+  const { refreshToken } = req.body || {}
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    return sendResponse(res, ERROR_CODES.UNAUTHORIZED, ERROR_MESSAGES.AUTH_REQUIRED)
+  }
+
+  try {
+    const { user, msg } = consumeRefreshToken(db, refreshToken)
+    if (!user) {
+      return sendResponse(res, ERROR_CODES.UNAUTHORIZED, msg)
+    }
+    logger.info('User logged out', { id: user.id })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.LOGGED_OUT)
+  } catch (error) {
+    logger.error('Error logging out', {
+      error: error.message,
+      stack: error.stack,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+  }
+})
+
+// Get the authenticated user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  try {
+    const user = db
+      .prepare('SELECT id, username, created_at FROM users WHERE id = ?')
+      .get(req.user.id)
+    if (user) {
+      sendResponse(res, ERROR_CODES.SUCCESS, null, user)
+    } else {
+      sendResponse(res, ERROR_CODES.UNAUTHORIZED, ERROR_MESSAGES.INVALID_TOKEN)
+    }
+  } catch (error) {
+    logger.error('Error fetching current user', {
+      error: error.message,
+      stack: error.stack,
+      id: req.user.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
 })
 
 /**
  * Contact Management APIs
  */
 
-// Get all contacts
+// Every contact route is scoped to the authenticated user's address book
+app.use('/api/contacts', requireAuth)
+
+// Get contacts, one page at a time, optionally filtered with filter[...], group and tag params
 app.get('/api/contacts', (req, res) => {
+  const { value: page, errors: pageErrors } = parsePageQuery(req.query)
+  const filter = compileFilter(req.query.filter)
+  const membership = compileMembershipFilter(req.query)
+  const errors = [...pageErrors, ...filter.errors, ...membership.errors]
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
   try {
-    const contacts = db.prepare('SELECT * FROM contacts ORDER BY created_at DESC').all()
-    logger.info('Contacts retrieved successfully', { count: contacts.length })
+    const { rows: contacts, meta } = paginateContacts(db, page, {
+      where: ['owner_id = ?', 'deleted_at IS NULL', ...filter.where, ...membership.where],
+      params: [req.user.id, ...filter.params, ...membership.params],
+    })
+    logger.info('Contacts retrieved successfully', { count: contacts.length, total: meta.total })
     // No notification for query operations - only return data
-    sendResponse(res, ERROR_CODES.SUCCESS, null, contacts)
+    sendResponse(res, ERROR_CODES.SUCCESS, null, contacts, { meta })
   } catch (error) {
     logger.error('Error fetching contacts', {
       error: error.message,
       stack: error.stack,
+      query: req.query,
     })
     sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
   }
 })
 
-// Search contacts by query
-app.get('/api/contacts/search', (req, res) => {
+// Full-text search, best match first, optionally limited to a group or tag
+app.get('/api/contacts/search', searchLimiter, (req, res) => {
+  const membership = compileMembershipFilter(req.query)
+  if (membership.errors.length > 0) {
+    return sendValidationErrors(res, membership.errors)
+  }
+
   try {
     const { q: query } = req.query
 
-    if (!query || query.trim() === '') {
+    if (typeof query !== 'string' || query.trim() === '') {
       // If no query provided, return all contacts
-      const contacts = db.prepare('SELECT * FROM contacts ORDER BY created_at DESC').all()
+      const contacts = db
+        .prepare(
+          `SELECT * FROM contacts WHERE owner_id = ? AND deleted_at IS NULL
+           ${membership.where.map(condition => `AND (${condition})`).join(' ')}
+           ORDER BY created_at DESC`
+        )
+        .all(req.user.id, ...membership.params)
       logger.info('All contacts retrieved (no search query)', { count: contacts.length })
-      return sendResponse(res, ERROR_CODES.SUCCESS, null, contacts)
+      return sendResponse(res, ERROR_CODES.SUCCESS, null, withContactDetails(db, contacts))
     }
 
-    const searchTerm = `%${query.trim()}%`
-    const contacts = db
-      .prepare(
-        'SELECT * FROM contacts WHERE name LIKE ? OR phone LIKE ? OR email LIKE ? OR address LIKE ? ORDER BY created_at DESC'
-      )
-      .all(searchTerm, searchTerm, searchTerm, searchTerm)
+    const contacts = withContactDetails(db, searchContacts(db, req.user.id, query, membership))
 
     logger.info('Contacts searched successfully', {
       query,
@@ -185,161 +542,1768 @@ app.get('/api/contacts/search', (req, res) => {
   }
 })
 
-// Create new contact
-app.post('/api/contacts', (req, res) => {
-  const { name, phone, email, address } = req.body
+// Query contacts with a structured JSON filter
+app.post('/api/contacts/query', searchLimiter, (req, res) => {
+  const { filter: filterTree, ...pageOptions } = req.body || {}
 
-  const validationError = validateContactInput(name, phone)
-  if (validationError) {
-    return sendResponse(res, ERROR_CODES.VALIDATION_ERROR, validationError)
+  // Page options arrive as JSON numbers; parsePageQuery expects query strings
+  const { value: page, errors: pageErrors } = parsePageQuery(
+    Object.fromEntries(Object.entries(pageOptions).map(([key, value]) => [key, String(value)]))
+  )
+  const filter = compileFilter(filterTree)
+  const errors = [...pageErrors, ...filter.errors]
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
   }
 
   try {
-    const stmt = db.prepare(
-      'INSERT INTO contacts (name, phone, email, address) VALUES (?, ?, ?, ?)'
-    )
-    const result = stmt.run(name, phone, email || null, address || null)
-    logger.info('Contact created successfully', {
-      id: result.lastInsertRowid,
-      name,
-      phone,
-    })
-    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACT_CREATED, {
-      id: result.lastInsertRowid,
-      name,
-      phone,
-      email: email || null,
-      address: address || null,
+    const { rows: contacts, meta } = paginateContacts(db, page, {
+      where: ['owner_id = ?', 'deleted_at IS NULL', ...filter.where],
+      params: [req.user.id, ...filter.params],
     })
+    logger.info('Contacts queried successfully', { count: contacts.length, total: meta.total })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, contacts, { meta })
   } catch (error) {
-    logger.error('Error creating contact', {
+    logger.error('Error querying contacts', {
       error: error.message,
       stack: error.stack,
-      contactData: { name, phone, email, address },
+      filter: filterTree,
     })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
 
-    // Check for specific error types
-    if (error.message && error.message.includes('UNIQUE constraint failed')) {
-      sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.EMAIL_ALREADY_EXISTS)
-    } else {
-      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
-    }
+// List starred contacts, by name unless another sort is requested
+app.get('/api/contacts/favorites', (req, res) => {
+  const { value: page, errors: pageErrors } = parsePageQuery({
+    sort: 'name',
+    order: 'asc',
+    ...req.query,
+  })
+  const membership = compileMembershipFilter(req.query)
+  const errors = [...pageErrors, ...membership.errors]
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const { rows: contacts, meta } = paginateContacts(db, page, {
+      where: ['owner_id = ?', 'deleted_at IS NULL', 'favorite = 1', ...membership.where],
+      params: [req.user.id, ...membership.params],
+    })
+    logger.info('Favorite contacts retrieved', { count: contacts.length, total: meta.total })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, contacts, { meta })
+  } catch (error) {
+    logger.error('Error fetching favorite contacts', {
+      error: error.message,
+      stack: error.stack,
+      query: req.query,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
   }
 })
 
-// Get single contact by ID
-app.get('/api/contacts/:id', (req, res) => {
+// List trashed contacts, most recently deleted first
+app.get('/api/contacts/trash', (req, res) => {
+  const { value: page, errors } = parsePageQuery({ sort: 'deleted_at', ...req.query })
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
   try {
-    const contact = db.prepare('SELECT * FROM contacts WHERE id = ?').get(req.params.id)
-    if (contact) {
-      logger.info('Contact retrieved successfully', { id: req.params.id })
-      // No notification for query operations - only return data
-      sendResponse(res, ERROR_CODES.SUCCESS, null, contact)
-    } else {
-      logger.warn('Contact not found', { id: req.params.id })
-      sendResponse(
-        res,
-        ERROR_CODES.NOT_FOUND,
-        `${ERROR_MESSAGES.CONTACT_NOT_FOUND} (ID: ${req.params.id})`
-      )
-    }
+    const { rows: contacts, meta } = paginateContacts(db, page, {
+      where: ['owner_id = ?', 'deleted_at IS NOT NULL'],
+      params: [req.user.id],
+    })
+    logger.info('Trashed contacts retrieved', { count: contacts.length, total: meta.total })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, contacts, {
+      meta: { ...meta, retentionDays: TRASH_RETENTION_DAYS },
+    })
   } catch (error) {
-    logger.error('Error fetching contact', {
+    logger.error('Error fetching trashed contacts', {
       error: error.message,
       stack: error.stack,
-      id: req.params.id,
     })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
 
-    if (isNaN(req.params.id)) {
-      sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
-    } else {
-      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
-    }
+// Find groups of likely duplicate contacts
+app.get('/api/contacts/duplicates', (req, res) => {
+  try {
+    const contacts = db
+      .prepare('SELECT * FROM contacts WHERE owner_id = ? AND deleted_at IS NULL ORDER BY id')
+      .all(req.user.id)
+    const groups = findDuplicateGroups(withContactDetails(db, contacts, ['phones', 'emails']))
+    logger.info('Duplicate contacts detected', { groups: groups.length })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, groups)
+  } catch (error) {
+    logger.error('Error detecting duplicate contacts', {
+      error: error.message,
+      stack: error.stack,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
   }
 })
 
-// Update contact
-app.put('/api/contacts/:id', (req, res) => {
-  const { name, phone, email, address } = req.body
+// Merge a group of contacts into one surviving record
+app.post('/api/contacts/merge', (req, res) => {
+  const { targetId, sourceIds } = req.body || {}
 
-  const validationError = validateContactInput(name, phone)
-  if (validationError) {
-    return sendResponse(res, ERROR_CODES.VALIDATION_ERROR, validationError)
+  if (
+    !Number.isInteger(targetId) ||
+    !Array.isArray(sourceIds) ||
+    sourceIds.length === 0 ||
+    !sourceIds.every(Number.isInteger)
+  ) {
+    return sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
+  }
+  if (sourceIds.includes(targetId)) {
+    return sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.MERGE_TARGET_IN_SOURCES)
   }
 
   try {
-    const stmt = db.prepare(
-      'UPDATE contacts SET name = ?, phone = ?, email = ?, address = ? WHERE id = ?'
-    )
-    const result = stmt.run(name, phone, email || null, address || null, req.params.id)
-    if (result.changes > 0) {
-      logger.info('Contact updated successfully', {
-        id: req.params.id,
-        name,
-        phone,
-      })
-      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACT_UPDATED, {
-        id: req.params.id,
-        name,
-        phone,
-        email: email || null,
-        address: address || null,
-      })
+    const merged = db.transaction(() => {
+      const uniqueSourceIds = [...new Set(sourceIds)]
+      const before = [targetId, ...uniqueSourceIds].map(id =>
+        selectLiveContact.get(id, req.user.id)
+      )
+      if (before.some(contact => !contact)) {
+        return null
+      }
+      const merged = mergeContacts(db, req.user.id, targetId, uniqueSourceIds)
+
+      const [target, ...sources] = withContactDetails(db, before)
+      const entry = {
+        ownerId: req.user.id,
+        actorId: req.user.id,
+        operation: HISTORY_OPERATIONS.MERGE,
+      }
+      recordHistory(db, { ...entry, contactId: targetId, before: target, after: merged })
+      sources.forEach(source =>
+        recordHistory(db, { ...entry, contactId: source.id, before: source, after: null })
+      )
+      return merged
+    })()
+    if (merged) {
+      logger.info('Contacts merged successfully', { targetId, sourceIds })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACTS_MERGED, merged)
     } else {
-      logger.warn('Contact not found for update', { id: req.params.id })
+      logger.warn('Contact not found for merge', { targetId, sourceIds })
       sendResponse(res, ERROR_CODES.NOT_FOUND, ERROR_MESSAGES.CONTACT_NOT_FOUND)
     }
   } catch (error) {
-    logger.error('Error updating contact', {
+    logger.error('Error merging contacts', {
       error: error.message,
       stack: error.stack,
-      id: req.params.id,
-      contactData: { name, phone, email, address },
+      targetId,
+      sourceIds,
     })
-
-    if (error.message && error.message.includes('UNIQUE constraint failed')) {
-      sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.EMAIL_ALREADY_EXISTS)
-    } else {
-      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
-    }
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
   }
 })
 
-// Delete contact
-app.delete('/api/contacts/:id', (req, res) => {
+// Run a list of create, update and delete operations in one transaction
+app.post('/api/contacts/batch', writeLimiter, (req, res) => {
+  const { operations, mode = BATCH_MODES.ALL_OR_NOTHING } = req.body || {}
+  const errors = []
+  if (!Object.values(BATCH_MODES).includes(mode)) {
+    errors.push({ field: 'mode', rule: 'format', msg: ERROR_MESSAGES.INVALID_BATCH_MODE })
+  }
+  if (!Array.isArray(operations) || operations.length === 0) {
+    errors.push({ field: 'operations', rule: 'type', msg: ERROR_MESSAGES.INVALID_BATCH_OPERATIONS })
+  } else if (operations.length > MAX_BATCH_OPERATIONS) {
+    errors.push({
+      field: 'operations',
+      rule: 'maxLength',
+      msg: message(ERROR_MESSAGES.TOO_MANY_BATCH_OPERATIONS, { max: MAX_BATCH_OPERATIONS }),
+    })
+  }
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
   try {
-    const stmt = db.prepare('DELETE FROM contacts WHERE id = ?')
-    const result = stmt.run(req.params.id)
-    if (result.changes > 0) {
-      logger.info('Contact deleted successfully', { id: req.params.id })
-      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACT_DELETED)
+    const { committed, results } = runBatch(db, req.user.id, operations, mode)
+    const failed = results.filter(result => result.code !== ERROR_CODES.SUCCESS)
+    const summary = {
+      mode,
+      committed,
+      total: results.length,
+      succeeded: committed ? results.length - failed.length : 0,
+      failed: failed.length,
+      results,
+    }
+
+    if (committed) {
+      logger.info('Contact batch completed', {
+        mode,
+        total: summary.total,
+        failed: summary.failed,
+      })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.BATCH_COMPLETED, summary)
     } else {
-      logger.warn('Contact not found for deletion', { id: req.params.id })
-      sendResponse(
-        res,
-        ERROR_CODES.NOT_FOUND,
-        `${ERROR_MESSAGES.CONTACT_NOT_FOUND} (ID: ${req.params.id})`
-      )
+      // The batch fails with the code of its first failed operation
+      logger.warn('Contact batch rolled back', {
+        mode,
+        total: summary.total,
+        failed: summary.failed,
+      })
+      sendResponse(res, failed[0].code, ERROR_MESSAGES.BATCH_ROLLED_BACK, summary)
     }
   } catch (error) {
-    logger.error('Error deleting contact', {
+    logger.error('Error running contact batch', {
       error: error.message,
       stack: error.stack,
-      id: req.params.id,
+      mode,
     })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+  }
+})
 
-    if (isNaN(req.params.id)) {
-      sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
+/**
+ * Parse the contact selection shared by the export endpoints: every live
+ * contact, those matching filter[...], and/or those listed in ?ids=1,2,3
+ * @param {Object} query - Express `req.query`
+ * @param {number} ownerId - Owner of the address book
+ * @returns {{ where: string[], params: Array, errors: Array }} Conditions for a
+ *   contacts query, and every rejected parameter
+ */
+const parseExportSelection = (query, ownerId) => {
+  const filter = compileFilter(query.filter)
+  const membership = compileMembershipFilter(query)
+  const where = ['owner_id = ?', 'deleted_at IS NULL', ...filter.where, ...membership.where]
+  const params = [ownerId, ...filter.params, ...membership.params]
+  const errors = [...filter.errors, ...membership.errors]
+
+  if (query.ids !== undefined) {
+    const ids = [query.ids]
+      .flat()
+      .join(',')
+      .split(',')
+      .map(id => Number(id.trim()))
+    if (ids.every(id => Number.isInteger(id) && id > 0)) {
+      where.push(`id IN (${ids.map(() => '?').join(', ')})`)
+      params.push(...ids)
     } else {
-      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_DELETE_FAILED)
+      errors.push({ field: 'ids', rule: 'query', msg: ERROR_MESSAGES.INVALID_QUERY_PARAMETER })
     }
   }
-})
 
-// Export the app for testing or further use
-export default app
+  return { where, params, errors }
+}
+
+// Parse the ?version= and ?photo= parameters shared by the vCard exports
+const parseVCardQuery = query => {
+  const { version = '3.0', photo = 'false' } = query
+  const errors = []
+  if (!VCARD_VERSIONS.includes(version)) {
+    errors.push({ field: 'version', rule: 'query', msg: ERROR_MESSAGES.INVALID_QUERY_PARAMETER })
+  }
+  if (photo !== 'true' && photo !== 'false') {
+    errors.push({ field: 'photo', rule: 'query', msg: ERROR_MESSAGES.INVALID_QUERY_PARAMETER })
+  }
+  return { version, photo: photo === 'true', errors }
+}
+
+// Send contact rows as a .vcf download, embedding avatars when asked to
+const sendVCardFile = (res, contacts, { version, photo }, filename) => {
+  const detailed = withContactDetails(db, contacts)
+  res.attachment(filename)
+  res.type('text/vcard; charset=utf-8')
+  res.send(
+    (photo ? withAvatars(db, detailed) : detailed)
+      .map(contact => formatVCard(contact, version))
+      .join('')
+  )
+}
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Server is running on http://localhost:${PORT}`, { port: PORT })
+// Send contact rows of one address book as a .csv download
+const sendCsvFile = (res, ownerId, contacts, filename) => {
+  const customNames = listCustomFields(db, ownerId).map(field => field.name)
+  res.attachment(filename)
+  res.type('text/csv; charset=utf-8')
+  res.send(
+    formatCsv(
+      [...CSV_EXPORT_COLUMNS, ...customNames],
+      withContactDetails(db, contacts, ['customFields']).map(contact => [
+        ...CSV_EXPORT_COLUMNS.map(column => contact[column]),
+        ...customNames.map(name => contact.customFields[name]),
+      ])
+    )
+  )
+}
+
+// Export contacts as a .vcf file
+app.get('/api/contacts/export.vcf', (req, res) => {
+  const options = parseVCardQuery(req.query)
+  const { where, params, errors } = parseExportSelection(req.query, req.user.id)
+  errors.push(...options.errors)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const contacts = db
+      .prepare(`SELECT * FROM contacts WHERE ${where.join(' AND ')} ORDER BY name, id`)
+      .all(...params)
+
+    logger.info('Contacts exported as vCard', {
+      count: contacts.length,
+      version: options.version,
+      photo: options.photo,
+    })
+    sendVCardFile(res, contacts, options, 'contacts.vcf')
+  } catch (error) {
+    logger.error('Error exporting contacts', {
+      error: error.message,
+      stack: error.stack,
+      query: req.query,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
 })
+
+// Import contacts from an uploaded .vcf file; each card succeeds or fails on its own
+app.post(
+  '/api/contacts/import',
+  writeLimiter,
+  singleFileUpload('file', config.limits.import),
+  (req, res) => {
+    const cards = parseVCards(new TextDecoder('utf-8').decode(req.file.buffer))
+    if (cards.length === 0) {
+      return sendValidationErrors(res, [
+        { field: 'file', rule: 'format', msg: ERROR_MESSAGES.INVALID_VCARD_FILE },
+      ])
+    }
+
+    try {
+      const customFields = listCustomFields(db, req.user.id)
+      const results = cards.map(({ index, contact, error }) => {
+        if (error) {
+          return { index, status: 'failed', errors: [{ field: null, rule: 'format', msg: error }] }
+        }
+        const { value, errors } = validateContactInput(contact, customFields)
+        if (errors.length > 0) {
+          return { index, status: 'failed', name: contact.name || null, errors }
+        }
+
+        try {
+          const id = createContact(db, req.user.id, value)
+          return { index, status: 'created', id, name: value.name }
+        } catch (error) {
+          const duplicateMessage = uniqueViolationMessage(error)
+          if (!duplicateMessage) {
+            throw error
+          }
+          return {
+            index,
+            status: 'failed',
+            name: value.name,
+            errors: [{ field: null, rule: 'unique', msg: duplicateMessage }],
+          }
+        }
+      })
+
+      const created = results.filter(result => result.status === 'created').length
+      logger.info('Contacts imported from vCard', {
+        file: req.file.originalname,
+        total: results.length,
+        created,
+      })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACTS_IMPORTED, {
+        total: results.length,
+        created,
+        failed: results.length - created,
+        results,
+      })
+    } catch (error) {
+      logger.error('Error importing contacts', {
+        error: error.message,
+        stack: error.stack,
+        file: req.file.originalname,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+    }
+  }
+)
+
+// Export contacts as a CSV file that Excel opens as UTF-8
+app.get('/api/contacts/export.csv', (req, res) => {
+  const { where, params, errors } = parseExportSelection(req.query, req.user.id)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const contacts = db
+      .prepare(`SELECT * FROM contacts WHERE ${where.join(' AND ')} ORDER BY name, id`)
+      .all(...params)
+
+    logger.info('Contacts exported as CSV', { count: contacts.length })
+    sendCsvFile(res, req.user.id, contacts, 'contacts.csv')
+  } catch (error) {
+    logger.error('Error exporting contacts', {
+      error: error.message,
+      stack: error.stack,
+      query: req.query,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+/**
+ * Parse the form fields of a CSV import: `mapping` (JSON object of header name
+ * to contact field), `delimiter` and `encoding`
+ * @param {Object} body - Multipart form fields
+ * @returns {{ value: Object, errors: Array }} Parsed options and every rejected field
+ */
+const parseCsvImportOptions = body => {
+  const { mapping: rawMapping, delimiter, encoding } = body || {}
+  const errors = []
+  const fail = (field, msg) => errors.push({ field, rule: 'format', msg })
+
+  let mapping = null
+  if (rawMapping) {
+    try {
+      mapping = JSON.parse(rawMapping)
+    } catch {
+      mapping = null
+    }
+    const fields = Object.keys(CONTACT_SCHEMA)
+    if (
+      !mapping ||
+      typeof mapping !== 'object' ||
+      Array.isArray(mapping) ||
+      !Object.values(mapping).every(field => fields.includes(field))
+    ) {
+      fail('mapping', ERROR_MESSAGES.INVALID_COLUMN_MAPPING)
+    }
+  }
+  if (delimiter !== undefined && !/^[^"\r\n]$/.test(delimiter)) {
+    fail('delimiter', ERROR_MESSAGES.INVALID_DELIMITER)
+  }
+  if (encoding !== undefined) {
+    try {
+      new TextDecoder(encoding)
+    } catch {
+      fail('encoding', ERROR_MESSAGES.INVALID_ENCODING)
+    }
+  }
+
+  return { value: { mapping, delimiter, encoding }, errors }
+}
+
+// CSV cells are text; those of number custom fields are parsed so they
+// validate like numbers sent as JSON
+const customCellValue = (field, cell = '') => {
+  const text = cell.trim()
+  return field.type === 'number' && text !== '' && Number.isFinite(Number(text))
+    ? Number(text)
+    : text
+}
+
+// Import contacts from a CSV file. Rows matching a contact by phone or email
+// update it; with ?dryRun=true the outcome is returned without saving anything.
+app.post(
+  '/api/contacts/import/csv',
+  writeLimiter,
+  singleFileUpload('file', config.limits.import),
+  (req, res) => {
+    const { dryRun = 'false' } = req.query
+    const { value: options, errors } = parseCsvImportOptions(req.body)
+    if (dryRun !== 'true' && dryRun !== 'false') {
+      errors.push({ field: 'dryRun', rule: 'query', msg: ERROR_MESSAGES.INVALID_QUERY_PARAMETER })
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    const { text, encoding } = decodeCsv(req.file.buffer, options.encoding)
+    const delimiter = options.delimiter ?? detectDelimiter(text)
+    const [header, ...records] = parseCsv(text, delimiter)
+    if (!header || records.length === 0) {
+      return sendValidationErrors(res, [
+        { field: 'file', rule: 'format', msg: ERROR_MESSAGES.INVALID_CSV_FILE },
+      ])
+    }
+
+    const headers = header.cells.map(cell => cell.trim())
+    const customFields = listCustomFields(db, req.user.id)
+    const { fields: columns, customFields: customColumns } = mapColumns(
+      headers,
+      options.mapping,
+      customFields.map(field => field.name)
+    )
+    const mappingErrors = [
+      ...Object.keys(options.mapping || {})
+        .filter(name => !headers.includes(name))
+        .map(name => ({
+          field: 'mapping',
+          rule: 'format',
+          msg: message(ERROR_MESSAGES.UNKNOWN_MAPPED_COLUMN, { column: name }),
+        })),
+      ...Object.keys(CONTACT_SCHEMA)
+        .filter(field => CONTACT_SCHEMA[field].required)
+        .filter(field => !Object.values(columns).includes(field))
+        .map(field => ({
+          field: 'mapping',
+          rule: 'required',
+          msg: message(ERROR_MESSAGES.REQUIRED_COLUMN_MISSING, { field }),
+        })),
+    ]
+    if (mappingErrors.length > 0) {
+      return sendValidationErrors(res, mappingErrors)
+    }
+
+    try {
+      const fields = Object.values(columns)
+      const plan = planContactImport(
+        db,
+        req.user.id,
+        records.map(({ line, cells }) => ({
+          row: line,
+          input: {
+            ...Object.fromEntries(
+              Object.entries(columns).map(([index, field]) => [field, cells[index] ?? ''])
+            ),
+            customFields: Object.fromEntries(
+              Object.entries(customColumns).map(([index, name]) => [
+                name,
+                customCellValue(
+                  customFields.find(field => field.name === name),
+                  cells[index]
+                ),
+              ])
+            ),
+          },
+          fields,
+          customFields: Object.values(customColumns),
+        }))
+      )
+      const outcome = dryRun === 'true' ? plan : applyContactImport(db, req.user.id, plan)
+
+      const count = action => outcome.filter(entry => entry.action === action).length
+      const summary = {
+        dryRun: dryRun === 'true',
+        encoding,
+        delimiter,
+        total: outcome.length,
+        inserted: count('insert'),
+        updated: count('update'),
+        failed: count('error'),
+        results: outcome.map(({ row, action, id, contact, errors }) => ({
+          row,
+          action,
+          id,
+          contact,
+          errors,
+        })),
+      }
+      logger.info(dryRun === 'true' ? 'CSV import previewed' : 'Contacts imported from CSV', {
+        file: req.file.originalname,
+        total: summary.total,
+        inserted: summary.inserted,
+        updated: summary.updated,
+        failed: summary.failed,
+      })
+      sendResponse(
+        res,
+        ERROR_CODES.SUCCESS,
+        dryRun === 'true' ? ERROR_MESSAGES.IMPORT_PREVIEWED : ERROR_MESSAGES.CONTACTS_IMPORTED,
+        summary
+      )
+    } catch (error) {
+      logger.error('Error importing contacts from CSV', {
+        error: error.message,
+        stack: error.stack,
+        file: req.file.originalname,
+      })
+
+      const duplicateMessage = uniqueViolationMessage(error)
+      if (duplicateMessage) {
+        sendResponse(res, ERROR_CODES.CONFLICT, duplicateMessage)
+      } else {
+        sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+      }
+    }
+  }
+)
+
+// Create new contact
+app.post('/api/contacts', writeLimiter, (req, res) => {
+  const { value, errors } = validateContactInput(req.body, listCustomFields(db, req.user.id))
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+  const { name, phone, email, address } = value
+
+  try {
+    const id = createContact(db, req.user.id, value)
+    logger.info('Contact created successfully', {
+      id,
+      name,
+      phone,
+    })
+    sendResponse(res.status(201), ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACT_CREATED, {
+      id,
+      ...value,
+    })
+  } catch (error) {
+    logger.error('Error creating contact', {
+      error: error.message,
+      stack: error.stack,
+      contactData: { name, phone, email, address },
+    })
+
+    // Check for specific error types
+    const duplicateMessage = uniqueViolationMessage(error)
+    if (duplicateMessage) {
+      sendResponse(res, ERROR_CODES.CONFLICT, duplicateMessage)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+    }
+  }
+})
+
+// Get single contact by ID
+app.get('/api/contacts/:id', (req, res) => {
+  try {
+    const contact = selectLiveContact.get(req.params.id, req.user.id)
+    if (contact) {
+      // Clients revalidate with If-None-Match and get 304 while it is unchanged
+      res.set({ ETag: contactEtag(contact), 'Cache-Control': 'private, no-cache' })
+      if (req.fresh) {
+        return res.status(304).end()
+      }
+      logger.info('Contact retrieved successfully', { id: req.params.id })
+      // No notification for query operations - only return data
+      sendContact(res, null, contact)
+    } else {
+      logger.warn('Contact not found', { id: req.params.id })
+      sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: req.params.id })
+      )
+    }
+  } catch (error) {
+    logger.error('Error fetching contact', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+
+    if (isNaN(req.params.id)) {
+      sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+    }
+  }
+})
+
+// Download one contact as a vCard
+app.get('/api/contacts/:id/vcard', (req, res) => {
+  const options = parseVCardQuery(req.query)
+  if (options.errors.length > 0) {
+    return sendValidationErrors(res, options.errors)
+  }
+
+  try {
+    const contact = selectLiveContact.get(req.params.id, req.user.id)
+    if (contact) {
+      logger.info('Contact exported as vCard', { id: req.params.id, version: options.version })
+      sendVCardFile(res, [contact], options, `contact-${contact.id}.vcf`)
+    } else {
+      logger.warn('Contact not found for vCard export', { id: req.params.id })
+      sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: req.params.id })
+      )
+    }
+  } catch (error) {
+    logger.error('Error exporting contact', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Avatar details returned to clients; the image itself is only served as is
+const avatarMeta = ({ data, ...avatar }) => ({ ...avatar, size: data.length })
+
+// Answer a contact ID that is not a live contact of the user
+const contactNotFound = (res, id) =>
+  sendResponse(res, ERROR_CODES.NOT_FOUND, message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id }))
+
+// Serve a contact's avatar; clients revalidate with If-None-Match
+app.get('/api/contacts/:id/avatar', (req, res) => {
+  try {
+    const contact = selectLiveContact.get(req.params.id, req.user.id)
+    if (!contact) {
+      logger.warn('Contact not found for avatar', { id: req.params.id })
+      return contactNotFound(res, req.params.id)
+    }
+    const avatar = getAvatar(db, contact.id)
+    if (!avatar) {
+      return sendResponse(res, ERROR_CODES.NOT_FOUND, ERROR_MESSAGES.AVATAR_NOT_FOUND)
+    }
+
+    res.set({
+      ETag: avatar.etag,
+      'Cache-Control': 'private, no-cache',
+      'X-Content-Type-Options': 'nosniff',
+    })
+    if (req.fresh) {
+      return res.status(304).end()
+    }
+    res.type(avatar.mime_type).send(avatar.data)
+  } catch (error) {
+    logger.error('Error fetching avatar', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Upload or replace a contact's avatar; the type is taken from the image content
+app.put(
+  '/api/contacts/:id/avatar',
+  singleFileUpload('avatar', config.limits.avatar),
+  (req, res) => {
+    const mimeType = sniffImageType(req.file.buffer)
+    if (!mimeType) {
+      return sendValidationErrors(res, [
+        { field: 'avatar', rule: 'format', msg: ERROR_MESSAGES.UNSUPPORTED_IMAGE_TYPE },
+      ])
+    }
+
+    try {
+      const contact = selectLiveContact.get(req.params.id, req.user.id)
+      if (!contact) {
+        logger.warn('Contact not found for avatar upload', { id: req.params.id })
+        return contactNotFound(res, req.params.id)
+      }
+      const avatar = setAvatar(db, contact.id, mimeType, req.file.buffer)
+      logger.info('Avatar updated successfully', {
+        id: contact.id,
+        mimeType,
+        size: req.file.size,
+      })
+      res.set('ETag', avatar.etag)
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.AVATAR_UPDATED, avatarMeta(avatar))
+    } catch (error) {
+      logger.error('Error saving avatar', {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+    }
+  }
+)
+
+// Remove a contact's avatar
+app.delete('/api/contacts/:id/avatar', (req, res) => {
+  try {
+    const contact = selectLiveContact.get(req.params.id, req.user.id)
+    if (!contact) {
+      logger.warn('Contact not found for avatar deletion', { id: req.params.id })
+      return contactNotFound(res, req.params.id)
+    }
+    if (!deleteAvatar(db, contact.id)) {
+      return sendResponse(res, ERROR_CODES.NOT_FOUND, ERROR_MESSAGES.AVATAR_NOT_FOUND)
+    }
+    logger.info('Avatar deleted successfully', { id: contact.id })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.AVATAR_DELETED)
+  } catch (error) {
+    logger.error('Error deleting avatar', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_DELETE_FAILED)
+  }
+})
+
+// Update contact
+app.put('/api/contacts/:id', (req, res) => {
+  const { value, errors } = validateContactInput(req.body, listCustomFields(db, req.user.id))
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+  const { name, phone, email, address } = value
+
+  try {
+    const { before, after } = db.transaction(() => {
+      const before = selectLiveContact.get(req.params.id, req.user.id)
+      if (!before || !ifMatchPasses(req, contactEtag(before))) {
+        return { before }
+      }
+      updateContact(db, req.user.id, before, value)
+      return { before, after: selectLiveContact.get(before.id, req.user.id) }
+    })()
+    if (after) {
+      logger.info('Contact updated successfully', {
+        id: req.params.id,
+        name,
+        phone,
+        version: after.version,
+      })
+      sendContact(res, ERROR_MESSAGES.CONTACT_UPDATED, after)
+    } else if (before) {
+      contactVersionMismatch(res, before)
+    } else {
+      logger.warn('Contact not found for update', { id: req.params.id })
+      sendResponse(res, ERROR_CODES.NOT_FOUND, ERROR_MESSAGES.CONTACT_NOT_FOUND)
+    }
+  } catch (error) {
+    logger.error('Error updating contact', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+      contactData: { name, phone, email, address },
+    })
+
+    const duplicateMessage = uniqueViolationMessage(error)
+    if (duplicateMessage) {
+      sendResponse(res, ERROR_CODES.CONFLICT, duplicateMessage)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  }
+})
+
+// Change some fields of a contact; fields missing from the body are kept
+app.patch('/api/contacts/:id', (req, res) => {
+  try {
+    const { before, after, errors } = db.transaction(() => {
+      const before = selectLiveContact.get(req.params.id, req.user.id)
+      if (!before || !ifMatchPasses(req, contactEtag(before))) {
+        return { before }
+      }
+      const { value, errors, changed } = validateContactPatch(
+        req.body,
+        withContactDetails(db, [before])[0],
+        listCustomFields(db, req.user.id)
+      )
+      if (errors.length > 0) {
+        return { before, errors }
+      }
+      // An empty patch changes nothing, so the version stays the same
+      if (changed.length > 0) {
+        updateContact(db, req.user.id, before, value)
+      }
+      return { before, after: selectLiveContact.get(before.id, req.user.id) }
+    })()
+    if (errors) {
+      sendValidationErrors(res, errors)
+    } else if (after) {
+      logger.info('Contact patched successfully', { id: req.params.id, version: after.version })
+      sendContact(res, ERROR_MESSAGES.CONTACT_UPDATED, after)
+    } else if (before) {
+      contactVersionMismatch(res, before)
+    } else {
+      logger.warn('Contact not found for patch', { id: req.params.id })
+      sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: req.params.id })
+      )
+    }
+  } catch (error) {
+    logger.error('Error patching contact', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+
+    const duplicateMessage = uniqueViolationMessage(error)
+    if (duplicateMessage) {
+      sendResponse(res, ERROR_CODES.CONFLICT, duplicateMessage)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  }
+})
+
+// Move a contact to the trash, or delete it for good with ?permanent=true
+app.delete('/api/contacts/:id', (req, res) => {
+  const { permanent = 'false' } = req.query
+  if (permanent !== 'true' && permanent !== 'false') {
+    return sendValidationErrors(res, [
+      { field: 'permanent', rule: 'query', msg: ERROR_MESSAGES.INVALID_QUERY_PARAMETER },
+    ])
+  }
+
+  try {
+    const { current, deleted } = db.transaction(() => {
+      const current = db
+        .prepare('SELECT * FROM contacts WHERE id = ? AND owner_id = ?')
+        .get(req.params.id, req.user.id)
+      if (current && !ifMatchPasses(req, contactEtag(current))) {
+        return { current, deleted: false }
+      }
+      return { deleted: deleteContact(db, req.user.id, req.params.id, permanent === 'true') }
+    })()
+    if (current) {
+      contactVersionMismatch(res, current)
+    } else if (deleted) {
+      logger.info('Contact deleted successfully', { id: req.params.id, permanent })
+      sendResponse(
+        res,
+        ERROR_CODES.SUCCESS,
+        permanent === 'true'
+          ? ERROR_MESSAGES.CONTACT_PERMANENTLY_DELETED
+          : ERROR_MESSAGES.CONTACT_DELETED
+      )
+    } else {
+      logger.warn('Contact not found for deletion', { id: req.params.id })
+      sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: req.params.id })
+      )
+    }
+  } catch (error) {
+    logger.error('Error deleting contact', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+
+    if (isNaN(req.params.id)) {
+      sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_CONTACT_ID)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_DELETE_FAILED)
+    }
+  }
+})
+
+// Restore a contact from the trash
+app.post('/api/contacts/:id/restore', (req, res) => {
+  try {
+    const contact = db.transaction(() => {
+      const result = db
+        .prepare(
+          'UPDATE contacts SET deleted_at = NULL WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL'
+        )
+        .run(req.params.id, req.user.id)
+      if (result.changes === 0) {
+        return null
+      }
+      touchContacts(db, [Number(req.params.id)])
+      const [contact] = withContactDetails(
+        db,
+        db.prepare('SELECT * FROM contacts WHERE id = ?').all(req.params.id)
+      )
+      recordHistory(db, {
+        contactId: contact.id,
+        ownerId: req.user.id,
+        actorId: req.user.id,
+        operation: HISTORY_OPERATIONS.RESTORE,
+        before: contact,
+        after: contact,
+      })
+      return contact
+    })()
+    if (contact) {
+      logger.info('Contact restored successfully', { id: req.params.id })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACT_RESTORED, contact)
+    } else {
+      logger.warn('Trashed contact not found for restore', { id: req.params.id })
+      sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: req.params.id })
+      )
+    }
+  } catch (error) {
+    logger.error('Error restoring contact', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+
+    // A live contact may have taken the email or phone while this one was trashed
+    const duplicateMessage = uniqueViolationMessage(error)
+    if (duplicateMessage) {
+      sendResponse(res, ERROR_CODES.CONFLICT, duplicateMessage)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  }
+})
+
+// Change history of a contact, newest first; also available for deleted contacts
+app.get('/api/contacts/:id/history', (req, res) => {
+  try {
+    const history = getContactHistory(db, req.user.id, req.params.id)
+    if (history.length > 0) {
+      logger.info('Contact history retrieved', { id: req.params.id, count: history.length })
+      sendResponse(res, ERROR_CODES.SUCCESS, null, history)
+    } else {
+      logger.warn('Contact not found for history', { id: req.params.id })
+      sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: req.params.id })
+      )
+    }
+  } catch (error) {
+    logger.error('Error fetching contact history', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Roll a contact back to the state recorded in one of its history entries
+app.post('/api/contacts/:id/revert/:versionId', (req, res) => {
+  const { id, versionId } = req.params
+
+  try {
+    const { contact, msg, errors } = db.transaction(() => {
+      const before = selectLiveContact.get(id, req.user.id)
+      if (!before) {
+        return { msg: message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id }) }
+      }
+      const version = getContactVersion(db, req.user.id, before.id, versionId)
+      if (!version) {
+        return { msg: ERROR_MESSAGES.VERSION_NOT_FOUND }
+      }
+
+      // Snapshots from before contacts had lists fall back to their flat fields.
+      // Values of custom fields deleted since then are dropped.
+      const customFields = listCustomFields(db, req.user.id)
+      const knownCustomValues = Object.fromEntries(
+        Object.entries(version.snapshot.customFields || {}).filter(([name]) =>
+          customFields.some(field => field.name.toLowerCase() === name.toLowerCase())
+        )
+      )
+      const { value, errors } = validateContactInput(
+        { ...version.snapshot, customFields: knownCustomValues },
+        customFields
+      )
+      if (errors.length > 0) {
+        return { errors }
+      }
+      updateContact(db, req.user.id, before, value, HISTORY_OPERATIONS.REVERT)
+      return { contact: withContactDetails(db, [selectLiveContact.get(id, req.user.id)])[0] }
+    })()
+
+    if (errors) {
+      logger.warn('Contact version is no longer valid', { id, versionId })
+      sendValidationErrors(res, errors)
+    } else if (contact) {
+      logger.info('Contact reverted successfully', { id, versionId })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CONTACT_REVERTED, contact)
+    } else {
+      logger.warn('Contact version not found for revert', { id, versionId })
+      sendResponse(res, ERROR_CODES.NOT_FOUND, msg)
+    }
+  } catch (error) {
+    logger.error('Error reverting contact', {
+      error: error.message,
+      stack: error.stack,
+      id,
+      versionId,
+    })
+
+    // Another contact may have taken the old email or phone since that version
+    const duplicateMessage = uniqueViolationMessage(error)
+    if (duplicateMessage) {
+      sendResponse(res, ERROR_CODES.CONFLICT, duplicateMessage)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  }
+})
+
+/**
+ * Custom field APIs. Each address book defines its own typed fields, which
+ * contacts then carry under `customFields`.
+ */
+
+app.use('/api/custom-fields', requireAuth)
+
+// Custom fields, groups and tags keep names unique per address book
+const isDuplicateName = error => Boolean(error.message?.includes('UNIQUE constraint failed'))
+
+// Validate a custom field definition, including the built-in name check
+const validateCustomFieldInput = body => {
+  const { value, errors } = validate(CUSTOM_FIELD_SCHEMA, body)
+  if (value.name && isReservedFieldName(value.name)) {
+    errors.push({ field: 'name', rule: 'unique', msg: ERROR_MESSAGES.CUSTOM_FIELD_NAME_RESERVED })
+  }
+  return { value, errors }
+}
+
+// List custom field definitions
+app.get('/api/custom-fields', (req, res) => {
+  try {
+    const fields = listCustomFields(db, req.user.id)
+    logger.info('Custom fields retrieved successfully', { count: fields.length })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, fields)
+  } catch (error) {
+    logger.error('Error fetching custom fields', { error: error.message, stack: error.stack })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Define a custom field
+app.post('/api/custom-fields', (req, res) => {
+  const { value, errors } = validateCustomFieldInput(req.body)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const field = createCustomField(db, req.user.id, value)
+    logger.info('Custom field created successfully', { id: field.id, name: field.name })
+    sendResponse(res.status(201), ERROR_CODES.SUCCESS, ERROR_MESSAGES.CUSTOM_FIELD_CREATED, field)
+  } catch (error) {
+    logger.error('Error creating custom field', { error: error.message, stack: error.stack })
+    if (isDuplicateName(error)) {
+      sendResponse(res, ERROR_CODES.CONFLICT, ERROR_MESSAGES.CUSTOM_FIELD_NAME_EXISTS)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+    }
+  }
+})
+
+// Rename a custom field, or change its type while no contact has a value for it
+app.put('/api/custom-fields/:id', (req, res) => {
+  const { value, errors } = validateCustomFieldInput(req.body)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const { field, typeInUse } = updateCustomField(db, req.user.id, req.params.id, value)
+    if (!field) {
+      logger.warn('Custom field not found', { id: req.params.id })
+      return sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CUSTOM_FIELD_NOT_FOUND, { id: req.params.id })
+      )
+    }
+    if (typeInUse) {
+      return sendValidationErrors(res, [
+        { field: 'type', rule: 'type', msg: ERROR_MESSAGES.CUSTOM_FIELD_TYPE_IN_USE },
+      ])
+    }
+    logger.info('Custom field updated successfully', { id: field.id, name: field.name })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CUSTOM_FIELD_UPDATED, field)
+  } catch (error) {
+    logger.error('Error updating custom field', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    if (isDuplicateName(error)) {
+      sendResponse(res, ERROR_CODES.CONFLICT, ERROR_MESSAGES.CUSTOM_FIELD_NAME_EXISTS)
+    } else {
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  }
+})
+
+// Delete a custom field along with every contact's value for it
+app.delete('/api/custom-fields/:id', (req, res) => {
+  try {
+    if (!deleteCustomField(db, req.user.id, req.params.id)) {
+      logger.warn('Custom field not found', { id: req.params.id })
+      return sendResponse(
+        res,
+        ERROR_CODES.NOT_FOUND,
+        message(ERROR_MESSAGES.CUSTOM_FIELD_NOT_FOUND, { id: req.params.id })
+      )
+    }
+    logger.info('Custom field deleted successfully', { id: req.params.id })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.CUSTOM_FIELD_DELETED)
+  } catch (error) {
+    logger.error('Error deleting custom field', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_DELETE_FAILED)
+  }
+})
+
+/**
+ * Group and tag APIs. Both collections share the same routes under
+ * /api/groups and /api/tags and only differ in their fields.
+ */
+
+/**
+ * Validate the `contactIds` of a bulk membership change
+ * @param {Object} body - Raw request body
+ * @returns {{ value: number[], errors: Array }} Contact IDs, or the rejected field
+ */
+const parseContactIds = body => {
+  const { contactIds } = body || {}
+  if (
+    !Array.isArray(contactIds) ||
+    contactIds.length === 0 ||
+    !contactIds.every(id => Number.isInteger(id) && id > 0)
+  ) {
+    return {
+      value: [],
+      errors: [{ field: 'contactIds', rule: 'type', msg: ERROR_MESSAGES.INVALID_CONTACT_IDS }],
+    }
+  }
+  if (contactIds.length > MAX_MEMBERSHIP_CHANGES) {
+    const msg = message(ERROR_MESSAGES.TOO_MANY_CONTACT_IDS, { max: MAX_MEMBERSHIP_CHANGES })
+    return { value: [], errors: [{ field: 'contactIds', rule: 'maxItems', msg }] }
+  }
+  return { value: contactIds, errors: [] }
+}
+
+for (const [path, collection] of Object.entries(COLLECTIONS)) {
+  const base = `/api/${path}`
+  const { messages } = collection
+  // Logs stay in English whatever the client's locale
+  const logText = key => translate(DEFAULT_LOCALE, key)
+  const notFound = (res, id) => {
+    const msg = message(messages.notFound, { id })
+    logger.warn(translate(DEFAULT_LOCALE, msg))
+    sendResponse(res, ERROR_CODES.NOT_FOUND, msg)
+  }
+
+  app.use(base, requireAuth)
+
+  // List every group or tag with its number of contacts
+  app.get(base, (req, res) => {
+    try {
+      const items = listCollection(db, collection, req.user.id)
+      logger.info(`${path} retrieved successfully`, { count: items.length })
+      sendResponse(res, ERROR_CODES.SUCCESS, null, items)
+    } catch (error) {
+      logger.error(`Error fetching ${path}`, { error: error.message, stack: error.stack })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+    }
+  })
+
+  // Create a group or tag
+  app.post(base, (req, res) => {
+    const { value, errors } = validate(collection.schema, req.body)
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    try {
+      const item = createCollectionItem(db, collection, req.user.id, value)
+      logger.info(logText(messages.created), { id: item.id, name: item.name })
+      sendResponse(res.status(201), ERROR_CODES.SUCCESS, messages.created, item)
+    } catch (error) {
+      logger.error(`Error creating ${path}`, { error: error.message, stack: error.stack })
+      if (isDuplicateName(error)) {
+        sendResponse(res, ERROR_CODES.CONFLICT, messages.nameExists)
+      } else {
+        sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+      }
+    }
+  })
+
+  // Get one group or tag
+  app.get(`${base}/:id`, (req, res) => {
+    try {
+      const item = getCollectionItem(db, collection, req.user.id, req.params.id)
+      if (!item) {
+        return notFound(res, req.params.id)
+      }
+      sendResponse(res, ERROR_CODES.SUCCESS, null, item)
+    } catch (error) {
+      logger.error(`Error fetching ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+    }
+  })
+
+  // Replace the fields of a group or tag
+  app.put(`${base}/:id`, (req, res) => {
+    const { value, errors } = validate(collection.schema, req.body)
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    try {
+      const item = updateCollectionItem(db, collection, req.user.id, req.params.id, value)
+      if (!item) {
+        return notFound(res, req.params.id)
+      }
+      logger.info(logText(messages.updated), { id: item.id, name: item.name })
+      sendResponse(res, ERROR_CODES.SUCCESS, messages.updated, item)
+    } catch (error) {
+      logger.error(`Error updating ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      if (isDuplicateName(error)) {
+        sendResponse(res, ERROR_CODES.CONFLICT, messages.nameExists)
+      } else {
+        sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+      }
+    }
+  })
+
+  // Delete a group or tag; its contacts are kept
+  app.delete(`${base}/:id`, (req, res) => {
+    try {
+      if (!deleteCollectionItem(db, collection, req.user.id, req.params.id)) {
+        return notFound(res, req.params.id)
+      }
+      logger.info(logText(messages.deleted), { id: req.params.id })
+      sendResponse(res, ERROR_CODES.SUCCESS, messages.deleted)
+    } catch (error) {
+      logger.error(`Error deleting ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_DELETE_FAILED)
+    }
+  })
+
+  // Add contacts in bulk; nothing is added if any contact does not exist
+  app.post(`${base}/:id/contacts`, (req, res) => {
+    const { value: contactIds, errors } = parseContactIds(req.body)
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    try {
+      const result = db.transaction(() => {
+        const item = getCollectionItem(db, collection, req.user.id, req.params.id)
+        return item && addMembers(db, collection, req.user.id, item.id, contactIds)
+      })()
+      if (!result) {
+        return notFound(res, req.params.id)
+      }
+      if (result.missing.length > 0) {
+        logger.warn('Contacts not found for membership change', {
+          id: req.params.id,
+          missing: result.missing,
+        })
+        return sendResponse(
+          res,
+          ERROR_CODES.NOT_FOUND,
+          message(ERROR_MESSAGES.CONTACT_NOT_FOUND_ID, { id: result.missing.join(', ') })
+        )
+      }
+      logger.info(logText(ERROR_MESSAGES.MEMBERS_ADDED), { id: req.params.id, added: result.added })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.MEMBERS_ADDED, { added: result.added })
+    } catch (error) {
+      logger.error(`Error adding contacts to ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  })
+
+  // Remove contacts in bulk; contacts that are not members are ignored
+  app.delete(`${base}/:id/contacts`, (req, res) => {
+    const { value: contactIds, errors } = parseContactIds(req.body)
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors)
+    }
+
+    try {
+      const item = getCollectionItem(db, collection, req.user.id, req.params.id)
+      if (!item) {
+        return notFound(res, req.params.id)
+      }
+      const removed = removeMembers(db, collection, item.id, contactIds)
+      logger.info(logText(ERROR_MESSAGES.MEMBERS_REMOVED), { id: item.id, removed })
+      sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.MEMBERS_REMOVED, { removed })
+    } catch (error) {
+      logger.error(`Error removing contacts from ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+    }
+  })
+
+  // Look up a group or tag and its live contacts for an export
+  const selectMembers = (ownerId, id) => {
+    const item = getCollectionItem(db, collection, ownerId, id)
+    const contacts =
+      item &&
+      db
+        .prepare(
+          `SELECT contacts.* FROM contacts
+           JOIN ${collection.memberTable} ON ${collection.memberTable}.contact_id = contacts.id
+           WHERE ${collection.memberTable}.${collection.memberKey} = ? AND contacts.deleted_at IS NULL
+           ORDER BY contacts.name, contacts.id`
+        )
+        .all(item.id)
+    return { item, contacts }
+  }
+
+  // Export every contact of a group or tag as one .vcf file named after it
+  app.get(`${base}/:id/export.vcf`, (req, res) => {
+    const options = parseVCardQuery(req.query)
+    if (options.errors.length > 0) {
+      return sendValidationErrors(res, options.errors)
+    }
+
+    try {
+      const { item, contacts } = selectMembers(req.user.id, req.params.id)
+      if (!item) {
+        return notFound(res, req.params.id)
+      }
+      logger.info('Contacts exported as vCard', { [path]: item.id, count: contacts.length })
+      sendVCardFile(res, contacts, options, `${item.name}.vcf`)
+    } catch (error) {
+      logger.error(`Error exporting ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+    }
+  })
+
+  // Export every contact of a group or tag as one .csv file named after it
+  app.get(`${base}/:id/export.csv`, (req, res) => {
+    try {
+      const { item, contacts } = selectMembers(req.user.id, req.params.id)
+      if (!item) {
+        return notFound(res, req.params.id)
+      }
+      logger.info('Contacts exported as CSV', { [path]: item.id, count: contacts.length })
+      sendCsvFile(res, req.user.id, contacts, `${item.name}.csv`)
+    } catch (error) {
+      logger.error(`Error exporting ${path}`, {
+        error: error.message,
+        stack: error.stack,
+        id: req.params.id,
+      })
+      sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+    }
+  })
+}
+
+/**
+ * Change event APIs. Clients follow contact changes on a Server-Sent Events
+ * stream; webhooks receive the same events as signed POST requests.
+ */
+
+// Reconnect delay suggested to stream clients, how often idle streams get a
+// comment line that keeps proxies from closing them, and how many events are
+// read from the table at a time
+const SSE_RETRY_MS = 3000
+const SSE_HEARTBEAT_MS = 25 * 1000
+const SSE_BATCH_SIZE = 100
+
+// Deliveries listed per webhook, newest first
+const DELIVERY_LOG_LIMIT = 100
+
+// EventSource cannot set headers, so the stream also takes the access token
+// from an `access_token` query parameter
+const acceptQueryToken = (req, res, next) => {
+  if (!req.get('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`
+  }
+  next()
+}
+
+// Stream change events, resuming after Last-Event-ID when the client reconnects
+app.get('/api/events', acceptQueryToken, requireAuth, (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId
+  if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+    return sendValidationErrors(res, [
+      { field: 'Last-Event-ID', rule: 'type', msg: ERROR_MESSAGES.INVALID_EVENT_ID },
+    ])
+  }
+
+  let cursor
+  try {
+    cursor = lastEventId === undefined ? latestEventId(db) : Number(lastEventId)
+  } catch (error) {
+    logger.error('Error opening event stream', { error: error.message, stack: error.stack })
+    return sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    // Keep reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`)
+
+  // Send every event recorded after the last one sent
+  const flush = () => {
+    try {
+      let events
+      do {
+        events = listEventsAfter(db, req.user.id, cursor, SSE_BATCH_SIZE)
+        events.forEach(event => res.write(serverSentEvent(event)))
+        cursor = events.at(-1)?.id ?? cursor
+      } while (events.length === SSE_BATCH_SIZE)
+    } catch (error) {
+      logger.error('Error streaming events', { error: error.message, stack: error.stack })
+      res.end()
+    }
+  }
+
+  // Events are read on the next turn, once the recording transaction is over.
+  // The heartbeat also picks up events recorded by other processes.
+  let scheduled = false
+  const unsubscribe = onEvent(({ ownerId }) => {
+    if (ownerId === req.user.id && !scheduled) {
+      scheduled = true
+      setImmediate(() => {
+        scheduled = false
+        flush()
+      })
+    }
+  })
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n')
+    flush()
+  }, SSE_HEARTBEAT_MS)
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+    logger.info('Event stream closed', { userId: req.user.id, lastEventId: cursor })
+  })
+
+  logger.info('Event stream opened', { userId: req.user.id, lastEventId: cursor })
+  flush()
+})
+
+app.use('/api/webhooks', requireAuth)
+
+const webhookNotFound = (res, id) => {
+  logger.warn('Webhook not found', { id })
+  sendResponse(res, ERROR_CODES.NOT_FOUND, message(ERROR_MESSAGES.WEBHOOK_NOT_FOUND, { id }))
+}
+
+// List webhooks
+app.get('/api/webhooks', webhooksEnabled, (req, res) => {
+  try {
+    const webhooks = listWebhooks(db, req.user.id)
+    logger.info('Webhooks retrieved successfully', { count: webhooks.length })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, webhooks)
+  } catch (error) {
+    logger.error('Error fetching webhooks', { error: error.message, stack: error.stack })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Register a webhook; its signing secret is only returned here
+app.post('/api/webhooks', webhooksEnabled, (req, res) => {
+  const { value, errors } = validateWebhookInput(req.body)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const webhook = createWebhook(db, req.user.id, value)
+    logger.info('Webhook created successfully', { id: webhook.id, events: webhook.events })
+    sendResponse(res.status(201), ERROR_CODES.SUCCESS, ERROR_MESSAGES.WEBHOOK_CREATED, webhook)
+  } catch (error) {
+    logger.error('Error creating webhook', { error: error.message, stack: error.stack })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+  }
+})
+
+// Get a webhook
+app.get('/api/webhooks/:id', webhooksEnabled, (req, res) => {
+  try {
+    const webhook = getWebhook(db, req.user.id, req.params.id)
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id)
+    }
+    sendResponse(res, ERROR_CODES.SUCCESS, null, webhook)
+  } catch (error) {
+    logger.error('Error fetching webhook', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Replace a webhook's URL, description, event types and active flag
+app.put('/api/webhooks/:id', webhooksEnabled, (req, res) => {
+  const { value, errors } = validateWebhookInput(req.body)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const webhook = updateWebhook(db, req.user.id, req.params.id, value)
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id)
+    }
+    logger.info('Webhook updated successfully', { id: webhook.id, active: webhook.active })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.WEBHOOK_UPDATED, webhook)
+  } catch (error) {
+    logger.error('Error updating webhook', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_UPDATE_FAILED)
+  }
+})
+
+// Delete a webhook with its delivery log; queued deliveries are dropped
+app.delete('/api/webhooks/:id', webhooksEnabled, (req, res) => {
+  try {
+    if (!deleteWebhook(db, req.user.id, req.params.id)) {
+      return webhookNotFound(res, req.params.id)
+    }
+    logger.info('Webhook deleted successfully', { id: req.params.id })
+    sendResponse(res, ERROR_CODES.SUCCESS, ERROR_MESSAGES.WEBHOOK_DELETED)
+  } catch (error) {
+    logger.error('Error deleting webhook', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_DELETE_FAILED)
+  }
+})
+
+// Queue a test delivery, to check that the receiver accepts the signature
+app.post('/api/webhooks/:id/ping', webhooksEnabled, (req, res) => {
+  try {
+    const webhook = getWebhook(db, req.user.id, req.params.id)
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id)
+    }
+    const delivery = queuePing(db, webhook)
+    webhookDispatcher.wake()
+    logger.info('Webhook ping queued', { id: webhook.id, deliveryId: delivery.id })
+    sendResponse(res.status(202), ERROR_CODES.SUCCESS, ERROR_MESSAGES.WEBHOOK_PING_QUEUED, delivery)
+  } catch (error) {
+    logger.error('Error queueing webhook ping', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_SAVE_FAILED)
+  }
+})
+
+// Delivery log of a webhook, newest first
+app.get('/api/webhooks/:id/deliveries', webhooksEnabled, (req, res) => {
+  try {
+    const webhook = getWebhook(db, req.user.id, req.params.id)
+    if (!webhook) {
+      return webhookNotFound(res, req.params.id)
+    }
+    const deliveries = listDeliveries(db, webhook.id, DELIVERY_LOG_LIMIT)
+    logger.info('Webhook deliveries retrieved', { id: webhook.id, count: deliveries.length })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, deliveries)
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', {
+      error: error.message,
+      stack: error.stack,
+      id: req.params.id,
+    })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+/**
+ * Admin APIs, for the users marked as administrators with `node admin.js grant`
+ */
+
+app.use('/api/admin', requireAuth, requireAdmin(db))
+
+// Search the JSON log files, newest entries first
+app.get('/api/admin/logs', async (req, res) => {
+  const { value, errors } = parseLogQuery(req.query)
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors)
+  }
+
+  try {
+    const entries = await queryLogs(value)
+    logger.info('Logs queried', { count: entries.length, userId: req.user.id })
+    sendResponse(res, ERROR_CODES.SUCCESS, null, entries)
+  } catch (error) {
+    logger.error('Error querying logs', { error: error.message, stack: error.stack })
+    sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.DATA_RETRIEVAL_FAILED)
+  }
+})
+
+// Anything no route matched
+app.use((req, res) => {
+  logger.warn('Route not found', { method: req.method, path: req.path })
+  sendResponse(
+    res,
+    ERROR_CODES.NOT_FOUND,
+    message(ERROR_MESSAGES.ROUTE_NOT_FOUND, { method: req.method, path: req.path })
+  )
+})
+
+// Errors thrown by middleware and routes, including unparsable request bodies.
+// Express only treats four-argument middleware as an error handler.
+app.use((error, req, res, _next) => {
+  if (error.type === 'entity.parse.failed') {
+    logger.warn('Malformed JSON body', { method: req.method, path: req.path })
+    return sendResponse(res, ERROR_CODES.VALIDATION_ERROR, ERROR_MESSAGES.INVALID_JSON)
+  }
+  if (error.type === 'entity.too.large') {
+    return sendResponse(
+      res.status(413),
+      ERROR_CODES.VALIDATION_ERROR,
+      ERROR_MESSAGES.REQUEST_TOO_LARGE
+    )
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return sendResponse(
+      res.status(error.status),
+      ERROR_CODES.VALIDATION_ERROR,
+      ERROR_MESSAGES.BAD_REQUEST
+    )
+  }
+
+  logger.error('Unhandled error', {
+    error: error.message,
+    stack: error.stack,
+    method: req.method,
+    path: req.path,
+  })
+  // A locked database clears up on its own, so clients may retry
+  if (error.code === 'SQLITE_BUSY' || error.code === 'SQLITE_LOCKED') {
+    return sendResponse(res, ERROR_CODES.SERVICE_UNAVAILABLE, ERROR_MESSAGES.SERVICE_UNAVAILABLE)
+  }
+  sendResponse(res, ERROR_CODES.DATABASE_ERROR, ERROR_MESSAGES.INTERNAL_SERVER_ERROR)
+})
+
+// Export the app for testing or further use
+export default app
+
+// Start server, unless the app was imported, e.g. by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(config.port, () => {
+    logger.info(`Server is running on ${config.publicUrl}`, { port: config.port, env: config.env })
+  })
+}
@@ -0,0 +1,68 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { after, before, describe, it } from 'node:test'
+import { promisify } from 'node:util'
+import db from '../db.js'
+import { ERROR_CODES } from '../constants.js'
+import { setAdmin } from '../auth.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+const BACKEND_DIR = fileURLToPath(new URL('..', import.meta.url))
+
+// Run a command of the backend in a child process with the test environment
+const runNode = args =>
+  promisify(execFile)(process.execPath, args, { cwd: BACKEND_DIR }).then(
+    ({ stdout }) => ({ code: 0, stdout }),
+    error => ({ code: error.code, stdout: error.stdout, stderr: error.stderr })
+  )
+
+describe('admin access', () => {
+  let server
+
+  const readLogs = token => request(`${server.url}/api/admin/logs?limit=1`, { token })
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.close())
+
+  it('is refused to ordinary users', async () => {
+    const token = await registerUser(server.url, 'ordinary')
+    const { status, body } = await readLogs(token)
+    assert.equal(status, 403)
+    assert.equal(body.code, ERROR_CODES.FORBIDDEN)
+  })
+
+  it('cannot be gained by registering an administrator-like name', async () => {
+    const token = await registerUser(server.url, 'admin')
+    const { status } = await readLogs(token)
+    assert.equal(status, 403)
+  })
+
+  it('follows the flag on the account, including when it is revoked', async () => {
+    const token = await registerUser(server.url, 'operator')
+    assert.equal(setAdmin(db, 'Operator', true), true)
+    assert.equal((await readLogs(token)).status, 200)
+
+    setAdmin(db, 'operator', false)
+    assert.equal((await readLogs(token)).status, 403)
+  })
+
+  it('is granted and revoked from the command line', async () => {
+    const token = await registerUser(server.url, 'night-shift')
+
+    const granted = await runNode(['admin.js', 'grant', 'night-shift'])
+    assert.equal(granted.code, 0)
+    assert.equal((await readLogs(token)).status, 200)
+    assert.match((await runNode(['admin.js', 'list'])).stdout, /\tnight-shift$/m)
+
+    const revoked = await runNode(['admin.js', 'revoke', 'night-shift'])
+    assert.equal(revoked.code, 0)
+    assert.equal((await readLogs(token)).status, 403)
+
+    assert.equal((await runNode(['admin.js', 'grant', 'nobody'])).code, 1)
+  })
+})
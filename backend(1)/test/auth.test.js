@@ -0,0 +1,99 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { ERROR_CODES } from '../constants.js'
+import { hashPassword, verifyPassword } from '../auth.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('password hashing', () => {
+  it('salts every hash and verifies only the right password', async () => {
+    const hash = await hashPassword('correct horse battery')
+    assert.notEqual(hash, await hashPassword('correct horse battery'))
+    assert.equal(await verifyPassword('correct horse battery', hash), true)
+    assert.equal(await verifyPassword('correct horse', hash), false)
+  })
+})
+
+describe('authentication', () => {
+  let server
+
+  const auth = (action, body) =>
+    request(`${server.url}/api/auth/${action}`, { method: 'POST', body })
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.close())
+
+  it('requires a bearer token for contacts', async () => {
+    const { status, headers, body } = await request(`${server.url}/api/contacts`)
+    assert.equal(status, 401)
+    assert.equal(headers.get('WWW-Authenticate'), 'Bearer')
+    assert.equal(body.code, ERROR_CODES.UNAUTHORIZED)
+
+    const forged = await request(`${server.url}/api/contacts`, { token: 'not.a.jwt' })
+    assert.equal(forged.status, 401)
+  })
+
+  it('refuses a taken username and a wrong password', async () => {
+    await registerUser(server.url, 'grace')
+    assert.equal(
+      (await auth('register', { username: 'grace', password: 'another password' })).status,
+      409
+    )
+    assert.equal(
+      (await auth('login', { username: 'grace', password: 'wrong password' })).status,
+      401
+    )
+    assert.equal(
+      (await auth('login', { username: 'nobody', password: 'correct horse battery' })).status,
+      401
+    )
+  })
+
+  it('rotates refresh tokens so each one works once', async () => {
+    await registerUser(server.url, 'rotating')
+    const login = await auth('login', { username: 'rotating', password: 'correct horse battery' })
+    assert.equal(login.status, 200)
+    const { refreshToken, accessToken } = login.body.data
+
+    const me = await request(`${server.url}/api/auth/me`, { token: accessToken })
+    assert.equal(me.body.data.username, 'rotating')
+
+    const refreshed = await auth('refresh', { refreshToken })
+    assert.equal(refreshed.status, 200)
+    assert.notEqual(refreshed.body.data.refreshToken, refreshToken)
+    assert.equal((await auth('refresh', { refreshToken })).status, 401)
+
+    // Access tokens are not refresh tokens
+    assert.equal((await auth('refresh', { refreshToken: accessToken })).status, 401)
+
+    assert.equal((await auth('logout', refreshed.body.data)).status, 200)
+    assert.equal((await auth('refresh', refreshed.body.data)).status, 401)
+  })
+
+  it('keeps every user to their own contacts', async () => {
+    const owner = await registerUser(server.url, 'owner')
+    const stranger = await registerUser(server.url, 'stranger')
+    const created = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token: owner,
+      body: { name: 'Ada Lovelace', phone: '13800138000' },
+    })
+    const contactUrl = `${server.url}/api/contacts/${created.body.data.id}`
+
+    assert.equal((await request(contactUrl, { token: stranger })).status, 404)
+    assert.equal((await request(contactUrl, { method: 'DELETE', token: stranger })).status, 404)
+    const listed = await request(`${server.url}/api/contacts`, { token: stranger })
+    assert.deepEqual(listed.body.data, [])
+
+    // The same phone number may be used by another owner
+    const duplicate = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token: stranger,
+      body: { name: 'Ada', phone: '13800138000' },
+    })
+    assert.equal(duplicate.status, 201)
+  })
+})
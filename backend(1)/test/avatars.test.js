@@ -0,0 +1,88 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { sniffImageType } from '../avatars.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+// Read by config.js when the server is first imported
+process.env.BODY_LIMIT_AVATAR = '1kb'
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('not really pixels'),
+])
+
+describe('sniffImageType', () => {
+  it('goes by the leading bytes only', () => {
+    assert.equal(sniffImageType(PNG), 'image/png')
+    assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg')
+    assert.equal(sniffImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp')
+    assert.equal(sniffImageType(Buffer.from('<svg onload="alert(1)">')), null)
+  })
+})
+
+describe('contact avatars', () => {
+  let server
+  let token
+  let avatarUrl
+
+  const upload = (data, filename = 'avatar.png') => {
+    const form = new FormData()
+    form.append('avatar', new Blob([data], { type: 'image/png' }), filename)
+    return fetch(avatarUrl, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}` },
+      body: form,
+    }).then(async response => ({ status: response.status, body: await response.json() }))
+  }
+  const download = (headers = {}) =>
+    fetch(avatarUrl, { headers: { Authorization: `Bearer ${token}`, ...headers } })
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'avatar-owner')
+    const created = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada', phone: '13800138000' },
+    })
+    avatarUrl = `${server.url}/api/contacts/${created.body.data.id}/avatar`
+  })
+
+  after(() => server.close())
+
+  it('refuses files that are not images, whatever they claim, and large files', async () => {
+    const svg = await upload('<svg onload="alert(1)">', 'avatar.png')
+    assert.equal(svg.status, 400)
+    assert.equal(svg.body.errors[0].field, 'avatar')
+    assert.equal((await upload(Buffer.concat([PNG, Buffer.alloc(2048)]))).status, 400)
+    assert.equal((await download()).status, 404)
+  })
+
+  it('stores an image and serves it back with an ETag', async () => {
+    const { status, body } = await upload(PNG)
+    assert.equal(status, 200)
+    assert.deepEqual([body.data.mime_type, body.data.size], ['image/png', PNG.length])
+
+    const response = await download()
+    assert.equal(response.headers.get('Content-Type'), 'image/png')
+    assert.equal(response.headers.get('X-Content-Type-Options'), 'nosniff')
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), PNG)
+
+    // fetch would otherwise add Cache-Control: no-cache, which disables the 304
+    const revalidated = await fetch(avatarUrl, {
+      cache: 'no-cache',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'If-None-Match': response.headers.get('ETag'),
+      },
+    })
+    assert.equal(revalidated.status, 304)
+  })
+
+  it('deletes the avatar', async () => {
+    const removed = await request(avatarUrl, { method: 'DELETE', token })
+    assert.equal(removed.status, 200)
+    assert.equal((await download()).status, 404)
+  })
+})
@@ -0,0 +1,67 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { ERROR_CODES } from '../constants.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('contact batches', () => {
+  let server
+  let token
+  let existingId
+
+  const batch = body => request(`${server.url}/api/contacts/batch`, { method: 'POST', token, body })
+  const names = async () =>
+    (await request(`${server.url}/api/contacts?sort=name&order=asc`, { token })).body.data.map(
+      contact => contact.name
+    )
+
+  // The second create takes the phone number of the first
+  const operations = () => [
+    { op: 'create', data: { name: 'Ada', phone: '13800138000' } },
+    { op: 'create', data: { name: 'Ada again', phone: '13800138000' } },
+    { op: 'update', id: existingId, data: { name: 'Grace Hopper', phone: '13700137000' } },
+    { op: 'delete', id: 999999 },
+  ]
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'batch-owner')
+    const created = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Grace', phone: '13700137000' },
+    })
+    existingId = created.body.data.id
+  })
+
+  after(() => server.close())
+
+  it('rolls everything back in all-or-nothing mode and reports every failure', async () => {
+    const { status, body } = await batch({ operations: operations() })
+    assert.equal(status, 409)
+    assert.equal(body.data.committed, false)
+    assert.equal(body.data.succeeded, 0)
+    assert.deepEqual(
+      body.data.results.map(result => result.code),
+      [ERROR_CODES.SUCCESS, ERROR_CODES.CONFLICT, ERROR_CODES.SUCCESS, ERROR_CODES.NOT_FOUND]
+    )
+    assert.deepEqual(await names(), ['Grace'])
+  })
+
+  it('keeps the operations that succeed in best-effort mode', async () => {
+    const { status, body } = await batch({ operations: operations(), mode: 'best-effort' })
+    assert.equal(status, 200)
+    assert.equal(body.data.committed, true)
+    assert.deepEqual([body.data.succeeded, body.data.failed], [2, 2])
+    assert.deepEqual(await names(), ['Ada', 'Grace Hopper'])
+  })
+
+  it('validates the mode and the operation list before running anything', async () => {
+    const { status, body } = await batch({ operations: [], mode: 'sometimes' })
+    assert.equal(status, 400)
+    assert.deepEqual(
+      body.errors.map(error => error.field),
+      ['mode', 'operations']
+    )
+  })
+})
@@ -0,0 +1,87 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('groups and tags', () => {
+  let server
+  let token
+  const ids = {}
+
+  const call = (path, options = {}) => request(`${server.url}/api/${path}`, { token, ...options })
+  const names = async query =>
+    (await call(`contacts?sort=name&order=asc&${query}`)).body.data.map(contact => contact.name)
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'collection-owner')
+    const contacts = { ada: '13800138000', grace: '13700137000', linus: '13600136000' }
+    for (const [name, phone] of Object.entries(contacts)) {
+      ids[name] = (await call('contacts', { method: 'POST', body: { name, phone } })).body.data.id
+    }
+  })
+
+  after(() => server.close())
+
+  it('creates them with names unique per address book, ignoring case', async () => {
+    const created = await call('groups', { method: 'POST', body: { name: 'Family' } })
+    assert.equal(created.status, 201)
+    ids.family = created.body.data.id
+    assert.equal((await call('groups', { method: 'POST', body: { name: 'family' } })).status, 409)
+
+    const tag = await call('tags', { method: 'POST', body: { name: 'vip', color: '#ff0000' } })
+    ids.vip = tag.body.data.id
+    const badColor = await call('tags', { method: 'POST', body: { name: 'red', color: 'red' } })
+    assert.equal(badColor.status, 400)
+
+    // Another user may use the same names
+    const stranger = await registerUser(server.url, 'collection-stranger')
+    const theirs = await request(`${server.url}/api/groups`, {
+      method: 'POST',
+      token: stranger,
+      body: { name: 'Family' },
+    })
+    assert.equal(theirs.status, 201)
+  })
+
+  it('adds members all at once or not at all', async () => {
+    const missing = await call(`groups/${ids.family}/contacts`, {
+      method: 'POST',
+      body: { contactIds: [ids.ada, 999999] },
+    })
+    assert.equal(missing.status, 404)
+
+    const added = await call(`groups/${ids.family}/contacts`, {
+      method: 'POST',
+      body: { contactIds: [ids.ada, ids.grace, ids.ada] },
+    })
+    assert.deepEqual(added.body.data, { added: 2 })
+    await call(`tags/${ids.vip}/contacts`, { method: 'POST', body: { contactIds: [ids.grace] } })
+
+    const [family] = (await call('groups')).body.data
+    assert.equal(family.contact_count, 2)
+    const contact = (await call(`contacts/${ids.grace}`)).body.data
+    assert.deepEqual(
+      contact.tags.map(tag => tag.name),
+      ['vip']
+    )
+  })
+
+  it('filters contacts by group and tag, by ID or name', async () => {
+    assert.deepEqual(await names(`group=${ids.family}`), ['ada', 'grace'])
+    assert.deepEqual(await names('group=Family&tag=vip'), ['grace'])
+    assert.equal((await call('contacts?tag=')).status, 400)
+  })
+
+  it('removes members and deletes groups without touching the contacts', async () => {
+    const removed = await call(`groups/${ids.family}/contacts`, {
+      method: 'DELETE',
+      body: { contactIds: [ids.ada, ids.linus] },
+    })
+    assert.deepEqual(removed.body.data, { removed: 1 })
+
+    assert.equal((await call(`groups/${ids.family}`, { method: 'DELETE' })).status, 200)
+    assert.equal((await call(`groups/${ids.family}`)).status, 404)
+    assert.deepEqual(await names(''), ['ada', 'grace', 'linus'])
+  })
+})
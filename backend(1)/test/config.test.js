@@ -0,0 +1,81 @@
+import { testDir } from './helpers.js'
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { describe, it } from 'node:test'
+import { promisify } from 'node:util'
+
+const BACKEND_DIR = fileURLToPath(new URL('..', import.meta.url))
+
+// Load config.js in a child process with extra environment variables and
+// return what it printed, as config.js exits on invalid settings
+const loadConfig = (env = {}) =>
+  promisify(execFile)(
+    process.execPath,
+    [
+      '--input-type=module',
+      '-e',
+      "import config from './config.js'; console.log(JSON.stringify(config))",
+    ],
+    { cwd: BACKEND_DIR, env: { ...process.env, ...env } }
+  ).then(
+    ({ stdout }) => ({ code: 0, config: JSON.parse(stdout) }),
+    error => ({ code: error.code, stderr: error.stderr })
+  )
+
+const writeConfigFile = (name, content) => {
+  const path = join(testDir, name)
+  writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content))
+  return path
+}
+
+describe('configuration', () => {
+  it('parses environment variables into typed settings', async () => {
+    const { code, config } = await loadConfig({
+      PORT: '8080',
+      LOG_COMPRESS: 'false',
+      BODY_LIMIT_IMPORT: '2mb',
+    })
+    assert.equal(code, 0)
+    assert.equal(config.port, 8080)
+    assert.equal(config.log.compress, false)
+    assert.equal(config.limits.import, 2 * 1024 * 1024)
+    assert.equal(config.rateLimit.windowSeconds, 60)
+  })
+
+  it('reads a config file, with environment variables taking precedence', async () => {
+    const CONFIG_FILE = writeConfigFile('precedence.json', {
+      port: 4000,
+      trash: { retentionDays: 3 },
+    })
+    const { config } = await loadConfig({ CONFIG_FILE, TRASH_RETENTION_DAYS: '9' })
+    assert.equal(config.port, 4000)
+    assert.equal(config.trash.retentionDays, 9)
+  })
+
+  it('refuses to start, listing every invalid or unknown setting', async () => {
+    const CONFIG_FILE = writeConfigFile('invalid.json', { prot: 4000 })
+    const { code, stderr } = await loadConfig({
+      CONFIG_FILE,
+      PORT: '70000',
+      LOG_LEVEL: 'loud',
+    })
+    assert.equal(code, 1)
+    assert.match(stderr, /^Invalid configuration:/)
+    assert.match(stderr, /invalid\.json: unknown setting prot/)
+    assert.match(stderr, /PORT: expected an integer from 1 to 65535, got "70000"/)
+    assert.match(stderr, /LOG_LEVEL: expected one of/)
+  })
+
+  it('refuses malformed config files and production without a JWT secret', async () => {
+    const broken = await loadConfig({ CONFIG_FILE: writeConfigFile('broken.json', '{"port":') })
+    assert.equal(broken.code, 1)
+    assert.match(broken.stderr, /broken\.json: /)
+
+    const production = await loadConfig({ NODE_ENV: 'production', JWT_SECRET: '' })
+    assert.equal(production.code, 1)
+    assert.match(production.stderr, /JWT_SECRET: must be set in production/)
+  })
+})
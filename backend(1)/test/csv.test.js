@@ -0,0 +1,174 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { decodeCsv, detectDelimiter, formatCsv, mapColumns, parseCsv } from '../csv.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('CSV parsing', () => {
+  it('handles quoted delimiters, doubled quotes and line breaks', () => {
+    const text = 'name;notes\r\n"Lovelace; Ada";"said ""hi""\ntwice"\r\n\r\nBob;\n'
+    assert.equal(detectDelimiter(text), ';')
+    assert.deepEqual(parseCsv(text, ';'), [
+      { line: 1, cells: ['name', 'notes'] },
+      { line: 2, cells: ['Lovelace; Ada', 'said "hi"\ntwice'] },
+      { line: 5, cells: ['Bob', ''] },
+    ])
+  })
+
+  it('decodes BOM-marked UTF-8 and falls back to GBK', () => {
+    assert.deepEqual(decodeCsv(Buffer.from('\uFEFF姓名')), { text: '姓名', encoding: 'utf-8' })
+    assert.deepEqual(decodeCsv(Buffer.from([0xd5, 0xc5, 0xc8, 0xfd])), {
+      text: '张三',
+      encoding: 'gbk',
+    })
+  })
+
+  it('maps English and Chinese headers, or an explicit mapping', () => {
+    assert.deepEqual(mapColumns(['姓名', 'Mobile', 'Unknown']), {
+      fields: { 0: 'name', 1: 'phone' },
+      customFields: {},
+    })
+    assert.deepEqual(mapColumns(['Who', 'Mobile'], { Who: 'name' }), {
+      fields: { 0: 'name' },
+      customFields: {},
+    })
+  })
+
+  it('maps custom field names before aliases, unless there is a mapping', () => {
+    assert.deepEqual(mapColumns(['name', 'mobile', 'Shoe size'], null, ['Mobile', 'Shoe Size']), {
+      fields: { 0: 'name' },
+      customFields: { 1: 'Mobile', 2: 'Shoe Size' },
+    })
+    assert.deepEqual(mapColumns(['Mobile'], { Mobile: 'phone' }, ['Mobile']), {
+      fields: { 0: 'phone' },
+      customFields: {},
+    })
+  })
+
+  it('neutralizes spreadsheet formulas but keeps phone numbers', () => {
+    assert.equal(
+      formatCsv(['name', 'phone'], [['=HYPERLINK("x")', '+8613800138000']]),
+      '\uFEFFname,phone\r\n"\'=HYPERLINK(""x"")",+8613800138000\r\n'
+    )
+  })
+})
+
+describe('CSV import', () => {
+  let server
+  let token
+
+  const importCsv = (text, query = '', as = token) => {
+    const form = new FormData()
+    form.append('file', new Blob([text]), 'contacts.csv')
+    return fetch(`${server.url}/api/contacts/import/csv${query}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${as}` },
+      body: form,
+    }).then(async response => ({ status: response.status, body: await response.json() }))
+  }
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'csv-owner')
+    await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada', phone: '13800138000' },
+    })
+  })
+
+  after(() => server.close())
+
+  const CSV =
+    'Name,Phone,Company\nAda Lovelace,138 0013 8000,Acme\nGrace,13700137000,\nNo phone,,\n'
+
+  it('previews inserts, updates and errors without saving', async () => {
+    const { status, body } = await importCsv(CSV, '?dryRun=true')
+    assert.equal(status, 200)
+    assert.deepEqual(
+      body.data.results.map(result => [result.row, result.action]),
+      [
+        [2, 'update'],
+        [3, 'insert'],
+        [4, 'error'],
+      ]
+    )
+
+    const listed = await request(`${server.url}/api/contacts`, { token })
+    assert.deepEqual(
+      listed.body.data.map(contact => contact.name),
+      ['Ada']
+    )
+  })
+
+  it('applies the same plan for real', async () => {
+    const { body } = await importCsv(CSV)
+    assert.equal(body.data.dryRun, false)
+    assert.deepEqual([body.data.inserted, body.data.updated, body.data.failed], [1, 1, 1])
+
+    const listed = await request(`${server.url}/api/contacts?sort=name&order=asc`, { token })
+    assert.deepEqual(
+      listed.body.data.map(contact => [contact.name, contact.company]),
+      [
+        ['Ada Lovelace', 'Acme'],
+        ['Grace', null],
+      ]
+    )
+  })
+
+  it('requires a name column', async () => {
+    const { status, body } = await importCsv('Phone\n13800138000\n')
+    assert.equal(status, 400)
+    assert.equal(body.errors[0].rule, 'required')
+  })
+
+  it('moves contacts with their custom field values from one account to another', async () => {
+    const target = await registerUser(server.url, 'csv-target')
+    for (const as of [token, target]) {
+      for (const [name, type] of [
+        ['Employee number', 'number'],
+        ['Mobile', 'text'],
+      ]) {
+        await request(`${server.url}/api/custom-fields`, {
+          method: 'POST',
+          token: as,
+          body: { name, type },
+        })
+      }
+    }
+    await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: {
+        name: 'Linus',
+        phone: '13600136000',
+        customFields: { 'Employee number': 42, Mobile: 'Work phone only' },
+      },
+    })
+
+    const exported = await fetch(`${server.url}/api/contacts/export.csv`, {
+      headers: { Authorization: `Bearer ${token}` },
+    }).then(response => response.text())
+    const { body } = await importCsv(exported, '', target)
+    assert.deepEqual([body.data.inserted, body.data.failed], [3, 0])
+
+    const { body: listed } = await request(`${server.url}/api/contacts?sort=name&order=asc`, {
+      token: target,
+    })
+    assert.deepEqual(
+      listed.data.map(contact => [contact.name, contact.phone, contact.customFields]),
+      [
+        ['Ada Lovelace', '+8613800138000', {}],
+        ['Grace', '+8613700137000', {}],
+        ['Linus', '+8613600136000', { 'Employee number': 42, Mobile: 'Work phone only' }],
+      ]
+    )
+
+    // Importing the file again updates the same contacts and keeps the values
+    const again = await importCsv(exported, '', target)
+    assert.deepEqual([again.body.data.updated, again.body.data.failed], [3, 0])
+    const linus = listed.data.at(-1)
+    const reloaded = await request(`${server.url}/api/contacts/${linus.id}`, { token: target })
+    assert.deepEqual(reloaded.body.data.customFields, linus.customFields)
+  })
+})
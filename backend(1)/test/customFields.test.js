@@ -0,0 +1,89 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('custom fields', () => {
+  let server
+  let token
+  let contactUrl
+  const fields = {}
+
+  const call = (path, options = {}) => request(`${server.url}/api/${path}`, { token, ...options })
+  const define = body => call('custom-fields', { method: 'POST', body })
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'custom-owner')
+    for (const [name, type] of [
+      ['Employee number', 'number'],
+      ['Homepage', 'url'],
+    ]) {
+      fields[name] = (await define({ name, type })).body.data
+    }
+  })
+
+  after(() => server.close())
+
+  it('refuses built-in and repeated names and unknown types', async () => {
+    assert.equal((await define({ name: 'Phone', type: 'text' })).status, 400)
+    assert.equal((await define({ name: 'homepage', type: 'text' })).status, 409)
+    assert.equal((await define({ name: 'Shoe size', type: 'float' })).status, 400)
+  })
+
+  it('stores typed values on contacts under their defined names', async () => {
+    const created = await call('contacts', {
+      method: 'POST',
+      body: {
+        name: 'Ada',
+        phone: '13800138000',
+        customFields: { 'employee NUMBER': 7, Homepage: 'https://example.com/ada' },
+      },
+    })
+    assert.equal(created.status, 201)
+    contactUrl = `contacts/${created.body.data.id}`
+    assert.deepEqual((await call(contactUrl)).body.data.customFields, {
+      'Employee number': 7,
+      Homepage: 'https://example.com/ada',
+    })
+  })
+
+  it('validates values against the field type and refuses unknown fields', async () => {
+    const { status, body } = await call(contactUrl, {
+      method: 'PATCH',
+      body: { customFields: { 'Employee number': 'seven', Shoe: 42 } },
+    })
+    assert.equal(status, 400)
+    assert.deepEqual(
+      body.errors.map(error => [error.field, error.rule]),
+      [
+        ['customFields.Employee number', 'type'],
+        ['customFields.Shoe', 'unknown'],
+      ]
+    )
+  })
+
+  it('keeps the type while values exist and drops values with the field', async () => {
+    const field = fields['Employee number']
+    const changed = await call(`custom-fields/${field.id}`, {
+      method: 'PUT',
+      body: { name: 'Staff number', type: 'text' },
+    })
+    assert.equal(changed.status, 400)
+
+    const renamed = await call(`custom-fields/${field.id}`, {
+      method: 'PUT',
+      body: { name: 'Staff number', type: 'number' },
+    })
+    assert.equal(renamed.body.data.value_count, 1)
+    assert.deepEqual(Object.keys((await call(contactUrl)).body.data.customFields), [
+      'Homepage',
+      'Staff number',
+    ])
+
+    await call(`custom-fields/${field.id}`, { method: 'DELETE' })
+    assert.deepEqual((await call(contactUrl)).body.data.customFields, {
+      Homepage: 'https://example.com/ada',
+    })
+  })
+})
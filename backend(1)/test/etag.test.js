@@ -0,0 +1,107 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { ERROR_CODES } from '../constants.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('contact ETags and If-Match', () => {
+  let server
+  let token
+  let phoneSuffix = 0
+
+  const createContact = async () => {
+    phoneSuffix += 1
+    const { body } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada', phone: `1380013800${phoneSuffix}` },
+    })
+    return `${server.url}/api/contacts/${body.data.id}`
+  }
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'etag-owner')
+  })
+
+  after(() => server.close())
+
+  it('sends the version as a strong ETag and answers If-None-Match with 304', async () => {
+    const url = await createContact()
+    const { status, headers, body } = await request(url, { token })
+    assert.equal(status, 200)
+    assert.equal(headers.get('ETag'), '"1"')
+    assert.equal(body.data.version, 1)
+
+    // fetch() sends Cache-Control: no-cache with a conditional request unless
+    // told otherwise, and the server rightly answers that with the full body
+    const revalidated = await fetch(url, {
+      headers: { Authorization: `Bearer ${token}`, 'If-None-Match': '"1"' },
+      cache: 'no-cache',
+    })
+    assert.equal(revalidated.status, 304)
+  })
+
+  it('applies a PATCH whose If-Match names the current version', async () => {
+    const url = await createContact()
+    const { status, headers, body } = await request(url, {
+      method: 'PATCH',
+      token,
+      body: { title: 'Engineer' },
+      headers: { 'If-Match': '"1"' },
+    })
+    assert.equal(status, 200)
+    assert.equal(headers.get('ETag'), '"2"')
+    assert.equal(body.data.title, 'Engineer')
+    assert.equal(body.data.name, 'Ada')
+  })
+
+  it('refuses writes naming an outdated version with 412 and the current ETag', async () => {
+    const url = await createContact()
+    await request(url, { method: 'PATCH', token, body: { title: 'Engineer' } })
+
+    const attempts = [
+      { method: 'PATCH', body: { title: 'Manager' } },
+      { method: 'PUT', body: { name: 'Ada', phone: '13900139000' } },
+      { method: 'DELETE' },
+    ]
+    for (const attempt of attempts) {
+      const { status, headers, body } = await request(url, {
+        ...attempt,
+        token,
+        headers: { 'If-Match': '"1"' },
+      })
+      assert.equal(status, 412, attempt.method)
+      assert.equal(body.code, ERROR_CODES.PRECONDITION_FAILED)
+      assert.equal(headers.get('ETag'), '"2"')
+    }
+
+    const { body } = await request(url, { token })
+    assert.equal(body.data.title, 'Engineer')
+  })
+
+  it('never matches a weak ETag', async () => {
+    const url = await createContact()
+    const { status } = await request(url, {
+      method: 'DELETE',
+      token,
+      headers: { 'If-Match': 'W/"1"' },
+    })
+    assert.equal(status, 412)
+  })
+
+  it('writes unconditionally without If-Match or with If-Match: *', async () => {
+    const url = await createContact()
+    const patched = await request(url, { method: 'PATCH', token, body: { notes: 'first' } })
+    assert.equal(patched.status, 200)
+    const deleted = await request(url, { method: 'DELETE', token, headers: { 'If-Match': '*' } })
+    assert.equal(deleted.status, 200)
+  })
+
+  it('keeps the version when a PATCH changes nothing', async () => {
+    const url = await createContact()
+    const { status, headers } = await request(url, { method: 'PATCH', token, body: {} })
+    assert.equal(status, 200)
+    assert.equal(headers.get('ETag'), '"1"')
+  })
+})
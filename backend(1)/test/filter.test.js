@@ -0,0 +1,100 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { compileFilter } from '../filter.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('compileFilter', () => {
+  it('compiles nested and/or trees into parameterized SQL', () => {
+    assert.deepEqual(
+      compileFilter({
+        created_at: { gte: '2024-01-01' },
+        or: [{ email: { exists: true } }, { address: { contains: '50%_off' } }],
+      }),
+      {
+        where: [
+          "(created_at >= ? AND (((email IS NOT NULL AND email != '')) OR (address LIKE ? ESCAPE '\\')))",
+        ],
+        params: ['2024-01-01 00:00:00', '%50\\%\\_off%'],
+        errors: [],
+      }
+    )
+  })
+
+  it('reports every unknown field, operator and bad value', () => {
+    const { where, errors } = compileFilter({
+      password: 'x',
+      favorite: { contains: 'yes' },
+      id: { in: '1,two' },
+    })
+    assert.deepEqual(where, [])
+    assert.deepEqual(
+      errors.map(error => error.field),
+      ['password', 'favorite.contains', 'id.in']
+    )
+  })
+
+  it('rejects filters nested too deeply', () => {
+    let filter = { name: 'Ada' }
+    for (let depth = 0; depth < 5; depth++) {
+      filter = { and: [filter] }
+    }
+    assert.equal(compileFilter(filter).errors.length, 1)
+  })
+})
+
+describe('filtered listing', () => {
+  let server
+  let token
+
+  const names = body => body.data.map(contact => contact.name).sort()
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'filter-owner')
+    const contacts = [
+      { name: 'Ada Lovelace', phone: '13800138000', email: 'ada@example.com', company: 'Acme' },
+      { name: 'Charles Babbage', phone: '13900139000', company: 'Acme Labs' },
+      { name: 'Grace Hopper', phone: '13700137000', company: 'Navy' },
+    ]
+    for (const body of contacts) {
+      await request(`${server.url}/api/contacts`, { method: 'POST', token, body })
+    }
+  })
+
+  after(() => server.close())
+
+  it('applies filter[...] query params', async () => {
+    const { status, body } = await request(
+      `${server.url}/api/contacts?filter[company][startsWith]=Acme&filter[email][exists]=false`,
+      { token }
+    )
+    assert.equal(status, 200)
+    assert.deepEqual(names(body), ['Charles Babbage'])
+  })
+
+  it('accepts the same tree as JSON', async () => {
+    const { status, body } = await request(`${server.url}/api/contacts/query`, {
+      method: 'POST',
+      token,
+      body: {
+        filter: { or: [{ company: 'Navy' }, { email: { contains: '@example.' } }] },
+        limit: 10,
+      },
+    })
+    assert.equal(status, 200)
+    assert.deepEqual(names(body), ['Ada Lovelace', 'Grace Hopper'])
+    assert.equal(body.meta.total, 2)
+  })
+
+  it('answers a bad filter with 400 and the offending field', async () => {
+    const { status, body } = await request(`${server.url}/api/contacts?filter[secret][eq]=1`, {
+      token,
+    })
+    assert.equal(status, 400)
+    assert.deepEqual(
+      body.errors.map(error => error.field),
+      ['secret']
+    )
+  })
+})
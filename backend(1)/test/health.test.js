@@ -0,0 +1,63 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import Database from 'better-sqlite3'
+import { APP_VERSION, checkReadiness } from '../health.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('checkReadiness', () => {
+  it('reports the database error once queries fail', () => {
+    const db = new Database(':memory:')
+    db.close()
+    const { ready, status } = checkReadiness(db)
+    assert.equal(ready, false)
+    assert.equal(status.database.status, 'error')
+    assert.equal(status.version, APP_VERSION)
+  })
+})
+
+describe('health and metrics', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.close())
+
+  it('answers liveness and readiness without signing in', async () => {
+    const live = await request(`${server.url}/api/health/live`)
+    assert.equal(live.status, 200)
+    assert.equal(live.body.data.version, APP_VERSION)
+
+    const ready = await request(`${server.url}/api/health/ready`)
+    assert.equal(ready.status, 200)
+    assert.equal(ready.body.data.database.status, 'ok')
+    assert.ok(ready.body.data.database.size > 0)
+    assert.ok(ready.body.data.database.migrationVersion > 0)
+
+    assert.equal((await request(`${server.url}/api/health`)).body.data.database.status, 'ok')
+  })
+
+  it('counts requests by route pattern, errors by code and contacts by state', async () => {
+    const token = await registerUser(server.url, 'metrics-owner')
+    const created = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada', phone: '13800138000' },
+    })
+    await request(`${server.url}/api/contacts/${created.body.data.id}`, { token })
+    await request(`${server.url}/api/contacts/999999`, { token })
+
+    const response = await fetch(`${server.url}/metrics`)
+    assert.match(response.headers.get('Content-Type'), /^text\/plain/)
+    const text = await response.text()
+    assert.match(
+      text,
+      /^http_requests_total\{method="GET",route="\/api\/contacts\/:id",status="200"\} 1$/m
+    )
+    assert.match(text, /^api_errors_total\{code="\d+",name="NOT_FOUND"\} 1$/m)
+    assert.match(text, /^contacts\{state="live"\} 1$/m)
+    assert.ok(!text.includes('999999'))
+  })
+})
@@ -0,0 +1,89 @@
+import { mkdtempSync, rmSync } from 'fs'
+import { once } from 'events'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+// Import this module before anything that reads config.js. Each test file runs
+// in its own process, with its own database and log directory.
+const TEST_DIR = mkdtempSync(join(tmpdir(), 'contacts-test-'))
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  DB_PATH: join(TEST_DIR, 'test.db'),
+  LOG_DIR: join(TEST_DIR, 'logs'),
+  LOG_LEVEL: 'error',
+  JWT_SECRET: 'test-secret',
+  FEATURE_API_DOCS: 'false',
+  FEATURE_TRASH_PURGE: 'false',
+  RATE_LIMIT_API: '0',
+  RATE_LIMIT_AUTH: '0',
+  RATE_LIMIT_SEARCH: '0',
+  RATE_LIMIT_WRITE: '0',
+}
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  process.env[name] ??= value
+})
+
+process.on('exit', () => rmSync(TEST_DIR, { recursive: true, force: true }))
+
+export const testDir = TEST_DIR
+
+/**
+ * Start the app on a free port. Set any extra environment variables before the
+ * first call, as the app reads its config once.
+ * @returns {Promise<{ url: string, close: Function }>} Base URL and a function
+ *   that stops the server
+ */
+export const startServer = async () => {
+  const { default: app } = await import('../server.js')
+  const server = app.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections()
+      server.close()
+    },
+  }
+}
+
+/**
+ * Send a JSON request and read the JSON response
+ * @param {string} url - Full URL
+ * @param {{ method?: string, token?: string, body?: *, headers?: Object }} [options]
+ * @returns {Promise<{ status: number, headers: Headers, body: Object }>}
+ */
+export const request = async (url, { method = 'GET', token, body, headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  })
+  const text = await response.text()
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: text ? JSON.parse(text) : null,
+  }
+}
+
+/**
+ * Register an account and return its access token
+ * @param {string} baseUrl - Server base URL
+ * @param {string} username - New username
+ * @returns {Promise<string>} Access token
+ */
+export const registerUser = async (baseUrl, username) => {
+  const { status, body } = await request(`${baseUrl}/api/auth/register`, {
+    method: 'POST',
+    body: { username, password: 'correct horse battery' },
+  })
+  if (status !== 201) {
+    throw new Error(`Registering ${username} failed with ${status}: ${body.msg}`)
+  }
+  return body.data.accessToken
+}
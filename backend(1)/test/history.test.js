@@ -0,0 +1,85 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { diffContacts } from '../history.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('diffContacts', () => {
+  it('lists changed fields only, with their old and new values', () => {
+    assert.deepEqual(
+      diffContacts(
+        { name: 'Ada', phones: [{ value: '+8613800138000' }], notes: null },
+        { name: 'Ada', phones: [{ value: '+8613900139000' }], notes: 'Met at the lab' }
+      ),
+      {
+        phones: { from: [{ value: '+8613800138000' }], to: [{ value: '+8613900139000' }] },
+        notes: { from: null, to: 'Met at the lab' },
+      }
+    )
+  })
+})
+
+describe('contact history', () => {
+  let server
+  let token
+  let contactUrl
+
+  const history = async () => (await request(`${contactUrl}/history`, { token })).body.data
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'history-owner')
+    const created = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada Lovelace', phone: '13800138000' },
+    })
+    contactUrl = `${server.url}/api/contacts/${created.body.data.id}`
+  })
+
+  after(() => server.close())
+
+  it('records each change with its actor, newest first', async () => {
+    await request(contactUrl, { method: 'PATCH', token, body: { company: 'Analytical Engines' } })
+
+    const [updated, created] = await history()
+    assert.equal(created.operation, 'create')
+    assert.equal(updated.operation, 'update')
+    assert.equal(updated.actor.username, 'history-owner')
+    assert.deepEqual(updated.changes, { company: { from: null, to: 'Analytical Engines' } })
+    assert.equal(updated.snapshot.company, 'Analytical Engines')
+  })
+
+  it('reverts to an earlier version and records the revert', async () => {
+    const created = (await history()).at(-1)
+    const { status, body } = await request(`${contactUrl}/revert/${created.version}`, {
+      method: 'POST',
+      token,
+    })
+    assert.equal(status, 200)
+    assert.equal(body.data.company, null)
+
+    const [reverted] = await history()
+    assert.equal(reverted.operation, 'revert')
+    assert.deepEqual(reverted.changes.company, { from: 'Analytical Engines', to: null })
+  })
+
+  it('refuses versions of other contacts and other users', async () => {
+    const other = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Grace Hopper', phone: '13700137000' },
+    })
+    const [otherVersion] = (
+      await request(`${server.url}/api/contacts/${other.body.data.id}/history`, { token })
+    ).body.data
+    const revert = await request(`${contactUrl}/revert/${otherVersion.version}`, {
+      method: 'POST',
+      token,
+    })
+    assert.equal(revert.status, 404)
+
+    const stranger = await registerUser(server.url, 'history-stranger')
+    assert.equal((await request(`${contactUrl}/history`, { token: stranger })).status, 404)
+  })
+})
@@ -0,0 +1,63 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import en from '../locales/en.js'
+import zhCN from '../locales/zh-CN.js'
+import { message, translate } from '../i18n.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort()
+
+describe('message catalogs', () => {
+  it('translate every English message with the same placeholders', () => {
+    assert.deepEqual(Object.keys(zhCN).sort(), Object.keys(en).sort())
+    for (const key of Object.keys(en)) {
+      assert.deepEqual(placeholders(zhCN[key]), placeholders(en[key]), key)
+    }
+  })
+
+  it('fill in placeholders and leave unknown keys alone', () => {
+    assert.equal(
+      translate('zh-CN', message('CONTACT_NOT_FOUND_ID', { id: 7 })),
+      '联系人不存在（ID：7）'
+    )
+    assert.equal(translate('en', 'NOT_A_MESSAGE'), 'NOT_A_MESSAGE')
+  })
+})
+
+describe('response language', () => {
+  let server
+  let token
+
+  const createNameless = (query = '', headers = {}) =>
+    request(`${server.url}/api/contacts${query}`, {
+      method: 'POST',
+      token,
+      headers,
+      body: { phone: '13800138000' },
+    })
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'i18n-owner')
+  })
+
+  after(() => server.close())
+
+  it('follows Accept-Language, matching on the primary language', async () => {
+    const { headers, body } = await createNameless('', { 'Accept-Language': 'fr, zh-Hans;q=0.8' })
+    assert.equal(headers.get('Content-Language'), 'zh-CN')
+    assert.match(headers.get('Vary'), /Accept-Language/)
+    assert.equal(body.msg, '姓名为必填项')
+    assert.equal(body.errors[0].msg, '姓名为必填项')
+  })
+
+  it('prefers the lang parameter and falls back to English', async () => {
+    const chinese = await createNameless('?lang=zh-CN', { 'Accept-Language': 'en' })
+    assert.equal(chinese.body.msg, '姓名为必填项')
+
+    const fallback = await createNameless('?lang=tlh', { 'Accept-Language': 'de' })
+    assert.equal(fallback.headers.get('Content-Language'), 'en')
+    assert.equal(fallback.body.msg, 'Name is required')
+  })
+})
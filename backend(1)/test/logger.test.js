@@ -0,0 +1,121 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { Writable } from 'node:stream'
+import { after, before, beforeEach, describe, it } from 'node:test'
+import winston from 'winston'
+import { registerUser, request, startServer } from './helpers.js'
+
+// The logger reads these once, when it is first imported
+process.env.LOG_REDACT = 'true'
+process.env.LOG_LEVEL = 'debug'
+const { default: logger } = await import('../logger.js')
+
+describe('log redaction', () => {
+  let entries = []
+  const capture = new winston.transports.Stream({
+    format: winston.format.json(),
+    stream: new Writable({
+      write: (chunk, _encoding, callback) => {
+        entries.push(JSON.parse(chunk))
+        callback()
+      },
+    }),
+  })
+  const entry = message => entries.find(logged => logged.message === message)
+
+  before(() => logger.add(capture))
+  after(() => logger.remove(capture))
+  beforeEach(() => {
+    entries = []
+  })
+
+  it('always hides secrets, at any depth', () => {
+    logger.info('Secrets', {
+      password: 'hunter2',
+      auth: { accessToken: 'abc', Authorization: 'Bearer abc' },
+      username: 'ada',
+    })
+    assert.deepEqual(entry('Secrets').auth, {
+      accessToken: '[REDACTED]',
+      Authorization: '[REDACTED]',
+    })
+    assert.equal(entry('Secrets').password, '[REDACTED]')
+    assert.equal(entry('Secrets').username, 'ada')
+  })
+
+  it('hides personal data with LOG_REDACT on and leaves the caller objects alone', () => {
+    const contactData = {
+      name: 'Ada',
+      phone: '+8613800138000',
+      emails: [{ value: 'ada@example.com' }],
+      address: null,
+    }
+    logger.info('Personal', { contactData })
+    assert.deepEqual(entry('Personal').contactData, {
+      name: '[REDACTED]',
+      phone: '[REDACTED]',
+      emails: '[REDACTED]',
+      address: null,
+    })
+    assert.equal(contactData.phone, '+8613800138000')
+  })
+
+  it('hides search terms and filters', () => {
+    logger.error('Filters', {
+      query: { filter: { name: { eq: 'Ada' } } },
+      filter: { or: [{ phone: { eq: '+8613800138000' } }] },
+    })
+    assert.equal(entry('Filters').query, '[REDACTED]')
+    assert.equal(entry('Filters').filter, '[REDACTED]')
+  })
+
+  describe('in requests', () => {
+    let server
+    let token
+
+    before(async () => {
+      server = await startServer()
+      token = await registerUser(server.url, 'redact-owner')
+    })
+
+    after(() => server.close())
+
+    it('logs searches without their terms', async () => {
+      const { status } = await request(`${server.url}/api/contacts/search?q=Lovelace`, { token })
+      assert.equal(status, 200)
+
+      const searched = entry('Contacts searched successfully')
+      assert.equal(searched.query, '[REDACTED]')
+      assert.equal(searched.count, 0)
+      assert.ok(!JSON.stringify(entries).includes('Lovelace'))
+    })
+
+    it('logs new contacts without their name or phone', async () => {
+      const { status } = await request(`${server.url}/api/contacts`, {
+        method: 'POST',
+        token,
+        body: { name: 'Ada Lovelace', phone: '13800138000' },
+      })
+      assert.equal(status, 201)
+
+      const created = entry('Contact created successfully')
+      assert.deepEqual([created.name, created.phone], ['[REDACTED]', '[REDACTED]'])
+      assert.ok(!JSON.stringify(entries).includes('Lovelace'))
+    })
+
+    it('tags entries with the request ID and logs the path without the query string', async () => {
+      const { headers } = await request(`${server.url}/api/contacts/search?q=Lovelace`, {
+        token,
+        headers: { 'X-Request-Id': 'search-1' },
+      })
+      assert.equal(headers.get('X-Request-Id'), 'search-1')
+
+      // The access log entry is written once the response has been sent
+      await new Promise(resolve => setTimeout(resolve, 50))
+      const access = entries.find(logged => logged.level === 'http')
+      assert.equal(access.requestId, 'search-1')
+      assert.equal(access.path, '/api/contacts/search')
+      assert.equal(entry('Contacts searched successfully').requestId, 'search-1')
+    })
+  })
+})
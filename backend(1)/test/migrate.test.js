@@ -0,0 +1,67 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { beforeEach, describe, it } from 'node:test'
+import Database from 'better-sqlite3'
+import {
+  getMigrationStatus,
+  loadMigrations,
+  rollbackMigrations,
+  runMigrations,
+} from '../migrate.js'
+
+// Every table, index and trigger, except the bookkeeping table itself
+const schemaOf = db =>
+  db
+    .prepare(
+      `SELECT type, name, sql FROM sqlite_master
+       WHERE name != 'schema_migrations' AND name NOT LIKE 'sqlite_%'
+       ORDER BY type, name`
+    )
+    .all()
+
+describe('migrations', () => {
+  let db
+  let versions
+
+  beforeEach(async () => {
+    db = new Database(':memory:')
+    versions = (await loadMigrations()).map(({ version }) => version)
+  })
+
+  it('loads migrations in version order, without gaps', () => {
+    assert.deepEqual(
+      versions,
+      versions.map((_, i) => i + 1)
+    )
+  })
+
+  it('applies pending migrations once and reports their status', async () => {
+    assert.deepEqual(await runMigrations(db), versions)
+    assert.deepEqual(await runMigrations(db), [])
+
+    const status = await getMigrationStatus(db)
+    assert.equal(status.length, versions.length)
+    assert.ok(status.every(({ appliedAt }) => appliedAt !== null))
+  })
+
+  it('rolls back the latest migrations and reapplies them', async () => {
+    await runMigrations(db)
+    const schema = schemaOf(db)
+
+    assert.deepEqual(await rollbackMigrations(db, 2), versions.slice(-2).reverse())
+    const status = await getMigrationStatus(db)
+    assert.deepEqual(
+      status.filter(({ appliedAt }) => appliedAt === null).map(({ version }) => version),
+      versions.slice(-2)
+    )
+
+    assert.deepEqual(await runMigrations(db), versions.slice(-2))
+    assert.deepEqual(schemaOf(db), schema)
+  })
+
+  it('reverts every migration down to an empty database', async () => {
+    await runMigrations(db)
+    assert.deepEqual(await rollbackMigrations(db, versions.length), [...versions].reverse())
+    assert.deepEqual(schemaOf(db), [])
+  })
+})
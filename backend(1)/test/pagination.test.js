@@ -0,0 +1,97 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { registerUser, request, startServer } from './helpers.js'
+
+const NAMES = ['Carol', 'Alice', 'Eve', 'Bob', 'Dave']
+
+describe('contact listing', () => {
+  let server
+  let token
+
+  const list = query => request(`${server.url}/api/contacts?${query}`, { token })
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'page-owner')
+    for (const [i, name] of NAMES.entries()) {
+      await request(`${server.url}/api/contacts`, {
+        method: 'POST',
+        token,
+        body: { name, phone: `1380013800${i}` },
+      })
+    }
+  })
+
+  after(() => server.close())
+
+  it('sorts and pages with limit and offset', async () => {
+    const { status, body } = await list('sort=name&order=asc&limit=2&offset=1')
+    assert.equal(status, 200)
+    assert.deepEqual(
+      body.data.map(contact => contact.name),
+      ['Bob', 'Carol']
+    )
+    assert.deepEqual(body.meta, {
+      total: 5,
+      limit: 2,
+      offset: 1,
+      hasMore: true,
+      nextCursor: body.meta.nextCursor,
+    })
+  })
+
+  it('walks every contact once with cursors', async () => {
+    const names = []
+    let cursor = null
+    do {
+      const { body } = await list(
+        `sort=name&order=desc&limit=2${cursor ? `&cursor=${cursor}` : ''}`
+      )
+      names.push(...body.data.map(contact => contact.name))
+      cursor = body.meta.nextCursor
+    } while (cursor)
+    assert.deepEqual(names, [...NAMES].sort().reverse())
+  })
+
+  it('refuses forged cursors and cursors of another sort', async () => {
+    const forge = values => Buffer.from(JSON.stringify(values)).toString('base64url')
+    for (const cursor of [
+      forge(['name', 'asc', { a: 1 }, 1]),
+      forge(['name', 'asc', true, 1]),
+      forge([{ a: 1 }, 1]),
+      'not-a-cursor',
+    ]) {
+      const { status, body } = await list(`sort=name&order=asc&cursor=${cursor}`)
+      assert.equal(status, 400)
+      assert.deepEqual(body.errors, [
+        { field: 'cursor', rule: 'query', msg: 'Invalid pagination cursor' },
+      ])
+    }
+
+    const { body: first } = await list('sort=name&order=asc&limit=2')
+    const { status, body } = await list(`sort=created_at&limit=2&cursor=${first.meta.nextCursor}`)
+    assert.equal(status, 400)
+    assert.equal(body.errors[0].msg, 'Cursor was made for another sort field or order')
+  })
+
+  it('returns only the selected fields, plus the ID', async () => {
+    const { body } = await list('fields=name,phones&limit=1&sort=name&order=asc')
+    assert.deepEqual(body.data, [
+      {
+        id: body.data[0].id,
+        name: 'Alice',
+        phones: [{ label: 'mobile', value: '+8613800138001', primary: true }],
+      },
+    ])
+  })
+
+  it('rejects unknown sort fields, bad limits and unknown fields at once', async () => {
+    const { status, body } = await list('sort=password&limit=0&fields=secret')
+    assert.equal(status, 400)
+    assert.deepEqual(
+      body.errors.map(error => error.field),
+      ['limit', 'sort', 'fields']
+    )
+  })
+})
@@ -0,0 +1,85 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { setTimeout as sleep } from 'node:timers/promises'
+import Database from 'better-sqlite3'
+import * as rateLimitsMigration from '../migrations/013_rate_limits.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+// Read by config.js, which these modules load when first imported
+process.env.RATE_LIMIT_AUTH = '3'
+process.env.RATE_LIMIT_SEARCH = '2'
+const { createMemoryStore, createSqliteStore } = await import('../rateLimit.js')
+const { default: db } = await import('../db.js')
+const { issueTokens } = await import('../auth.js')
+
+describe('rate limit stores', () => {
+  const memoryDb = new Database(':memory:')
+  rateLimitsMigration.up(memoryDb)
+  const stores = { memory: createMemoryStore(), sqlite: createSqliteStore(memoryDb) }
+
+  for (const [name, store] of Object.entries(stores)) {
+    it(`counts per key and starts over after the window (${name})`, async () => {
+      assert.equal(store.hit('a', 50).count, 1)
+      assert.equal(store.hit('a', 50).count, 2)
+      assert.equal(store.hit('b', 50).count, 1)
+      await sleep(60)
+      const { count, resetAt } = store.hit('a', 50)
+      assert.equal(count, 1)
+      assert.ok(resetAt > Date.now())
+    })
+  }
+})
+
+describe('rate limiting', () => {
+  let server
+
+  const login = () =>
+    request(`${server.url}/api/auth/login`, {
+      method: 'POST',
+      body: { username: 'limited', password: 'correct horse battery' },
+    })
+  const search = token => request(`${server.url}/api/contacts/search?q=ada`, { token })
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.close())
+
+  it('answers requests over the limit with 429 and Retry-After', async () => {
+    await registerUser(server.url, 'limited')
+    const allowed = await login()
+    assert.equal(allowed.status, 200)
+    assert.equal(allowed.headers.get('RateLimit-Policy'), '3;w=60')
+    assert.equal(allowed.headers.get('RateLimit-Remaining'), '1')
+
+    assert.equal((await login()).status, 200)
+    const limited = await login()
+    assert.equal(limited.status, 429)
+    assert.equal(limited.headers.get('RateLimit-Remaining'), '0')
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0)
+  })
+
+  it('counts signed-in clients per user', async () => {
+    const first = await request(`${server.url}/api/auth/register`, {
+      method: 'POST',
+      body: { username: 'searcher', password: 'correct horse battery' },
+    })
+    // Registration is an auth request too, and this IP is over that limit
+    assert.equal(first.status, 429)
+
+    // So tokens are issued directly
+    const tokenOf = username =>
+      issueTokens(db, db.prepare('SELECT * FROM users WHERE username = ?').get(username))
+        .accessToken
+
+    const token = tokenOf('limited')
+    assert.equal((await search(token)).status, 200)
+    assert.equal((await search(token)).status, 200)
+    assert.equal((await search(token)).status, 429)
+
+    db.prepare("INSERT INTO users (username, password_hash) VALUES ('other', 'x')").run()
+    assert.equal((await search(tokenOf('other'))).status, 200)
+  })
+})
@@ -0,0 +1,88 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { ERROR_CODES } from '../constants.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('response status codes', () => {
+  let server
+  let token
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'status-owner')
+  })
+
+  after(() => server.close())
+
+  it('answers creation with 201 and a missing contact with 404', async () => {
+    const created = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada', phone: '13800138000' },
+    })
+    assert.equal(created.status, 201)
+    assert.equal(created.body.code, ERROR_CODES.SUCCESS)
+
+    const missing = await request(`${server.url}/api/contacts/999999`, { token })
+    assert.equal(missing.status, 404)
+    assert.deepEqual(missing.body, {
+      code: ERROR_CODES.NOT_FOUND,
+      msg: 'Contact not found (ID: 999999)',
+    })
+  })
+
+  it('answers unknown routes and malformed JSON in the envelope', async () => {
+    const unknown = await request(`${server.url}/api/nothing-here`, { token })
+    assert.equal(unknown.status, 404)
+    assert.equal(unknown.body.msg, 'No such API endpoint (GET /api/nothing-here)')
+
+    const response = await fetch(`${server.url}/api/contacts`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: '{"name":',
+    })
+    assert.equal(response.status, 400)
+    assert.equal((await response.json()).msg, 'Request body is not valid JSON')
+  })
+
+  it('sends RFC 7807 problem details to clients that ask for them', async () => {
+    const response = await fetch(`${server.url}/api/contacts`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/problem+json',
+      },
+      body: JSON.stringify({ phone: '13900139000' }),
+    })
+    assert.equal(response.status, 400)
+    assert.match(response.headers.get('Content-Type'), /^application\/problem\+json/)
+    const problem = await response.json()
+    assert.deepEqual(
+      {
+        type: problem.type,
+        title: problem.title,
+        status: problem.status,
+        detail: problem.detail,
+        instance: problem.instance,
+        code: problem.code,
+      },
+      {
+        type: 'about:blank',
+        title: 'Bad Request',
+        status: 400,
+        detail: 'Name is required',
+        instance: '/api/contacts',
+        code: ERROR_CODES.VALIDATION_ERROR,
+      }
+    )
+    assert.equal(problem.errors[0].field, 'name')
+
+    // Successful responses keep the envelope
+    const listed = await fetch(`${server.url}/api/contacts`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'application/problem+json' },
+    })
+    assert.equal((await listed.json()).code, ERROR_CODES.SUCCESS)
+  })
+})
@@ -0,0 +1,81 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { buildMatchExpression } from '../search.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('buildMatchExpression', () => {
+  it('quotes terms as prefixes so input is never FTS syntax', () => {
+    assert.equal(
+      buildMatchExpression('li OR "x'),
+      [
+        '{name email address details} : "li"*',
+        '{name email address details} : "OR"*',
+        '{name email address details} : """x"*',
+      ].join(' AND ')
+    )
+  })
+
+  it('limits field-prefixed terms and strips phone punctuation', () => {
+    assert.equal(
+      buildMatchExpression('name:Li phone:138-0013'),
+      'name : "Li"* AND phone_digits : "1380013"*'
+    )
+    assert.equal(buildMatchExpression('   '), null)
+  })
+})
+
+describe('contact search', () => {
+  let server
+  let token
+
+  const search = q =>
+    request(`${server.url}/api/contacts/search?q=${encodeURIComponent(q)}`, { token })
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'search-owner')
+    const contacts = [
+      { name: 'Ada Lovelace', phone: '13800138000', email: 'ada@example.com' },
+      { name: 'Charles Babbage', phone: '13900139000', notes: 'Friend of Ada' },
+      { name: 'Grace Hopper', phone: '13700137000', company: 'Navy' },
+    ]
+    for (const body of contacts) {
+      await request(`${server.url}/api/contacts`, { method: 'POST', token, body })
+    }
+  })
+
+  after(() => server.close())
+
+  it('ranks name matches above matches in other fields', async () => {
+    const { body } = await search('ada')
+    assert.deepEqual(
+      body.data.map(contact => contact.name),
+      ['Ada Lovelace', 'Charles Babbage']
+    )
+    assert.equal(body.data[0].highlight.name, '<mark>Ada</mark> Lovelace')
+  })
+
+  it('finds phone numbers however they are typed', async () => {
+    const { body } = await search('139-0013')
+    assert.deepEqual(
+      body.data.map(contact => contact.name),
+      ['Charles Babbage']
+    )
+  })
+
+  it('searches company and other details', async () => {
+    const { body } = await search('navy')
+    assert.deepEqual(
+      body.data.map(contact => contact.name),
+      ['Grace Hopper']
+    )
+  })
+
+  it('leaves out trashed contacts', async () => {
+    const { body: found } = await search('hopper')
+    await request(`${server.url}/api/contacts/${found.data[0].id}`, { method: 'DELETE', token })
+    const { body } = await search('hopper')
+    assert.deepEqual(body.data, [])
+  })
+})
@@ -0,0 +1,89 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import db from '../db.js'
+import { EVENT_TYPES, latestEventId, listEventsAfter } from '../events.js'
+import { HISTORY_OPERATIONS } from '../history.js'
+import { purgeExpiredTrash } from '../trash.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('trash', () => {
+  let server
+  let token
+
+  const createTrashedContact = async (phone, daysAgo) => {
+    const { body } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Old friend', phone },
+    })
+    await request(`${server.url}/api/contacts/${body.data.id}`, { method: 'DELETE', token })
+    db.prepare("UPDATE contacts SET deleted_at = datetime('now', ?) WHERE id = ?").run(
+      `-${daysAgo} days`,
+      body.data.id
+    )
+    return body.data.id
+  }
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'trash-owner')
+  })
+
+  after(() => server.close())
+
+  it('lists trashed contacts apart from live ones and restores them', async () => {
+    const id = await createTrashedContact('13800138000', 1)
+    const { body: live } = await request(`${server.url}/api/contacts`, { token })
+    assert.deepEqual(live.data, [])
+
+    const { body: trash } = await request(`${server.url}/api/contacts/trash`, { token })
+    assert.deepEqual(
+      trash.data.map(contact => contact.id),
+      [id]
+    )
+
+    const { status } = await request(`${server.url}/api/contacts/${id}/restore`, {
+      method: 'POST',
+      token,
+    })
+    assert.equal(status, 200)
+    const { body: restored } = await request(`${server.url}/api/contacts/${id}`, { token })
+    assert.equal(restored.data.deleted_at, null)
+  })
+
+  it('deletes only contacts trashed longer than the retention period', async () => {
+    const expiredId = await createTrashedContact('13800138001', 31)
+    const recentId = await createTrashedContact('13800138002', 5)
+
+    assert.equal(purgeExpiredTrash(db, 30), 1)
+    const remaining = db
+      .prepare('SELECT id FROM contacts WHERE id IN (?, ?)')
+      .all(expiredId, recentId)
+    assert.deepEqual(remaining, [{ id: recentId }])
+  })
+
+  it('records a purge history entry without an actor', async () => {
+    const id = await createTrashedContact('13800138003', 40)
+    purgeExpiredTrash(db, 30)
+
+    const { body } = await request(`${server.url}/api/contacts/${id}/history`, { token })
+    const [latest] = body.data
+    assert.equal(latest.operation, HISTORY_OPERATIONS.PURGE)
+    assert.equal(latest.actor, null)
+    assert.equal(latest.snapshot.phone, '+8613800138003')
+  })
+
+  it('publishes contact.deleted for each purged contact', async () => {
+    const id = await createTrashedContact('13800138004', 40)
+    const { id: ownerId } = db.prepare('SELECT id FROM users WHERE username = ?').get('trash-owner')
+    const lastEventId = latestEventId(db)
+    purgeExpiredTrash(db, 30)
+
+    const events = listEventsAfter(db, ownerId, lastEventId, 10)
+    assert.deepEqual(
+      events.map(event => [event.type, event.data.contactId, event.data.operation]),
+      [[EVENT_TYPES.CONTACT_DELETED, id, HISTORY_OPERATIONS.PURGE]]
+    )
+  })
+})
@@ -0,0 +1,208 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import Database from 'better-sqlite3'
+import { findDuplicateGroups } from '../duplicates.js'
+import en from '../locales/en.js'
+import * as createContacts from '../migrations/001_create_contacts.js'
+import * as uniqueEmailPhone from '../migrations/002_unique_email_phone.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+describe('migration 002', () => {
+  const migrate = rows => {
+    const db = new Database(':memory:')
+    createContacts.up(db)
+    const insert = db.prepare(
+      'INSERT INTO contacts (name, phone, email, address) VALUES (?, ?, ?, ?)'
+    )
+    rows.forEach(row => insert.run(...row))
+    uniqueEmailPhone.up(db)
+    return db.prepare('SELECT name, phone, email, address FROM contacts ORDER BY id').all()
+  }
+
+  it('normalizes phones as Chinese numbers and emails to lower case', () => {
+    const rows = migrate([
+      ['Ada', '138 0013 8000', 'Ada@Example.com', null],
+      ['Bob', '+1 (212) 555-0100', null, null],
+    ])
+    assert.deepEqual(rows, [
+      { name: 'Ada', phone: '+8613800138000', email: 'ada@example.com', address: null },
+      { name: 'Bob', phone: '+12125550100', email: null, address: null },
+    ])
+  })
+
+  it('merges rows that collide into the oldest one', () => {
+    const rows = migrate([
+      ['Ada', '13800138000', null, null],
+      ['Ada L.', '+86 138-0013-8000', 'ada@example.com', 'London'],
+      ['Bob', '13900139000', 'ADA@example.com', null],
+    ])
+    assert.deepEqual(rows, [
+      { name: 'Ada', phone: '+8613800138000', email: 'ada@example.com', address: 'London' },
+    ])
+  })
+})
+
+describe('contact uniqueness', () => {
+  let server
+  let token
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'unique-owner')
+    const { status } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Ada', phone: '13800138000', email: 'ada@example.com' },
+    })
+    assert.equal(status, 201)
+  })
+
+  after(() => server.close())
+
+  it('rejects a phone number another contact has, however it is written', async () => {
+    const { status, body } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Copy', phone: '+86 138-0013-8000' },
+    })
+    assert.equal(status, 409)
+    assert.equal(body.msg, en.PHONE_ALREADY_EXISTS)
+  })
+
+  it('rejects an email another contact has, ignoring case', async () => {
+    const { status, body } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: 'Copy', phone: '13900139000', email: 'ADA@example.com' },
+    })
+    assert.equal(status, 409)
+    assert.equal(body.msg, en.EMAIL_ALREADY_EXISTS)
+  })
+
+  it('lets different users keep the same contact', async () => {
+    const otherToken = await registerUser(server.url, 'unique-other')
+    const { status } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token: otherToken,
+      body: { name: 'Ada', phone: '13800138000', email: 'ada@example.com' },
+    })
+    assert.equal(status, 201)
+  })
+
+  it('finds likely duplicates and merges them', async () => {
+    const { body: created } = await request(`${server.url}/api/contacts`, {
+      method: 'POST',
+      token,
+      body: { name: ' ada ', phone: '13900139000', address: 'London' },
+    })
+    const { body: duplicates } = await request(`${server.url}/api/contacts/duplicates`, { token })
+    assert.equal(duplicates.data.length, 1)
+
+    const { status, body: merged } = await request(`${server.url}/api/contacts/merge`, {
+      method: 'POST',
+      token,
+      body: { targetId: 1, sourceIds: [created.data.id] },
+    })
+    assert.equal(status, 200)
+    assert.equal(merged.data.address, 'London')
+    assert.deepEqual(
+      (await request(`${server.url}/api/contacts/duplicates`, { token })).body.data,
+      []
+    )
+  })
+})
+
+describe('labeled phone and email uniqueness', () => {
+  let server
+  let token
+
+  const createContact = body =>
+    request(`${server.url}/api/contacts`, { method: 'POST', token, body })
+
+  before(async () => {
+    server = await startServer()
+    token = await registerUser(server.url, 'labeled-owner')
+    const { status } = await createContact({
+      name: 'Bob',
+      phones: [{ value: '13700137000' }, { label: 'work', value: '13700137001' }],
+      emails: [{ value: 'bob@example.com' }, { label: 'work', value: 'bob@work.example.com' }],
+    })
+    assert.equal(status, 201)
+  })
+
+  after(() => server.close())
+
+  it("rejects another contact's secondary phone", async () => {
+    const { status, body } = await createContact({ name: 'Carol', phone: '137 0013 7001' })
+    assert.equal(status, 409)
+    assert.equal(body.msg, en.PHONE_ALREADY_EXISTS)
+  })
+
+  it("rejects another contact's secondary email", async () => {
+    const { status, body } = await createContact({
+      name: 'Carol',
+      phones: [{ value: '13600136000' }],
+      emails: [{ value: 'carol@example.com' }, { value: 'Bob@Work.example.com' }],
+    })
+    assert.equal(status, 409)
+    assert.equal(body.msg, en.EMAIL_ALREADY_EXISTS)
+  })
+
+  it('lets a contact keep its own entries when it is updated', async () => {
+    const { body: created } = await createContact({
+      name: 'Dan',
+      phones: [{ value: '13500135000' }, { value: '13500135001' }],
+    })
+    const { status } = await request(`${server.url}/api/contacts/${created.data.id}`, {
+      method: 'PATCH',
+      token,
+      body: { name: 'Daniel' },
+    })
+    assert.equal(status, 200)
+  })
+
+  it('refuses to restore a contact whose secondary phone was taken meanwhile', async () => {
+    const { body: created } = await createContact({
+      name: 'Eve',
+      phones: [{ value: '13400134000' }, { value: '13400134001' }],
+    })
+    const id = created.data.id
+    await request(`${server.url}/api/contacts/${id}`, { method: 'DELETE', token })
+    const { status: createStatus } = await createContact({ name: 'Eve 2', phone: '13400134001' })
+    assert.equal(createStatus, 201)
+
+    const { status, body } = await request(`${server.url}/api/contacts/${id}/restore`, {
+      method: 'POST',
+      token,
+    })
+    assert.equal(status, 409)
+    assert.equal(body.msg, en.PHONE_ALREADY_EXISTS)
+  })
+})
+
+describe('findDuplicateGroups', () => {
+  const contact = (id, name, phones, emails = []) => ({
+    id,
+    name,
+    phones: phones.map((value, i) => ({ value, primary: i === 0 })),
+    emails: emails.map((value, i) => ({ value, primary: i === 0 })),
+  })
+
+  it('links contacts sharing a secondary phone or email', () => {
+    const groups = findDuplicateGroups([
+      contact(1, 'Alice', ['+8613800138000', '+8613800138001']),
+      contact(2, 'Zed', ['+8613900139000', '+8613800138001']),
+      contact(3, 'Mia', ['+8613300133000'], ['mia@example.com', 'shared@example.com']),
+      contact(4, 'Quinn', ['+8613200132000'], ['quinn@example.com', 'Shared@example.com']),
+      contact(5, 'Otto', ['+8613100131000']),
+    ])
+    assert.deepEqual(
+      groups.map(group => [group.reasons, group.contacts.map(({ id }) => id)]),
+      [
+        [['phone'], [1, 2]],
+        [['email'], [3, 4]],
+      ]
+    )
+  })
+})
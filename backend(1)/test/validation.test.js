@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { ERROR_MESSAGES } from '../constants.js'
+import { CONTACT_SCHEMA, validate, validateContactInput } from '../validation.js'
+
+describe('validate', () => {
+  it('trims and normalizes valid values', () => {
+    const { value, errors } = validate(CONTACT_SCHEMA, {
+      name: '  Ada Lovelace ',
+      phone: '138 0013 8000',
+      email: 'ada@example.com',
+    })
+    assert.deepEqual(errors, [])
+    assert.equal(value.name, 'Ada Lovelace')
+    assert.equal(value.phone, '+8613800138000')
+    assert.equal(value.email, 'ada@example.com')
+    assert.equal(value.address, null)
+  })
+
+  it('reports every failed field at once', () => {
+    const { errors } = validate(CONTACT_SCHEMA, { phone: 'abc', email: 'nope', address: 42 })
+    assert.deepEqual(
+      errors.map(({ field, rule, msg }) => [field, rule, msg]),
+      [
+        ['name', 'required', ERROR_MESSAGES.NAME_REQUIRED],
+        ['phone', 'format', ERROR_MESSAGES.INVALID_PHONE_FORMAT],
+        ['email', 'format', ERROR_MESSAGES.INVALID_EMAIL_FORMAT],
+        ['address', 'type', ERROR_MESSAGES.INVALID_FIELD_TYPE],
+      ]
+    )
+  })
+
+  it('rejects a body that is not an object', () => {
+    const { errors } = validate(CONTACT_SCHEMA, ['Ada'])
+    assert.deepEqual(errors, [{ field: null, rule: 'type', msg: ERROR_MESSAGES.INVALID_INPUT }])
+  })
+
+  it('checks the maximum length', () => {
+    const { errors } = validate(CONTACT_SCHEMA, { name: 'x'.repeat(101), phone: '13800138000' })
+    assert.deepEqual(
+      errors.map(({ field, rule }) => [field, rule]),
+      [['name', 'maxLength']]
+    )
+  })
+})
+
+describe('validateContactInput', () => {
+  it('reports list entries by their path', () => {
+    const { errors } = validateContactInput({
+      name: 'Ada',
+      phones: [{ value: '13800138000' }, { value: 'not a number' }],
+    })
+    assert.deepEqual(
+      errors.map(({ field, rule }) => [field, rule]),
+      [['phones[1].value', 'format']]
+    )
+  })
+
+  it('reports a primary flag that is not a boolean as such', () => {
+    const { errors } = validateContactInput({
+      name: 'Ada',
+      phones: [{ value: '13800138000', primary: 'yes' }],
+    })
+    assert.deepEqual(errors, [
+      { field: 'phones[0].primary', rule: 'type', msg: ERROR_MESSAGES.INVALID_BOOLEAN },
+    ])
+  })
+})
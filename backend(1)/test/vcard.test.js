@@ -0,0 +1,106 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { after, before, describe, it } from 'node:test'
+import { formatVCard, parseVCards } from '../vcard.js'
+import { registerUser, request, startServer } from './helpers.js'
+
+const CONTACT = {
+  name: 'Lovelace, Ada; Countess',
+  phones: [
+    { label: 'mobile', value: '+8613800138000', primary: true },
+    { label: 'work', value: '+8613900139000', primary: false },
+  ],
+  emails: [{ label: 'personal', value: 'ada@example.com', primary: true }],
+  addresses: [
+    {
+      label: 'home',
+      street: `12 St James Square ${'é'.repeat(40)}`,
+      city: 'London',
+      region: null,
+      postalCode: 'SW1Y 4JH',
+      country: 'UK',
+      primary: true,
+    },
+  ],
+}
+
+describe('vCard format', () => {
+  it('escapes values, labels entries and folds long lines', () => {
+    const text = formatVCard(CONTACT)
+    const lines = text.split('\r\n')
+    assert.ok(lines.includes('FN:Lovelace\\, Ada\\; Countess'))
+    assert.ok(lines.includes('TEL;TYPE=cell,pref:+8613800138000'))
+    assert.ok(lines.includes('EMAIL;TYPE=home,pref:ada@example.com'))
+    assert.ok(lines.some(line => line.startsWith(' ')))
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75))
+
+    const v4 = formatVCard(CONTACT, '4.0').split('\r\n')
+    assert.ok(v4.includes('TEL;VALUE=uri;TYPE=cell;PREF=1:tel:+8613800138000'))
+  })
+
+  it('parses its own output back into the same contact, in both versions', () => {
+    for (const version of ['3.0', '4.0']) {
+      const [card] = parseVCards(formatVCard(CONTACT, version))
+      assert.equal(card.index, 1)
+      assert.equal(card.contact.name, CONTACT.name)
+      assert.deepEqual(card.contact.phones, CONTACT.phones)
+      assert.deepEqual(card.contact.emails, CONTACT.emails)
+      assert.equal(card.contact.addresses[0].street, CONTACT.addresses[0].street)
+      assert.equal(card.contact.addresses[0].postalCode, 'SW1Y 4JH')
+    }
+  })
+
+  it('reads vCard 2.1 quoted-printable values and reports unterminated cards', () => {
+    const cards = parseVCards(
+      [
+        'BEGIN:VCARD',
+        'VERSION:2.1',
+        'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=E6=9D=8E;=E5=9B=9B;;;',
+        'TEL;CELL:13800138000',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'FN:Unfinished',
+      ].join('\r\n')
+    )
+    assert.equal(cards[0].contact.name, '四 李')
+    assert.equal(cards[0].contact.phones[0].label, 'mobile')
+    assert.ok(cards[1].error)
+  })
+})
+
+describe('vCard import and export', () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.close())
+
+  it('moves an address book from one account to another', async () => {
+    const source = await registerUser(server.url, 'vcard-source')
+    const target = await registerUser(server.url, 'vcard-target')
+    await request(`${server.url}/api/contacts`, { method: 'POST', token: source, body: CONTACT })
+
+    const exported = await fetch(`${server.url}/api/contacts/export.vcf?version=4.0`, {
+      headers: { Authorization: `Bearer ${source}` },
+    })
+    assert.match(exported.headers.get('Content-Type'), /^text\/vcard/)
+    const text = await exported.text()
+
+    const form = new FormData()
+    form.append('file', new Blob([`${text}BEGIN:VCARD\r\nFN:No phone\r\nEND:VCARD\r\n`]), 'a.vcf')
+    const imported = await fetch(`${server.url}/api/contacts/import`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${target}` },
+      body: form,
+    }).then(response => response.json())
+    assert.equal(imported.data.created, 1)
+    assert.equal(imported.data.failed, 1)
+    assert.equal(imported.data.results[1].name, 'No phone')
+
+    const { body } = await request(`${server.url}/api/contacts`, { token: target })
+    assert.equal(body.data[0].name, CONTACT.name)
+    assert.deepEqual(body.data[0].phones, CONTACT.phones)
+  })
+})
@@ -0,0 +1,158 @@
+import './helpers.js'
+import assert from 'node:assert/strict'
+import { once } from 'node:events'
+import { createServer } from 'node:http'
+import { after, before, describe, it } from 'node:test'
+import db from '../db.js'
+import { EVENT_TYPES, recordEvent } from '../events.js'
+import { runMigrations } from '../migrate.js'
+import {
+  createWebhook,
+  DELIVERY_STATUSES,
+  listDeliveries,
+  PING_EVENT,
+  queuePing,
+  signWebhookPayload,
+  startWebhookDispatcher,
+} from '../webhooks.js'
+
+const RETRY_BASE_MS = 50
+const MAX_ATTEMPTS = 3
+
+describe('webhook signatures', () => {
+  it('sign the timestamp, a dot and the body with HMAC-SHA256', () => {
+    assert.equal(
+      signWebhookPayload('whsec-test', 1700000000, '{"id":1}'),
+      '5c7c76af77af443a710729c69dbfac6394ac5b78aa21a360d1cd2a71077fc9cf'
+    )
+  })
+})
+
+describe('webhook dispatcher', () => {
+  let receiver
+  let receiverUrl
+  let dispatcher
+  let ownerId
+  // Requests received and statuses still to answer with, per path
+  const received = new Map()
+  const replies = new Map()
+
+  // Keep waking the dispatcher, so retries do not wait for its poll interval
+  const waitForDelivery = async (deliveryId, webhookId, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs
+    for (;;) {
+      const delivery = listDeliveries(db, webhookId, 50).find(({ id }) => id === deliveryId)
+      if (delivery.status !== DELIVERY_STATUSES.PENDING) {
+        return delivery
+      }
+      assert.ok(Date.now() < deadline, 'delivery did not finish in time')
+      dispatcher.wake()
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+  }
+
+  const webhookAt = (path, statuses, events = Object.values(EVENT_TYPES)) => {
+    replies.set(path, statuses)
+    received.set(path, [])
+    return createWebhook(db, ownerId, {
+      url: `${receiverUrl}${path}`,
+      description: null,
+      events,
+      active: true,
+    })
+  }
+
+  before(async () => {
+    await runMigrations(db)
+    ownerId = Number(
+      db.prepare("INSERT INTO users (username, password_hash) VALUES ('hook-owner', 'x')").run()
+        .lastInsertRowid
+    )
+
+    receiver = createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        received.get(req.url).push({
+          at: Date.now(),
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+        })
+        res.writeHead(replies.get(req.url).shift() ?? 204).end()
+      })
+    })
+    receiver.listen(0, '127.0.0.1')
+    await once(receiver, 'listening')
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`
+
+    dispatcher = startWebhookDispatcher(db, {
+      timeoutMs: 2000,
+      maxAttempts: MAX_ATTEMPTS,
+      retryBaseMs: RETRY_BASE_MS,
+    })
+  })
+
+  after(() => receiver.close())
+
+  it('signs each delivery with the webhook secret', async () => {
+    const webhook = webhookAt('/signed', [204])
+    const delivery = queuePing(db, webhook)
+    const finished = await waitForDelivery(delivery.id, webhook.id)
+    assert.equal(finished.status, DELIVERY_STATUSES.SUCCEEDED)
+
+    const [{ headers, body }] = received.get('/signed')
+    assert.equal(headers['x-webhook-event'], PING_EVENT)
+    assert.equal(headers['x-webhook-delivery'], String(delivery.id))
+    assert.equal(
+      headers['x-webhook-signature'],
+      `sha256=${signWebhookPayload(webhook.secret, headers['x-webhook-timestamp'], body)}`
+    )
+    assert.deepEqual(JSON.parse(body).data, { webhookId: webhook.id })
+  })
+
+  it('retries failed deliveries with exponential backoff until one succeeds', async () => {
+    const webhook = webhookAt('/flaky', [500, 503, 204])
+    const delivery = queuePing(db, webhook)
+    const finished = await waitForDelivery(delivery.id, webhook.id)
+
+    assert.equal(finished.status, DELIVERY_STATUSES.SUCCEEDED)
+    assert.equal(finished.attempts, 3)
+    assert.equal(finished.response_status, 204)
+    assert.equal(finished.error, null)
+
+    const [first, second, third] = received.get('/flaky').map(({ at }) => at)
+    assert.ok(second - first >= RETRY_BASE_MS, 'first retry waits the base delay')
+    assert.ok(third - second >= 2 * RETRY_BASE_MS, 'second retry waits twice as long')
+  })
+
+  it('marks a delivery failed once it has used every attempt', async () => {
+    const webhook = webhookAt('/down', [500, 500, 500, 500])
+    const delivery = queuePing(db, webhook)
+    const finished = await waitForDelivery(delivery.id, webhook.id)
+
+    assert.equal(finished.status, DELIVERY_STATUSES.FAILED)
+    assert.equal(finished.attempts, MAX_ATTEMPTS)
+    assert.equal(finished.response_status, 500)
+    assert.equal(finished.error, 'HTTP 500')
+    assert.equal(received.get('/down').length, MAX_ATTEMPTS)
+  })
+
+  it('queues events only for webhooks subscribed to their type', async () => {
+    const subscribed = webhookAt('/created', [], [EVENT_TYPES.CONTACT_CREATED])
+    const other = webhookAt('/deleted', [], [EVENT_TYPES.CONTACT_DELETED])
+    const eventId = recordEvent(db, {
+      ownerId,
+      type: EVENT_TYPES.CONTACT_CREATED,
+      data: { contactId: 1 },
+    })
+
+    const [delivery] = listDeliveries(db, subscribed.id, 10)
+    assert.equal(delivery.event_id, eventId)
+    assert.equal(delivery.payload.type, EVENT_TYPES.CONTACT_CREATED)
+    assert.deepEqual(listDeliveries(db, other.id, 10), [])
+
+    const finished = await waitForDelivery(delivery.id, subscribed.id)
+    assert.equal(finished.status, DELIVERY_STATUSES.SUCCEEDED)
+    assert.equal(received.get('/created').length, 1)
+  })
+})
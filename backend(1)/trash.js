@@ -0,0 +1,51 @@
+import config from './config.js'
+import logger from './logger.js'
+import { deleteContact } from './contacts.js'
+
+// Days a trashed contact is kept before it is deleted permanently
+export const TRASH_RETENTION_DAYS = config.trash.retentionDays
+
+// How often expired trash is purged while the server runs
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+/**
+ * Permanently delete contacts that have been in the trash longer than the
+ * retention period. Each one gets a purge history entry with no actor and a
+ * contact.deleted event, like a permanent delete by its owner.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} [retentionDays] - Days to keep trashed contacts
+ * @returns {number} Number of contacts purged
+ */
+export const purgeExpiredTrash = (db, retentionDays = TRASH_RETENTION_DAYS) => {
+  const count = db.transaction(() => {
+    const expired = db
+      .prepare(
+        `SELECT id, owner_id FROM contacts
+         WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)`
+      )
+      .all(`-${retentionDays} days`)
+    return expired.filter(contact => deleteContact(db, contact.owner_id, contact.id, true, null))
+      .length
+  })()
+  if (count > 0) {
+    logger.info('Expired trash purged', { count, retentionDays })
+  }
+  return count
+}
+
+/**
+ * Purge expired trash now and then periodically. The timer does not keep the
+ * process alive.
+ * @param {Object} db - better-sqlite3 database
+ */
+export const startTrashPurge = db => {
+  const purge = () => {
+    try {
+      purgeExpiredTrash(db)
+    } catch (error) {
+      logger.error('Error purging trash', { error: error.message, stack: error.stack })
+    }
+  }
+  purge()
+  setInterval(purge, PURGE_INTERVAL_MS).unref()
+}
@@ -0,0 +1,35 @@
+import multer from 'multer'
+import { ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+import { sendValidationErrors } from './response.js'
+
+/**
+ * Accept a single multipart file held in memory as req.file. Upload errors,
+ * including a missing file, are answered as validation errors on that field.
+ * @param {string} field - Multipart field name
+ * @param {number} maxBytes - Largest accepted file
+ * @returns {Function} Express middleware
+ */
+export const singleFileUpload = (field, maxBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field)
+
+  return (req, res, next) =>
+    upload(req, res, error => {
+      if (error) {
+        const msg =
+          error.code === 'LIMIT_FILE_SIZE'
+            ? message(ERROR_MESSAGES.FILE_TOO_LARGE, { max: maxBytes })
+            : ERROR_MESSAGES.INVALID_UPLOAD
+        return sendValidationErrors(res, [{ field, rule: 'upload', msg }])
+      }
+      if (!req.file) {
+        return sendValidationErrors(res, [
+          { field, rule: 'required', msg: ERROR_MESSAGES.FILE_REQUIRED },
+        ])
+      }
+      next()
+    })
+}
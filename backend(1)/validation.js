@@ -0,0 +1,597 @@
+import config from './config.js'
+import { ERROR_MESSAGES } from './constants.js'
+import { message } from './i18n.js'
+import { EVENT_TYPES } from './events.js'
+
+// National numbering plans used to turn local phone numbers into E.164.
+// `trunkPrefix` is stripped before matching `pattern` against the national number.
+export const NATIONAL_PHONE_FORMATS = {
+  CN: {
+    countryCode: '86',
+    trunkPrefix: '0',
+    pattern: /^(1[3-9]\d{9}|(10|2\d|[3-9]\d{2})\d{7,8})$/,
+  },
+  US: { countryCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  GB: { countryCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/ },
+}
+
+// Region used for numbers entered without a country code
+export const DEFAULT_PHONE_REGION = config.phone.defaultRegion
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} input - Phone number as typed by the user
+ * @param {string} [region] - Region key in NATIONAL_PHONE_FORMATS for local numbers
+ * @returns {string|null} E.164 number, or null if it cannot be recognized
+ */
+export const normalizePhone = (input, region = DEFAULT_PHONE_REGION) => {
+  const compact = String(input).replace(/[\s\-.()]/g, '')
+
+  if (/^(\+|00)/.test(compact)) {
+    const international = `+${compact.replace(/^(\+|00)/, '')}`
+    return E164_PATTERN.test(international) ? international : null
+  }
+
+  const format = NATIONAL_PHONE_FORMATS[region]
+  if (!format || !/^\d+$/.test(compact)) {
+    return null
+  }
+
+  const national =
+    format.trunkPrefix && compact.startsWith(format.trunkPrefix) && !format.pattern.test(compact)
+      ? compact.slice(format.trunkPrefix.length)
+      : compact
+  return format.pattern.test(national) ? `+${format.countryCode}${national}` : null
+}
+
+// Emails are case-folded so uniqueness checks ignore case
+export const normalizeEmail = input => String(input).trim().toLowerCase()
+
+// Declarative rules for contact payloads
+export const CONTACT_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 100,
+    messages: { required: ERROR_MESSAGES.NAME_REQUIRED },
+  },
+  phone: {
+    type: 'string',
+    required: true,
+    maxLength: 32,
+    format: 'phone',
+    messages: { required: ERROR_MESSAGES.PHONE_REQUIRED },
+  },
+  email: {
+    type: 'string',
+    maxLength: 254,
+    format: 'email',
+  },
+  address: {
+    type: 'string',
+    maxLength: 500,
+  },
+  company: { type: 'string', maxLength: 100 },
+  title: { type: 'string', maxLength: 100 },
+  birthday: { type: 'string', format: 'date' },
+  notes: { type: 'string', maxLength: 2000 },
+}
+
+// Optional single-value contact fields besides the name
+export const CONTACT_DETAIL_FIELDS = ['company', 'title', 'birthday', 'notes']
+
+const FAVORITE_RULE = { type: 'boolean', messages: { type: ERROR_MESSAGES.INVALID_BOOLEAN } }
+
+// Value rules per custom field type
+export const CUSTOM_FIELD_TYPES = {
+  text: { type: 'string', maxLength: 1000 },
+  date: { type: 'string', format: 'date' },
+  url: { type: 'string', maxLength: 2048, format: 'url' },
+  number: { type: 'number', messages: { type: ERROR_MESSAGES.INVALID_NUMBER } },
+}
+
+// Rules for defining a custom field
+export const CUSTOM_FIELD_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 50,
+    messages: { required: ERROR_MESSAGES.NAME_REQUIRED },
+  },
+  type: { type: 'string', required: true, enum: Object.keys(CUSTOM_FIELD_TYPES) },
+}
+
+// Rules for each entry of a contact's phones, emails and addresses
+const LABEL_RULE = { type: 'string', maxLength: 30 }
+const PRIMARY_RULE = { type: 'boolean', messages: { type: ERROR_MESSAGES.INVALID_BOOLEAN } }
+
+export const PHONE_ENTRY_SCHEMA = {
+  label: LABEL_RULE,
+  value: CONTACT_SCHEMA.phone,
+  primary: PRIMARY_RULE,
+}
+
+export const EMAIL_ENTRY_SCHEMA = {
+  label: LABEL_RULE,
+  value: { ...CONTACT_SCHEMA.email, required: true },
+  primary: PRIMARY_RULE,
+}
+
+// The flat `address` shorthand is stored as the street, so it shares its limit
+export const ADDRESS_ENTRY_SCHEMA = {
+  label: LABEL_RULE,
+  street: { type: 'string', maxLength: 500 },
+  city: { type: 'string', maxLength: 100 },
+  region: { type: 'string', maxLength: 100 },
+  postalCode: { type: 'string', maxLength: 20 },
+  country: { type: 'string', maxLength: 100 },
+  primary: PRIMARY_RULE,
+}
+
+export const ADDRESS_PARTS = ['street', 'city', 'region', 'postalCode', 'country']
+
+// Labeled lists on a contact. `flatField` is the single-value field that reads
+// the primary entry and can be sent instead of the list.
+export const CONTACT_LISTS = {
+  phones: {
+    schema: PHONE_ENTRY_SCHEMA,
+    flatField: 'phone',
+    defaultLabel: 'mobile',
+    maxItems: 10,
+  },
+  emails: {
+    schema: EMAIL_ENTRY_SCHEMA,
+    flatField: 'email',
+    defaultLabel: 'personal',
+    maxItems: 10,
+  },
+  addresses: {
+    schema: ADDRESS_ENTRY_SCHEMA,
+    flatField: 'address',
+    defaultLabel: 'home',
+    maxItems: 10,
+  },
+}
+
+// Rules for groups and tags; names are unique per address book, ignoring case
+export const GROUP_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 50,
+    messages: { required: ERROR_MESSAGES.NAME_REQUIRED },
+  },
+  description: { type: 'string', maxLength: 500 },
+}
+
+export const TAG_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    maxLength: 30,
+    messages: { required: ERROR_MESSAGES.NAME_REQUIRED },
+  },
+  color: { type: 'string', pattern: /^#[0-9A-Fa-f]{6}$/ },
+}
+
+// Rules for account registration and login. Passwords are never trimmed.
+export const USER_SCHEMA = {
+  username: {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 50,
+    pattern: /^[A-Za-z0-9_.-]+$/,
+    messages: { required: ERROR_MESSAGES.USERNAME_REQUIRED },
+  },
+  password: {
+    type: 'string',
+    required: true,
+    trim: false,
+    minLength: 8,
+    maxLength: 128,
+    messages: { required: ERROR_MESSAGES.PASSWORD_REQUIRED },
+  },
+}
+
+// Login only checks presence so password policy changes never lock users out
+export const LOGIN_SCHEMA = {
+  username: { type: 'string', required: true, maxLength: 50 },
+  password: { type: 'string', required: true, trim: false, maxLength: 128 },
+}
+
+// Rules for registering a webhook; `events` is checked by validateWebhookInput()
+export const WEBHOOK_SCHEMA = {
+  url: { type: 'string', required: true, maxLength: 2048, format: 'url' },
+  description: { type: 'string', maxLength: 500 },
+  active: { type: 'boolean', messages: { type: ERROR_MESSAGES.INVALID_BOOLEAN } },
+}
+
+// Calendar dates in YYYY-MM-DD form that actually exist, e.g. not 2023-02-29
+const normalizeDate = value => {
+  if (!DATE_PATTERN.test(value)) {
+    return null
+  }
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : null
+}
+
+const normalizeUrl = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) ? value : null
+  } catch {
+    return null
+  }
+}
+
+// Format checkers return the normalized value, or null when the value is invalid
+const FORMATS = {
+  phone: {
+    normalize: value => normalizePhone(value),
+    message: ERROR_MESSAGES.INVALID_PHONE_FORMAT,
+  },
+  email: {
+    normalize: value => (EMAIL_PATTERN.test(value) ? normalizeEmail(value) : null),
+    message: ERROR_MESSAGES.INVALID_EMAIL_FORMAT,
+  },
+  date: {
+    normalize: normalizeDate,
+    message: ERROR_MESSAGES.INVALID_DATE_FORMAT,
+  },
+  url: {
+    normalize: normalizeUrl,
+    message: ERROR_MESSAGES.INVALID_URL_FORMAT,
+  },
+}
+
+/**
+ * Validate and normalize a request body against a schema
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} input - Raw request body
+ * @returns {{ value: Object, errors: Array<{ field: string, rule: string, msg: string }> }}
+ *   Normalized values for every schema field, and every failed rule
+ */
+export const validate = (schema, input) => {
+  const value = {}
+  const errors = []
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, rule: 'type', msg: ERROR_MESSAGES.INVALID_INPUT }] }
+  }
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const fail = (rule, msg) => errors.push({ field, rule, msg: rules.messages?.[rule] || msg })
+    let fieldValue = input[field]
+
+    if (typeof fieldValue === 'string' && rules.trim !== false) {
+      fieldValue = fieldValue.trim()
+    }
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rules.required) {
+        fail('required', ERROR_MESSAGES.REQUIRED_FIELD_MISSING)
+      }
+      value[field] = null
+      continue
+    }
+
+    if (typeof fieldValue !== rules.type) {
+      fail('type', ERROR_MESSAGES.INVALID_FIELD_TYPE)
+      continue
+    }
+
+    if (rules.enum && !rules.enum.includes(fieldValue)) {
+      fail('enum', message(ERROR_MESSAGES.INVALID_FIELD_OPTION, { options: rules.enum.join(', ') }))
+      continue
+    }
+
+    if (rules.maxLength && fieldValue.length > rules.maxLength) {
+      fail('maxLength', message(ERROR_MESSAGES.FIELD_TOO_LONG, { max: rules.maxLength }))
+      continue
+    }
+
+    if (rules.minLength && fieldValue.length < rules.minLength) {
+      fail('minLength', message(ERROR_MESSAGES.FIELD_TOO_SHORT, { min: rules.minLength }))
+      continue
+    }
+
+    if (rules.pattern && !rules.pattern.test(fieldValue)) {
+      fail('pattern', ERROR_MESSAGES.INVALID_FIELD_FORMAT)
+      continue
+    }
+
+    if (rules.format) {
+      const format = FORMATS[rules.format]
+      const normalized = format.normalize(fieldValue)
+      if (normalized === null) {
+        fail('format', format.message)
+        continue
+      }
+      fieldValue = normalized
+    }
+
+    value[field] = fieldValue
+  }
+
+  return { value, errors }
+}
+
+/**
+ * Format a structured address as one line
+ * @param {Object|undefined} address - Address entry
+ * @returns {string|null} Non-empty parts joined with commas, or null
+ */
+export const formatAddress = address =>
+  (address &&
+    ADDRESS_PARTS.map(part => address[part])
+      .filter(Boolean)
+      .join(', ')) ||
+  null
+
+/**
+ * Fill the flat phone, email and address fields from the primary list entries
+ * @param {Object} contact - Contact with phones, emails and addresses lists
+ * @returns {Object} The contact with its flat fields set
+ */
+export const withFlatFields = contact => {
+  const primary = list => contact[list].find(entry => entry.primary)
+  return {
+    ...contact,
+    phone: primary('phones')?.value ?? null,
+    email: primary('emails')?.value ?? null,
+    address: formatAddress(primary('addresses')),
+  }
+}
+
+// Validate one of CONTACT_LISTS, falling back to its flat field as a single entry
+const validateContactList = (listField, body) => {
+  const { schema, flatField, defaultLabel, maxItems } = CONTACT_LISTS[listField]
+  const errors = []
+  const fail = (field, rule, msg) => errors.push({ field, rule, msg })
+
+  let entries = body[listField]
+  if (entries === undefined || entries === null) {
+    const flat = validate({ [flatField]: CONTACT_SCHEMA[flatField] }, body)
+    const flatValue = flat.value[flatField]
+    if (flat.errors.length > 0 || flatValue === null) {
+      return { value: [], errors: flat.errors }
+    }
+    entries = [listField === 'addresses' ? { street: flatValue } : { value: flatValue }]
+  }
+
+  if (!Array.isArray(entries)) {
+    fail(listField, 'type', ERROR_MESSAGES.INVALID_LIST)
+    return { value: [], errors }
+  }
+  if (entries.length > maxItems) {
+    fail(listField, 'maxItems', message(ERROR_MESSAGES.TOO_MANY_ENTRIES, { max: maxItems }))
+    return { value: [], errors }
+  }
+  if (entries.length === 0 && CONTACT_SCHEMA[flatField].required) {
+    fail(listField, 'required', CONTACT_SCHEMA[flatField].messages.required)
+    return { value: [], errors }
+  }
+
+  const value = []
+  entries.forEach((entry, i) => {
+    const path = `${listField}[${i}]`
+    const result = validate(schema, entry)
+    result.errors.forEach(error =>
+      fail(error.field === null ? path : `${path}.${error.field}`, error.rule, error.msg)
+    )
+    if (result.errors.length > 0) {
+      return
+    }
+    if (listField === 'addresses' && !formatAddress(result.value)) {
+      fail(path, 'required', ERROR_MESSAGES.ADDRESS_EMPTY)
+      return
+    }
+    const key = listField === 'addresses' ? formatAddress(result.value) : result.value.value
+    if (
+      value.some(other => (listField === 'addresses' ? formatAddress(other) : other.value) === key)
+    ) {
+      fail(path, 'unique', ERROR_MESSAGES.DUPLICATE_ENTRY)
+      return
+    }
+    value.push({
+      ...result.value,
+      label: result.value.label ?? defaultLabel,
+      primary: result.value.primary === true,
+    })
+  })
+
+  // Exactly one primary entry; the first one unless another is marked
+  const primaryCount = value.filter(entry => entry.primary).length
+  if (primaryCount > 1) {
+    fail(listField, 'primary', ERROR_MESSAGES.MULTIPLE_PRIMARY)
+  } else if (primaryCount === 0 && value.length > 0) {
+    value[0].primary = true
+  }
+
+  return { value, errors }
+}
+
+// Validate custom field values keyed by field name against the owner's definitions
+const validateCustomFieldValues = (definitions, input) => {
+  const value = {}
+  const errors = []
+  if (input === undefined || input === null) {
+    return { value, errors }
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.push({ field: 'customFields', rule: 'type', msg: ERROR_MESSAGES.INVALID_CUSTOM_FIELDS })
+    return { value, errors }
+  }
+
+  for (const [name, fieldValue] of Object.entries(input)) {
+    const path = `customFields.${name}`
+    const definition = definitions.find(
+      candidate => candidate.name.toLowerCase() === name.toLowerCase()
+    )
+    if (!definition) {
+      errors.push({ field: path, rule: 'unknown', msg: ERROR_MESSAGES.UNKNOWN_CUSTOM_FIELD })
+      continue
+    }
+    const result = validate({ value: CUSTOM_FIELD_TYPES[definition.type] }, { value: fieldValue })
+    errors.push(...result.errors.map(error => ({ ...error, field: path })))
+    if (result.errors.length === 0 && result.value.value !== null) {
+      value[definition.name] = result.value.value
+    }
+  }
+  return { value, errors }
+}
+
+/**
+ * Validate a contact create/update payload. Each of phones, emails and
+ * addresses may be sent as a list or as its flat field (phone, email, address),
+ * which stands for a single primary entry; the list wins when both are sent.
+ * @param {Object} body - Raw request body
+ * @param {Array<{ name: string, type: string }>} [customFields] - The owner's
+ *   custom field definitions; `customFields` values must name one of them
+ * @returns {{ value: Object, errors: Array }} Name, favorite, the detail fields,
+ *   custom field values by name, the three lists, and the flat fields read from
+ *   the primary entries; see validate() for errors
+ */
+export const validateContactInput = (body, customFields = []) => {
+  const { value, errors } = validate(
+    {
+      name: CONTACT_SCHEMA.name,
+      favorite: FAVORITE_RULE,
+      ...Object.fromEntries(CONTACT_DETAIL_FIELDS.map(field => [field, CONTACT_SCHEMA[field]])),
+    },
+    body
+  )
+  if (errors.some(error => error.field === null)) {
+    return { value, errors }
+  }
+  value.favorite = value.favorite ?? false
+
+  const custom = validateCustomFieldValues(customFields, body.customFields)
+  value.customFields = custom.value
+  errors.push(...custom.errors)
+
+  for (const listField of Object.keys(CONTACT_LISTS)) {
+    const list = validateContactList(listField, body)
+    value[listField] = list.value
+    errors.push(...list.errors)
+  }
+  return { value: withFlatFields(value), errors }
+}
+
+// Fields a contact PATCH can change; a flat field changes its list
+const PATCH_FIELDS = [
+  'name',
+  'favorite',
+  ...CONTACT_DETAIL_FIELDS,
+  'customFields',
+  ...Object.keys(CONTACT_LISTS),
+]
+
+const patchFieldOf = field =>
+  Object.entries(CONTACT_LISTS).find(([, { flatField }]) => flatField === field)?.[0] ?? field
+
+/**
+ * Validate a partial contact update. Only the fields in the body are validated
+ * and changed; the rest keep their current value even if it would no longer
+ * pass validation. A flat field (phone, email, address) replaces its list with
+ * a single entry, like in validateContactInput(). `customFields` is merged into
+ * the current values, and a null value removes a field.
+ * @param {Object} body - Raw request body
+ * @param {Object} current - Contact with its details, from withContactDetails()
+ * @param {Array<{ name: string, type: string }>} [customFields] - The owner's
+ *   custom field definitions
+ * @returns {{ value: Object, errors: Array, changed: string[] }} The whole
+ *   contact as validateContactInput() returns it, the failed rules of the
+ *   changed fields, and the PATCH_FIELDS the body changes
+ */
+export const validateContactPatch = (body, current, customFields = []) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      value: {},
+      errors: [{ field: null, rule: 'type', msg: ERROR_MESSAGES.INVALID_INPUT }],
+      changed: [],
+    }
+  }
+  const changed = [...new Set(Object.keys(body).map(patchFieldOf))].filter(field =>
+    PATCH_FIELDS.includes(field)
+  )
+
+  const input = { ...current, ...body }
+  Object.entries(CONTACT_LISTS).forEach(([list, { flatField }]) => {
+    if (flatField in body && !(list in body)) {
+      delete input[list]
+    }
+  })
+  const patchCustomFields = body.customFields
+  if (
+    patchCustomFields &&
+    typeof patchCustomFields === 'object' &&
+    !Array.isArray(patchCustomFields)
+  ) {
+    const names = Object.keys(patchCustomFields).map(name => name.toLowerCase())
+    input.customFields = {
+      ...Object.fromEntries(
+        Object.entries(current.customFields).filter(([name]) => !names.includes(name.toLowerCase()))
+      ),
+      ...Object.fromEntries(
+        Object.entries(patchCustomFields).filter(([, value]) => value !== null)
+      ),
+    }
+  }
+
+  const { value, errors } = validateContactInput(input, customFields)
+  const contact = Object.fromEntries(
+    PATCH_FIELDS.map(field => [field, changed.includes(field) ? value[field] : current[field]])
+  )
+  return {
+    value: withFlatFields(contact),
+    errors: errors.filter(error => changed.includes(patchFieldOf(error.field.split(/[.[]/)[0]))),
+    changed,
+  }
+}
+
+/**
+ * Validate a registration payload
+ * @param {Object} body - Raw request body
+ * @returns {{ value: Object, errors: Array }} See validate()
+ */
+export const validateUserInput = body => validate(USER_SCHEMA, body)
+
+/**
+ * Validate a webhook payload. `events` lists the event types to deliver and
+ * defaults to all of them; `active` defaults to true.
+ * @param {Object} body - Raw request body
+ * @returns {{ value: Object, errors: Array }} See validate()
+ */
+export const validateWebhookInput = body => {
+  const { value, errors } = validate(WEBHOOK_SCHEMA, body)
+  if (errors.some(error => error.field === null)) {
+    return { value, errors }
+  }
+  value.active = value.active ?? true
+
+  const types = Object.values(EVENT_TYPES)
+  const { events = types } = body
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    !events.every(type => types.includes(type))
+  ) {
+    const msg = message(ERROR_MESSAGES.INVALID_WEBHOOK_EVENTS, { types: types.join(', ') })
+    errors.push({ field: 'events', rule: 'enum', msg })
+  } else {
+    value.events = [...new Set(events)]
+  }
+  return { value, errors }
+}
+
+/**
+ * Validate a login payload
+ * @param {Object} body - Raw request body
+ * @returns {{ value: Object, errors: Array }} See validate()
+ */
+export const validateLoginInput = body => validate(LOGIN_SCHEMA, body)
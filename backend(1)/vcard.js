@@ -0,0 +1,305 @@
+import { ERROR_MESSAGES } from './constants.js'
+
+// vCard lines longer than this many octets are folded on export
+const MAX_LINE_OCTETS = 75
+
+export const VCARD_VERSIONS = ['3.0', '4.0']
+
+// Entry labels that differ from the vCard TYPE with the same meaning
+const LABEL_TO_TYPE = { mobile: 'cell', personal: 'home' }
+const TYPE_TO_LABEL = {
+  phones: { cell: 'mobile' },
+  emails: { home: 'personal' },
+  addresses: {},
+}
+
+// TYPE values that say nothing about what kind of entry it is
+const IGNORED_TYPES = ['pref', 'voice', 'internet', 'x400']
+
+const escapeValue = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+
+const unescapeValue = value =>
+  value.replace(/\\([\\,;nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char))
+
+// Split a structured value (N, ADR) on semicolons that are not escaped
+const splitComponents = value =>
+  value.split(/(?<!\\);/).map(component => unescapeValue(component).trim())
+
+// Fold at MAX_LINE_OCTETS without splitting a multi-byte character
+const foldLine = line => {
+  const chunks = []
+  let chunk = ''
+  let octets = 0
+  for (const char of line) {
+    const size = Buffer.byteLength(char)
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1
+    if (octets + size > limit) {
+      chunks.push(chunk)
+      chunk = ''
+      octets = 0
+    }
+    chunk += char
+    octets += size
+  }
+  chunks.push(chunk)
+  return chunks.join('\r\n ')
+}
+
+// Quote a parameter value unless it is a plain token; quotes cannot be escaped
+const paramValue = value => {
+  const text = String(value).replace(/"/g, '')
+  return /^[A-Za-z0-9-]+$/.test(text) ? text : `"${text}"`
+}
+
+// TYPE and preference parameters for an entry, e.g. `;TYPE=cell,pref` in 3.0
+const entryParams = (entry, version) => {
+  const typeValue = paramValue(LABEL_TO_TYPE[entry.label] ?? entry.label)
+  if (version === '4.0') {
+    return `;TYPE=${typeValue}${entry.primary ? ';PREF=1' : ''}`
+  }
+  return `;TYPE=${typeValue}${entry.primary ? ',pref' : ''}`
+}
+
+/**
+ * Serialize a contact as a vCard with every phone, email and address. Company,
+ * title, birthday and notes map to ORG, TITLE, BDAY and NOTE; custom fields are
+ * written as `X-CUSTOM;X-NAME=<field name>` properties. An attached avatar is
+ * embedded as PHOTO.
+ * @param {Object} contact - Contact with its lists, custom field values and
+ *   optionally `avatar` from withAvatars()
+ * @param {string} [version] - One of VCARD_VERSIONS
+ * @returns {string} The vCard with CRLF line endings
+ */
+export const formatVCard = (contact, version = '3.0') => {
+  const lines = [
+    'BEGIN:VCARD',
+    `VERSION:${version}`,
+    `FN:${escapeValue(contact.name)}`,
+    // Names are stored whole, so N only carries the family name component
+    `N:${escapeValue(contact.name)};;;;`,
+  ]
+  contact.phones.forEach(phone =>
+    lines.push(
+      version === '4.0'
+        ? `TEL;VALUE=uri${entryParams(phone, version)}:tel:${phone.value}`
+        : `TEL${entryParams(phone, version)}:${phone.value}`
+    )
+  )
+  contact.emails.forEach(email =>
+    lines.push(`EMAIL${entryParams(email, version)}:${escapeValue(email.value)}`)
+  )
+  contact.addresses.forEach(address => {
+    const { street, city, region, postalCode, country } = address
+    const parts = ['', '', street, city, region, postalCode, country].map(part =>
+      part ? escapeValue(part) : ''
+    )
+    lines.push(`ADR${entryParams(address, version)}:${parts.join(';')}`)
+  })
+  if (contact.company) {
+    lines.push(`ORG:${escapeValue(contact.company)}`)
+  }
+  if (contact.title) {
+    lines.push(`TITLE:${escapeValue(contact.title)}`)
+  }
+  // vCard 4.0 writes dates in the basic ISO 8601 format
+  if (contact.birthday) {
+    lines.push(`BDAY:${version === '4.0' ? contact.birthday.replace(/-/g, '') : contact.birthday}`)
+  }
+  if (contact.notes) {
+    lines.push(`NOTE:${escapeValue(contact.notes)}`)
+  }
+  Object.entries(contact.customFields || {}).forEach(([name, value]) =>
+    lines.push(`X-CUSTOM;X-NAME=${paramValue(name)}:${escapeValue(value)}`)
+  )
+  // 3.0 carries inline binary as base64 with a TYPE, 4.0 as a data URI
+  if (contact.avatar) {
+    const { mime_type: mimeType, data } = contact.avatar
+    lines.push(
+      version === '4.0'
+        ? `PHOTO:data:${mimeType};base64,${data.toString('base64')}`
+        : `PHOTO;ENCODING=b;TYPE=${mimeType.split('/')[1].toUpperCase()}:${data.toString('base64')}`
+    )
+  }
+  lines.push('END:VCARD')
+  return `${lines.map(foldLine).join('\r\n')}\r\n`
+}
+
+// vCard 2.1 quoted-printable values are UTF-8 unless another CHARSET is given
+const decodeQuotedPrintable = (value, charset = 'utf-8') => {
+  const bytes = []
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16))
+      i += 2
+    } else {
+      bytes.push(...Buffer.from(value[i]))
+    }
+  }
+  return new TextDecoder(charset).decode(Uint8Array.from(bytes))
+}
+
+/**
+ * Parse one content line, e.g. `item1.TEL;TYPE=CELL,pref:+8613800138000`
+ * @param {string} line - Unfolded content line
+ * @returns {{ name: string, params: Object, value: string }|null} Property name
+ *   in upper case, parameters with upper-case keys and array values, and the raw value
+ */
+const parseContentLine = line => {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false
+  let separator = -1
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i
+      break
+    }
+  }
+  if (separator < 0) {
+    return null
+  }
+
+  const [property, ...rawParams] = line.slice(0, separator).split(';')
+  const params = {}
+  rawParams.forEach(param => {
+    const [key, rawValue] = param.includes('=') ? param.split(/=(.*)/s) : ['TYPE', param]
+    const values = rawValue
+      .replace(/"/g, '')
+      .split(',')
+      .map(value => value.trim().toLowerCase())
+    params[key.trim().toUpperCase()] = [...(params[key.trim().toUpperCase()] || []), ...values]
+  })
+
+  const name = property.split('.').pop().trim().toUpperCase()
+  const encoding = params.ENCODING?.[0]
+  const value =
+    encoding === 'quoted-printable'
+      ? decodeQuotedPrintable(line.slice(separator + 1), params.CHARSET?.[0])
+      : line.slice(separator + 1)
+  return { name, params, value }
+}
+
+// Join folded lines, plus vCard 2.1 quoted-printable soft line breaks
+const unfoldLines = text => {
+  const lines = []
+  text.split(/\r\n|\r|\n/).forEach(line => {
+    const previous = lines[lines.length - 1]
+    if (/^[ \t]/.test(line) && previous !== undefined) {
+      lines[lines.length - 1] = previous + line.slice(1)
+    } else if (previous?.endsWith('=') && /ENCODING=QUOTED-PRINTABLE/i.test(previous)) {
+      lines[lines.length - 1] = previous.slice(0, -1) + line
+    } else {
+      lines.push(line)
+    }
+  })
+  return lines.filter(line => line.trim() !== '')
+}
+
+const isPreferred = ({ params }) => params.TYPE?.includes('pref') || Boolean(params.PREF)
+
+// Label from the first meaningful TYPE, e.g. TYPE=WORK,VOICE becomes `work`
+const labelOf = (list, { params }) => {
+  const type = (params.TYPE || []).find(value => value && !IGNORED_TYPES.includes(value))
+  return type ? (TYPE_TO_LABEL[list][type] ?? type) : undefined
+}
+
+// Build list entries, keeping only the first preferred entry as primary
+const toEntries = (list, properties, toFields) => {
+  const primary = properties.find(isPreferred)
+  return properties.map(property => ({
+    label: labelOf(list, property),
+    ...toFields(property),
+    primary: property === primary,
+  }))
+}
+
+const toContact = properties => {
+  const byName = name => properties.filter(property => property.name === name)
+
+  const fn = byName('FN')[0]
+  let name = fn ? unescapeValue(fn.value).trim() : ''
+  if (!name && byName('N')[0]) {
+    const [family, given, additional] = splitComponents(byName('N')[0].value)
+    name = [given, additional, family].filter(Boolean).join(' ')
+  }
+
+  // BDAY without a full year (e.g. --0412) cannot be stored and is dropped
+  const bday = byName('BDAY')[0]
+    ?.value.trim()
+    .match(/^(\d{4})-?(\d{2})-?(\d{2})/)
+  const text = property => {
+    const [first] = byName(property)
+    return first ? unescapeValue(first.value).trim() : undefined
+  }
+
+  return {
+    name,
+    // ORG may list organizational units after the company name
+    company: byName('ORG')[0] ? splitComponents(byName('ORG')[0].value)[0] : undefined,
+    title: text('TITLE'),
+    birthday: bday ? `${bday[1]}-${bday[2]}-${bday[3]}` : undefined,
+    notes: text('NOTE'),
+    phones: toEntries('phones', byName('TEL'), ({ value }) => ({
+      value: unescapeValue(value).replace(/^tel:/i, '').trim(),
+    })),
+    emails: toEntries('emails', byName('EMAIL'), ({ value }) => ({
+      value: unescapeValue(value)
+        .replace(/^mailto:/i, '')
+        .trim(),
+    })),
+    addresses: toEntries('addresses', byName('ADR'), ({ value }) => {
+      const [poBox, extended, street, city, region, postalCode, country] = splitComponents(value)
+      return {
+        street: [poBox, extended, street].filter(Boolean).join(', '),
+        city,
+        region,
+        postalCode,
+        country,
+      }
+    }),
+  }
+}
+
+/**
+ * Parse every vCard (2.1, 3.0 or 4.0) in a file. FN (or N) maps to the name and
+ * every TEL, EMAIL and ADR to an entry labeled by its TYPE; the first preferred
+ * entry of each kind becomes primary. ORG, TITLE, BDAY and NOTE fill company,
+ * title, birthday and notes.
+ * @param {string} text - File contents
+ * @returns {Array<{ index: number, contact?: Object, error?: string }>} One entry
+ *   per card, 1-based, with a raw contact payload or a structural error
+ */
+export const parseVCards = text => {
+  const cards = []
+  let current = null
+
+  unfoldLines(text.replace(/^\uFEFF/, '')).forEach(line => {
+    const property = parseContentLine(line)
+    const name = property?.name
+    const value = property?.value.trim().toUpperCase()
+
+    if (name === 'BEGIN' && value === 'VCARD') {
+      if (current) {
+        cards.push({ index: cards.length + 1, error: ERROR_MESSAGES.VCARD_MISSING_END })
+      }
+      current = []
+    } else if (name === 'END' && value === 'VCARD' && current) {
+      cards.push({ index: cards.length + 1, contact: toContact(current) })
+      current = null
+    } else if (current && property) {
+      current.push(property)
+    }
+  })
+  if (current) {
+    cards.push({ index: cards.length + 1, error: ERROR_MESSAGES.VCARD_MISSING_END })
+  }
+
+  return cards
+}
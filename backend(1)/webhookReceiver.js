@@ -0,0 +1,58 @@
+import { createHmac, timingSafeEqual } from 'crypto'
+import { createServer } from 'http'
+
+// Local webhook receiver for trying out deliveries:
+//
+//   WEBHOOK_SECRET=<secret> node webhookReceiver.js [port] [failFirst]
+//
+// Register http://localhost:<port>/ as a webhook and every delivery is printed
+// with the outcome of its signature check. The first `failFirst` requests get a
+// 500, so the server's retries can be watched. It also shows how a receiver
+// verifies the X-Webhook-Signature header.
+
+// Deliveries signed longer ago than this are rejected as possible replays
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60
+
+/**
+ * Check a delivery's signature against the webhook secret
+ * @param {string} secret - Webhook secret returned when it was created
+ * @param {Object} headers - Request headers
+ * @param {string} body - Raw request body
+ * @returns {string|null} Why the signature is rejected, or null if it is valid
+ */
+const verifySignature = (secret, headers, body) => {
+  const timestamp = headers['x-webhook-timestamp']
+  const signature = /^sha256=([0-9a-f]{64})$/.exec(headers['x-webhook-signature'] || '')
+  if (!timestamp || !signature) {
+    return 'missing signature'
+  }
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE_SECONDS) {
+    return 'stale timestamp'
+  }
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest()
+  return timingSafeEqual(expected, Buffer.from(signature[1], 'hex')) ? null : 'signature mismatch'
+}
+
+const [port = '4000', failFirst = '0'] = process.argv.slice(2)
+const secret = process.env.WEBHOOK_SECRET
+let received = 0
+
+createServer((req, res) => {
+  const chunks = []
+  req.on('data', chunk => chunks.push(chunk))
+  req.on('end', () => {
+    received += 1
+    const body = Buffer.concat(chunks).toString('utf8')
+    const problem = secret ? verifySignature(secret, req.headers, body) : 'WEBHOOK_SECRET not set'
+    const status = received <= Number(failFirst) ? 500 : problem && secret ? 401 : 204
+
+    console.log(
+      `#${received} ${req.headers['x-webhook-event']} delivery ${req.headers['x-webhook-delivery']}` +
+        ` -> ${status} (signature: ${problem ?? 'valid'})`
+    )
+    console.log(body)
+    res.writeHead(status).end()
+  })
+}).listen(Number(port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`)
+})
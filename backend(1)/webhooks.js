@@ -0,0 +1,336 @@
+import { createHmac, randomBytes } from 'crypto'
+import config from './config.js'
+import logger from './logger.js'
+
+// Event type of the test delivery sent by a ping
+export const PING_EVENT = 'webhook.ping'
+
+export const DELIVERY_STATUSES = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+}
+
+// How many due deliveries one dispatcher pass sends, and how often it looks
+// for deliveries whose retry is due
+const DISPATCH_BATCH_SIZE = 20
+const POLL_INTERVAL_MS = 5 * 1000
+
+// How often finished deliveries older than the log retention period are purged
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+// Response bodies are not kept; errors are cut to this length
+const MAX_ERROR_LENGTH = 500
+
+/**
+ * Signature of a delivery: HMAC-SHA256, keyed with the webhook secret, of the
+ * timestamp, a dot and the raw request body, as lowercase hex. Receivers
+ * recompute it from the X-Webhook-Timestamp header and the body they got.
+ * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Unix time in seconds
+ * @param {string} body - Request body
+ * @returns {string} Hex digest
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+// The secret is only returned when the webhook is created
+const toWebhook = ({ secret: _secret, owner_id: _ownerId, ...row }) => ({
+  ...row,
+  events: JSON.parse(row.events),
+  active: Boolean(row.active),
+})
+
+const toDelivery = ({ payload, ...row }) => ({ ...row, payload: JSON.parse(payload) })
+
+/**
+ * List the webhooks of a user
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User ID
+ * @returns {Array<Object>} Webhooks without their secrets
+ */
+export const listWebhooks = (db, ownerId) =>
+  db.prepare('SELECT * FROM webhooks WHERE owner_id = ? ORDER BY id').all(ownerId).map(toWebhook)
+
+/**
+ * Look up one webhook
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User ID
+ * @param {number|string} id - Webhook ID
+ * @returns {Object|null} The webhook without its secret
+ */
+export const getWebhook = (db, ownerId, id) => {
+  const row = db.prepare('SELECT * FROM webhooks WHERE id = ? AND owner_id = ?').get(id, ownerId)
+  return row ? toWebhook(row) : null
+}
+
+/**
+ * Register a webhook with a new random secret
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User ID
+ * @param {Object} value - Output of validateWebhookInput()
+ * @returns {Object} The webhook, including its secret
+ */
+export const createWebhook = (db, ownerId, { url, description, events, active }) => {
+  const secret = randomBytes(32).toString('hex')
+  const row = db
+    .prepare(
+      `INSERT INTO webhooks (owner_id, url, description, events, secret, active)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING *`
+    )
+    .get(ownerId, url, description, JSON.stringify(events), secret, Number(active))
+  return { ...toWebhook(row), secret }
+}
+
+/**
+ * Replace the settings of a webhook; its secret stays the same
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User ID
+ * @param {number|string} id - Webhook ID
+ * @param {Object} value - Output of validateWebhookInput()
+ * @returns {Object|null} The updated webhook, or null if it does not exist
+ */
+export const updateWebhook = (db, ownerId, id, { url, description, events, active }) => {
+  const row = db
+    .prepare(
+      `UPDATE webhooks SET url = ?, description = ?, events = ?, active = ?
+       WHERE id = ? AND owner_id = ? RETURNING *`
+    )
+    .get(url, description, JSON.stringify(events), Number(active), id, ownerId)
+  return row ? toWebhook(row) : null
+}
+
+/**
+ * Delete a webhook along with its delivery log
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User ID
+ * @param {number|string} id - Webhook ID
+ * @returns {boolean} Whether the webhook existed
+ */
+export const deleteWebhook = (db, ownerId, id) =>
+  db.prepare('DELETE FROM webhooks WHERE id = ? AND owner_id = ?').run(id, ownerId).changes > 0
+
+/**
+ * Most recent deliveries of a webhook, newest first
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} webhookId - Webhook ID, already checked to belong to the user
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Array<Object>} Deliveries with their payload, status, attempts,
+ *   last response status or error, and when the next attempt is due
+ */
+export const listDeliveries = (db, webhookId, limit) =>
+  db
+    .prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?')
+    .all(webhookId, limit)
+    .map(toDelivery)
+
+/**
+ * Queue a delivery of an event to each active webhook of its owner that
+ * subscribes to the event type. Call it in the transaction recording the event.
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} ownerId - User whose data changed
+ * @param {Object} event - Event as formatEvent() returns it
+ * @returns {number} Number of deliveries queued
+ */
+export const queueWebhookDeliveries = (db, ownerId, event) =>
+  db
+    .prepare(
+      `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+       SELECT id, @eventId, @type, @payload, @now FROM webhooks
+       WHERE owner_id = @ownerId AND active = 1
+         AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = @type)`
+    )
+    .run({
+      ownerId,
+      eventId: event.id,
+      type: event.type,
+      payload: JSON.stringify(event),
+      now: Date.now(),
+    }).changes
+
+/**
+ * Queue a test delivery to a webhook, whether or not it is active
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} webhook - Webhook as getWebhook() returns it
+ * @returns {Object} The queued delivery
+ */
+export const queuePing = (db, webhook) => {
+  const payload = {
+    id: null,
+    type: PING_EVENT,
+    createdAt: new Date().toISOString(),
+    data: { webhookId: webhook.id },
+  }
+  const row = db
+    .prepare(
+      `INSERT INTO webhook_deliveries (webhook_id, event_type, payload, next_attempt_at)
+       VALUES (?, ?, ?, ?) RETURNING *`
+    )
+    .get(webhook.id, PING_EVENT, JSON.stringify(payload), Date.now())
+  return toDelivery(row)
+}
+
+/**
+ * Delete finished deliveries older than the retention period from the log
+ * @param {Object} db - better-sqlite3 database
+ * @param {number} [retentionDays] - Days to keep finished deliveries
+ * @returns {number} Number of deliveries purged
+ */
+export const purgeExpiredDeliveries = (db, retentionDays = config.webhooks.logRetentionDays) => {
+  const { changes } = db
+    .prepare(
+      "DELETE FROM webhook_deliveries WHERE status != 'pending' AND completed_at < datetime('now', ?)"
+    )
+    .run(`-${retentionDays} days`)
+  if (changes > 0) {
+    logger.info('Expired webhook deliveries purged', { count: changes, retentionDays })
+  }
+  return changes
+}
+
+/**
+ * POST a delivery to its webhook. Redirects are not followed.
+ * @returns {Promise<{ status: number|null, error: string|null }>} The response
+ *   status, or why no response arrived
+ */
+const sendDelivery = async (delivery, timeoutMs) => {
+  const timestamp = Math.floor(Date.now() / 1000)
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'contact-management-webhooks',
+        'X-Webhook-Id': String(delivery.webhook_id),
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+    await response.body?.cancel()
+    return { status: response.status, error: response.ok ? null : `HTTP ${response.status}` }
+  } catch (error) {
+    return {
+      status: null,
+      error: (error.cause?.message || error.message).slice(0, MAX_ERROR_LENGTH),
+    }
+  }
+}
+
+/**
+ * Send due webhook deliveries in the background. A delivery succeeds on a 2xx
+ * response; otherwise it is retried with exponential backoff (the base delay,
+ * then twice that, and so on) until it has been attempted `maxAttempts` times,
+ * after which it is marked failed. Deliveries left pending by a restart are
+ * picked up again; those of an inactive webhook wait until it is activated,
+ * except pings. Finished deliveries are purged from the log once they
+ * outlive its retention period. Timers do not keep the process alive.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Time to wait for each response
+ * @param {number} [options.maxAttempts] - Attempts before a delivery fails
+ * @param {number} [options.retryBaseMs] - Delay before the first retry
+ * @returns {{ wake: Function }} `wake()` sends due deliveries right away
+ */
+export const startWebhookDispatcher = (
+  db,
+  {
+    timeoutMs = config.webhooks.timeoutSeconds * 1000,
+    maxAttempts = config.webhooks.maxAttempts,
+    retryBaseMs = config.webhooks.retryBaseSeconds * 1000,
+  } = {}
+) => {
+  const selectDue = db.prepare(
+    `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+     FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+     WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+       AND (webhooks.active = 1 OR webhook_deliveries.event_type = '${PING_EVENT}')
+     ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+     LIMIT ?`
+  )
+  const saveAttempt = db.prepare(
+    `UPDATE webhook_deliveries
+     SET status = @status, attempts = @attempts, next_attempt_at = @nextAttemptAt,
+         response_status = @responseStatus, error = @error,
+         completed_at = CASE WHEN @status = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE id = @id`
+  )
+
+  const attempt = async delivery => {
+    const { status, error } = await sendDelivery(delivery, timeoutMs)
+    const attempts = delivery.attempts + 1
+    const succeeded = error === null
+    const outcome = succeeded
+      ? DELIVERY_STATUSES.SUCCEEDED
+      : attempts >= maxAttempts
+        ? DELIVERY_STATUSES.FAILED
+        : DELIVERY_STATUSES.PENDING
+    const nextAttemptAt =
+      outcome === DELIVERY_STATUSES.PENDING
+        ? Date.now() + retryBaseMs * 2 ** (attempts - 1)
+        : delivery.next_attempt_at
+    saveAttempt.run({
+      id: delivery.id,
+      status: outcome,
+      attempts,
+      nextAttemptAt,
+      responseStatus: status,
+      error,
+    })
+
+    const meta = { deliveryId: delivery.id, webhookId: delivery.webhook_id, attempts, status }
+    if (succeeded) {
+      logger.info('Webhook delivered', meta)
+    } else if (outcome === DELIVERY_STATUSES.FAILED) {
+      logger.error('Webhook delivery failed', { ...meta, error })
+    } else {
+      logger.warn('Webhook delivery attempt failed', {
+        ...meta,
+        error,
+        retryAt: new Date(nextAttemptAt).toISOString(),
+      })
+    }
+  }
+
+  // One pass at a time; a wake-up during a pass starts another one after it
+  let running = false
+  let again = false
+  const dispatch = async () => {
+    if (running) {
+      again = true
+      return
+    }
+    running = true
+    try {
+      do {
+        again = false
+        const due = selectDue.all(Date.now(), DISPATCH_BATCH_SIZE)
+        await Promise.all(due.map(attempt))
+        again ||= due.length === DISPATCH_BATCH_SIZE
+      } while (again)
+    } catch (error) {
+      logger.error('Error dispatching webhooks', { error: error.message, stack: error.stack })
+    } finally {
+      running = false
+    }
+  }
+
+  const purge = () => {
+    try {
+      purgeExpiredDeliveries(db)
+    } catch (error) {
+      logger.error('Error purging webhook deliveries', { error: error.message, stack: error.stack })
+    }
+  }
+
+  setInterval(dispatch, POLL_INTERVAL_MS).unref()
+  setInterval(purge, PURGE_INTERVAL_MS).unref()
+  purge()
+  dispatch()
+  // Deliveries are queued inside a transaction, so look for them once it is over
+  return { wake: () => setImmediate(dispatch) }
+}